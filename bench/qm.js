@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/* =============================================================================
+   KMAP — QUINE-McCLUSKEY BENCHMARK
+   Kelompok Pusay - Rangkaian Digital
+
+   DESKRIPSI:
+   Waktu qmSimplify (cube integer + cover bitset) dibanding qmSimplifyClassic
+   (implementasi lama berbasis string) pada fungsi acak: 40% minterm, 10%
+   don't care, seed tetap per jumlah variabel sehingga angka bisa diulang.
+
+     node bench/qm.js                    # 4–16 variabel, QM lama sampai 10
+     node bench/qm.js --max 12 --classic 11 --greedy
+
+   QM lama dilewati di atas --classic karena waktunya naik sangat cepat
+   (11 variabel sudah beberapa detik).
+============================================================================= */
+
+import { qmSimplify, qmSimplifyClassic, DEFAULT_VAR_NAMES, MAX_QM_VARS } from '../core.js';
+
+/**
+ * Seeded PRNG (mulberry32), same as the tests
+ */
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random function on n variables: {minterms, dontcares}
+ */
+function randomFunction(n) {
+  const rand = mulberry32(1000 + n);
+  const minterms = [];
+  const dontcares = [];
+  for (let m = 0; m < 1 << n; m++) {
+    const r = rand();
+    if (r < 0.1) dontcares.push(m);
+    else if (r < 0.5) minterms.push(m);
+  }
+  return { minterms, dontcares };
+}
+
+/**
+ * Run fn once and return [result, ms]
+ */
+function timed(fn) {
+  const start = performance.now();
+  const result = fn();
+  return [result, performance.now() - start];
+}
+
+function readOption(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? fallback : Number(process.argv[i + 1]);
+}
+
+const max = Math.min(readOption('max', MAX_QM_VARS), MAX_QM_VARS);
+const classicMax = readOption('classic', 10);
+const cover = process.argv.includes('--greedy') ? 'greedy' : 'exact';
+
+console.log(`cover: ${cover}`);
+console.log('var  minterm  implicant  metode     qmSimplify   QM lama      percepatan');
+for (let n = 4; n <= max; n++) {
+  const vars = DEFAULT_VAR_NAMES.slice(0, n);
+  const { minterms, dontcares } = randomFunction(n);
+  const [res, time] = timed(() => qmSimplify(minterms, dontcares, vars, 'SOP', { cover }));
+
+  let classicText = '—';
+  let speedup = '';
+  if (n <= classicMax) {
+    const [classic, classicTime] = timed(() => qmSimplifyClassic(minterms, dontcares, vars, 'SOP', { cover }));
+    if (classic.result !== res.result) throw new Error(`hasil berbeda pada ${n} variabel`);
+    classicText = `${classicTime.toFixed(1)}ms`;
+    speedup = `${(classicTime / time).toFixed(1)}×`;
+  }
+
+  console.log([
+    String(n).padStart(3),
+    String(minterms.length).padStart(8),
+    String(res.implicants.length).padStart(10),
+    ` ${res.method.padEnd(9)}`,
+    `${time.toFixed(1)}ms`.padStart(11),
+    classicText.padStart(12),
+    speedup.padStart(13)
+  ].join(' '));
+}
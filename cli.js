@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+/* =============================================================================
+   KMAP — COMMAND LINE
+   Kelompok Pusay - Rangkaian Digital
+
+   DESKRIPSI:
+   Antarmuka baris perintah di atas core.js, misalnya untuk memeriksa jawaban
+   mahasiswa secara massal dari skrip shell.
+
+     kmap simplify "1,3,5 + d(2)" --vars 4 --pos
+     kmap table "A'B + AC"
+     kmap eval "A'B + AC" A=0 B=1 C=1
+     kmap compare "A'B + AC" "A'B + AC + BC"
+
+   Exit code: 0 = berhasil (compare: ekuivalen), 1 = compare tidak ekuivalen,
+   2 = argumen atau ekspresi tidak valid.
+============================================================================= */
+
+import {
+  MAX_TRUTH_TABLE_VARS, MAX_QM_VARS, DEFAULT_VAR_NAMES,
+  tokenize, parse, astToRPN, evalRPN, extractVars,
+  minimizeCells, parseTermInput, termInputWidth, canonicalForms, buildTruthTable, compareExpressions
+} from './core.js';
+
+const USAGE = `Pemakaian:
+  kmap simplify <term> [--vars N | --names A,B,C] [--pos] [--greedy | --espresso] [--json]
+      Sederhanakan fungsi dari daftar term: Σm(1,3,5) + d(2), ΠM(0,4), m(...),
+      M(...) atau daftar biasa 1,3,5 + d(2) (dibaca sebagai maxterm bila --pos,
+      seperti di halaman). Tanpa --vars jumlah variabel diambil dari indeks terbesar;
+      maksimal 16 variabel (tabel dan ekspresi maksimal 8).
+  kmap table <ekspresi> [--ident] [--json]
+      Cetak tabel kebenaran dan notasi Σm / ΠM.
+  kmap eval <ekspresi> [VAR=0|1 ...] [--ident] [--pos] [--greedy | --espresso] [--json]
+      Dengan nilai variabel: cetak output (0/1). Tanpa nilai: cetak Σm, ΠM dan
+      bentuk minimal (SOP, atau POS bila --pos).
+  kmap compare <ekspresi1> <ekspresi2> [--ident] [--json]
+      Periksa ekuivalensi dua ekspresi; exit code 1 bila berbeda.
+
+Opsi:
+  --ident    nama variabel multi-karakter (S0, Cin, En)
+  --greedy   cover greedy untuk Quine-McCluskey (cepat, belum tentu minimal)
+  --espresso heuristik Espresso sebagai ganti Quine-McCluskey (fungsi besar)
+  --json     keluaran JSON untuk diproses program lain
+  --help     tampilkan bantuan ini`;
+
+const FLAGS = ['pos', 'greedy', 'espresso', 'json', 'ident', 'help'];
+const OPTIONS = ['vars', 'names'];
+
+/**
+ * Split argv into positional arguments, boolean flags and --key value options
+ */
+function parseArgs(argv) {
+  const args = [];
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      opts.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (FLAGS.includes(key)) {
+      opts[key] = true;
+    } else if (OPTIONS.includes(key)) {
+      const value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined) throw new Error(`opsi --${key} membutuhkan nilai`);
+      opts[key] = value;
+    } else {
+      throw new Error(`opsi tidak dikenal: ${arg}`);
+    }
+  }
+  return { args, opts };
+}
+
+/**
+ * Variable names for a term list: --names, --vars N, or enough for the largest index
+ */
+function termVars(input, opts) {
+  if (opts.names) {
+    const names = opts.names.split(',').map(v => v.trim()).filter(Boolean);
+    if (opts.vars && Number(opts.vars) !== names.length) {
+      throw new Error(`--vars ${opts.vars} tidak cocok dengan ${names.length} nama di --names`);
+    }
+    if (names.length > MAX_QM_VARS) throw new Error(`maksimal ${MAX_QM_VARS} variabel`);
+    return names;
+  }
+
+  let n;
+  if (opts.vars) {
+    n = Number(opts.vars);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`--vars harus bilangan bulat positif, bukan "${opts.vars}"`);
+  } else {
+    n = termInputWidth(input);
+  }
+  if (n > MAX_QM_VARS) throw new Error(`maksimal ${MAX_QM_VARS} variabel`);
+  return DEFAULT_VAR_NAMES.slice(0, n);
+}
+
+/**
+ * Parse an expression into {vars, ast, rpn}
+ */
+function readExpression(src, opts) {
+  if (src === undefined || !src.trim()) throw new Error('ekspresi kosong');
+  const options = { identifiers: !!opts.ident };
+  const ast = parse(tokenize(src, options));
+  const vars = extractVars(src, options);
+  if (vars.length > MAX_TRUTH_TABLE_VARS) throw new Error(`maksimal ${MAX_TRUTH_TABLE_VARS} variabel (ditemukan ${vars.length})`);
+  return { vars, ast, rpn: astToRPN(ast) };
+}
+
+/**
+ * Minimize cells (0/1/'d' per minterm) in the requested mode and algorithm
+ */
+function minimize(vars, cells, opts) {
+  const mode = opts.pos ? 'POS' : 'SOP';
+  const options = { algorithm: opts.espresso ? 'espresso' : 'qm', cover: opts.greedy ? 'greedy' : 'exact' };
+  return { mode, ...minimizeCells(vars, cells, mode, options) };
+}
+
+/**
+ * Fields of a minimizer result shared by the JSON output of simplify and eval
+ */
+function resultJSON(res) {
+  return {
+    mode: res.mode, algorithm: res.algorithm, implicants: res.implicants, result: res.result,
+    literals: res.literals, exact: res.exact
+  };
+}
+
+function cmdSimplify(args, opts) {
+  if (args.length !== 1) throw new Error('simplify membutuhkan satu daftar term');
+  const vars = termVars(args[0], opts);
+  const total = 1 << vars.length;
+  const { minterms, dontcares } = parseTermInput(args[0], total, opts.pos ? 'maxterm' : 'minterm');
+
+  const cells = new Array(total).fill(0);
+  minterms.forEach(m => { cells[m] = 1; });
+  dontcares.forEach(m => { cells[m] = 'd'; });
+  const res = minimize(vars, cells, opts);
+
+  if (opts.json) {
+    return JSON.stringify({ vars, minterms, dontcares, ...resultJSON(res) });
+  }
+  if (!res.exact) {
+    const how = res.algorithm === 'espresso' ? 'heuristik Espresso' : 'cover greedy';
+    console.error(`kmap: catatan — ${how}, hasil belum tentu minimal`);
+  }
+  return res.result;
+}
+
+function cmdTable(args, opts) {
+  if (args.length !== 1) throw new Error('table membutuhkan satu ekspresi');
+  const { vars, rpn } = readExpression(args[0], opts);
+  const rows = buildTruthTable(vars, rpn);
+  const forms = canonicalForms(vars, rows.map(r => r.y));
+
+  if (opts.json) {
+    return JSON.stringify({ vars, rows: rows.map(r => ({ m: r.m, ...r.env, Y: r.y })), sigma: forms.sigma, pi: forms.pi });
+  }
+  const widths = vars.map(v => Math.max(v.length, 1));
+  const cell = (text, i) => String(text).padEnd(widths[i]);
+  const lines = [
+    `${vars.map(cell).join(' ')} | Y`,
+    `${widths.map(w => '-'.repeat(w)).join('-')}-+--`,
+    ...rows.map(r => `${vars.map((v, i) => cell(r.env[v], i)).join(' ')} | ${r.y}   m${r.m}`),
+    '',
+    forms.sigma,
+    forms.pi
+  ];
+  return lines.join('\n');
+}
+
+function cmdEval(args, opts) {
+  if (args.length < 1) throw new Error('eval membutuhkan ekspresi');
+  const { vars, rpn } = readExpression(args[0], opts);
+
+  // Value at one assignment
+  if (args.length > 1) {
+    const env = {};
+    args.slice(1).forEach(a => {
+      const match = a.match(/^([A-Za-z_][A-Za-z0-9_]*)=([01])$/);
+      if (!match) throw new Error(`nilai variabel harus berbentuk NAMA=0 atau NAMA=1, bukan "${a}"`);
+      const name = opts.ident ? match[1] : match[1].toUpperCase();
+      if (!vars.includes(name)) throw new Error(`variabel ${name} tidak ada dalam ekspresi (${vars.join(', ')})`);
+      env[name] = Number(match[2]);
+    });
+    const missing = vars.filter(v => !(v in env));
+    if (missing.length) throw new Error(`nilai belum diberikan untuk: ${missing.join(', ')}`);
+
+    const y = evalRPN(rpn, env);
+    return opts.json ? JSON.stringify({ env, y }) : String(y);
+  }
+
+  const cells = buildTruthTable(vars, rpn).map(r => r.y);
+  const forms = canonicalForms(vars, cells);
+  const res = minimize(vars, cells, opts);
+
+  if (opts.json) {
+    return JSON.stringify({ vars, sigma: forms.sigma, pi: forms.pi, ...resultJSON(res) });
+  }
+  return [
+    `Variabel : ${vars.join(', ') || '—'}`,
+    `Minterm  : ${forms.sigma}`,
+    `Maxterm  : ${forms.pi}`,
+    `${res.mode} min  : ${res.result}`
+  ].join('\n');
+}
+
+function cmdCompare(args, opts) {
+  if (args.length !== 2) throw new Error('compare membutuhkan dua ekspresi');
+  const cmp = compareExpressions(args[0], args[1], { identifiers: !!opts.ident });
+
+  if (opts.json) return { code: cmp.equivalent ? 0 : 1, text: JSON.stringify({ vars: cmp.vars, equivalent: cmp.equivalent, diffs: cmp.diffs }) };
+  if (cmp.equivalent) return { code: 0, text: `EKUIVALEN (${cmp.vars.join(', ') || 'konstan'})` };
+
+  const shown = cmp.diffs.slice(0, 8).map(m => `m${m}`).join(', ');
+  const more = cmp.diffs.length > 8 ? `, … (${cmp.diffs.length} baris)` : '';
+  return { code: 1, text: `TIDAK EKUIVALEN — berbeda di ${shown}${more}` };
+}
+
+const COMMANDS = { simplify: cmdSimplify, table: cmdTable, eval: cmdEval, compare: cmdCompare };
+
+function main(argv) {
+  try {
+    const { args, opts } = parseArgs(argv);
+    const [command, ...rest] = args;
+    if (opts.help || !command) {
+      console.log(USAGE);
+      return command || opts.help ? 0 : 2;
+    }
+    if (!COMMANDS[command]) throw new Error(`perintah tidak dikenal: ${command}`);
+
+    const out = COMMANDS[command](rest, opts);
+    const { code, text } = typeof out === 'string' ? { code: 0, text: out } : out;
+    console.log(text);
+    return code;
+  } catch (e) {
+    console.error(`kmap: ${e.message}`);
+    return 2;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
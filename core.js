@@ -0,0 +1,3777 @@
+/* =============================================================================
+   BOOLEAN ALGEBRA & KARNAUGH MAP SIMULATOR — LOGIC CORE
+   Kelompok Pusay - Rangkaian Digital
+   
+   DESKRIPSI:
+   Modul ES tanpa DOM yang berisi seluruh logika simulator: parser ekspresi,
+   evaluator, Quine-McCluskey, derivasi aljabar, layout K-Map, tabel
+   kebenaran, rangkaian gerbang serta ekspor HDL dan LaTeX. Dipakai oleh halaman (script.js), Web Worker (worker.js),
+   CLI (cli.js) dan bisa di-import dari Node:
+   
+     import { tokenize, parse, toRPN, buildTruthTable, qmSimplify } from './core.js';
+   
+   API UTAMA:
+   - tokenize(src, {identifiers})        → token [{type, value, pos, end}]
+   - parse(tokens)                       → syntax tree; ParseError dengan span sumber
+   - toRPN(tokens), astToRPN(ast)        → RPN
+   - evalRPN(rpn, env), evalAST(ast, env) → 0 | 1   (env: {A: 0, B: 1, ...})
+   - extractVars(src, {identifiers})     → nama variabel terurut
+   - buildTruthTable(vars, rpn)          → [{m, env, y}]
+   - qmSimplify(minterms, dontcares, vars, 'SOP' | 'POS', {cover, trace, onProgress})
+                                         → {implicants, result, exact, steps}
+                                           cube integer (value, dashes) dan tabel cover
+                                           bitset, hingga MAX_QM_VARS (16) variabel
+   - qmSimplifyClassic(...)              → implementasi lama berbasis string (referensi
+                                           untuk tes dan benchmark, hasil identik)
+   - espressoSimplify(minterms, dontcares, vars, mode, {onProgress})
+                                         → heuristik expand / irredundant / reduce
+   - minimizeTerms(minterms, dontcares, vars, mode, {algorithm: 'qm' | 'espresso', ...})
+                                         → hasil minimizer + {algorithm, literals}
+   - minimizeCells(vars, cells, mode, options) → minimizeTerms dari array sel
+   - qmMultiOutput([{minterms, dontcares}], vars) → term bersama antar output
+   - parseTermInput(text, 2^n, 'minterm' | 'maxterm')
+                                         → {minterms, dontcares, kind}
+   - termInputWidth(text)                → jumlah variabel minimal untuk indeks terbesar
+   - canonicalForms(vars, cells)         → {sigma, pi, sop, pos}
+   - compareExpressions(src1, src2)      → {vars, rows, diffs, equivalent}
+   - deriveSimplification(ast, vars)     → langkah hukum Boolean
+   - kmapLayoutForVars(n, names), kmapGroupPieces(mask, layout) → geometri K-Map
+   - runJob(job, onProgress)             → tabel kebenaran + minimasi (worker.js)
+   - runComparison(job, minimized)       → waktu qmSimplifyClassic untuk benchmark
+   - buildCircuit(ast), implicantsToAST(impls, vars, mode) → netlist {nodes, output}
+   - simulateCircuit(circuit, env), circuitCost(circuit), circuitToSVG(circuit, vars)
+   - universalFromAST(ast, 'NAND' | 'NOR'), twoLevelUniversal(impls, vars, mode)
+                                         → netlist hanya NAND / NOR; universalToExpr → teks
+   - generateHDL(spec, {lang, style}), generateTestbench(spec, {lang})
+                                         → modul Verilog / VHDL dan testbench
+   - latexExport(spec)                   → {table, kmap, result, document}
+   
+   Sel fungsi ditulis sebagai array 0 / 1 / 'd' per minterm; implicant sebagai
+   mask string, misal '1-0' = A C' (SOP) atau (A' + C) (POS).
+   
+   STRUKTUR KODE:
+   1. Constants & Utilities (Gray Code, Helper Functions)
+   2. Tokenizer (Lexical Analysis)
+   3. Parser (Precedence Climbing → Syntax Tree)
+   4. RPN Evaluator
+   5. Quine-McCluskey Algorithm (SOP & POS), Notasi Term
+   5b. Algebraic Derivation (Boolean Laws)
+   5c. Espresso Heuristic Minimizer
+   6. K-Map Layout Generation
+   7. Truth Table Generation, Multi-Output, Perbandingan
+   7b. Minimizer Jobs (worker.js)
+   7c. Gate Circuit Diagram (SVG)
+   7d. HDL Export (Verilog / VHDL)
+   7e. LaTeX Export (Tabel, K-Map TikZ, Hasil)
+   
+============================================================================= */
+
+/* =============================================================================
+   1. CONSTANTS & UTILITIES
+============================================================================= */
+const GRAY2 = [0, 1];                    // 2-bit Gray: 00, 01
+const GRAY4 = [0, 1, 3, 2];              // 4-bit Gray: 00, 01, 11, 10
+export const MAX_VARS = 6;                       // K-Map maximum variables
+export const MAX_TRUTH_TABLE_VARS = 8;           // Truth table maximum
+export const DEFAULT_VAR_NAMES = [...'ABCDEFGHIJKLMNOP'];   // One per variable up to MAX_QM_VARS
+
+// Operator precedence (higher binds tighter) and associativity:
+// NOT > AND, NAND > XOR, XNOR > OR, NOR > IMP (->) > EQ (<->)
+const NOT_PRECEDENCE = 6;
+const BINARY_OPS = {
+  AND:  { precedence: 5, associativity: 'left' },
+  NAND: { precedence: 5, associativity: 'left' },   // A↑B↑C = (A↑B)↑C
+  XOR:  { precedence: 4, associativity: 'left' },
+  XNOR: { precedence: 4, associativity: 'left' },
+  OR:   { precedence: 3, associativity: 'left' },
+  NOR:  { precedence: 3, associativity: 'left' },   // A↓B↓C = (A↓B)↓C
+  IMP:  { precedence: 2, associativity: 'right' },  // A→B→C = A→(B→C)
+  EQ:   { precedence: 1, associativity: 'left' }
+};
+
+// Operator spellings, longest first so '<->' wins over '->'
+const OPERATOR_SYMBOLS = [
+  ['<->', 'EQ'], ['<=>', 'EQ'], ['↔', 'EQ'], ['⇔', 'EQ'], ['≡', 'EQ'],
+  ['->', 'IMP'], ['=>', 'IMP'], ['→', 'IMP'], ['⇒', 'IMP'],
+  ['==', 'XNOR'], ['⊙', 'XNOR'],
+  ['↑', 'NAND'], ['⊼', 'NAND'],
+  ['↓', 'NOR'], ['⊽', 'NOR'],
+  ['&', 'AND'], ['*', 'AND'], ['∧', 'AND'], ['·', 'AND'], ['⋅', 'AND'],
+  ['+', 'OR'], ['|', 'OR'], ['∨', 'OR'],
+  ['^', 'XOR'], ['⊕', 'XOR']
+];
+const PREFIX_NOT = ['!', '~', '¬'];
+const POSTFIX_NOT = ["'", '’'];           // ASCII and typographic apostrophe
+export const PETRICK_MAX_PRODUCTS = 2000;        // Petrick expansion limit before greedy fallback
+export const MAX_QM_VARS = 16;                   // Bit-parallel Quine-McCluskey limit
+export const GROUP_COLORS = [                    // K-Map group loop colors (page, SVG and LaTeX exports)
+  '#ff6b97', '#4ecca3', '#ffb020', '#5aa4ff',
+  '#c77dff', '#ff7a45', '#2ec4d6', '#a3d435'
+];
+export const toBin = (n, width) => n.toString(2).padStart(width, '0');
+
+/**
+ * Extract and sort unique variables from expression
+ * @param {Array} vars - Array of variable characters
+ * @returns {Array} Sorted unique variables
+ */
+function uniqueSortedVars(vars) {
+  const set = new Set(vars.map(v => v.toUpperCase()));
+  return Array.from(set).sort();
+}
+
+/**
+ * Natural order for identifier names (S2 before S10)
+ */
+export function compareVarNames(a, b) {
+  return a.localeCompare(b, 'en', { numeric: true });
+}
+
+/**
+ * Extract all variables from expression string
+ * @param {string} expr - Boolean expression
+ * @param {Object} options - {identifiers: boolean} multi-character names
+ * @returns {Array} Array of unique sorted variables
+ */
+export function extractVars(expr, options = {}) {
+  if (options.identifiers) {
+    const names = tokenize(expr, options)
+      .filter(t => t.type === 'VAR')
+      .map(t => t.value);
+    return Array.from(new Set(names)).sort(compareVarNames);
+  }
+  
+  const vars = (expr.match(/[A-Za-z]/g) || []).map(ch => ch.toUpperCase());
+  return uniqueSortedVars(vars);
+}
+
+/**
+ * Join names so multi-character identifiers stay readable (and re-parseable)
+ */
+export function joinVarNames(names, sep = ' ') {
+  return names.join(names.some(v => v.length > 1) ? sep : '');
+}
+
+/* =============================================================================
+   2. TOKENIZER (Lexical Analysis)
+   Converts expression string into tokens
+   
+   Default mode: every letter is one variable (AB = A AND B).
+   Identifier mode: names like S0, En, Cin, x_3 (case-sensitive); adjacent
+   names need whitespace or an explicit AND (S0 S1 = S0 AND S1).
+   Every token records its source span {pos, end} for error diagnostics.
+============================================================================= */
+
+/**
+ * Syntax error with the source span it refers to
+ */
+export class ParseError extends Error {
+  /**
+   * @param {string} message - Error message (Bahasa Indonesia)
+   * @param {number} pos - Start index in the source string
+   * @param {number} end - End index (exclusive)
+   */
+  constructor(message, pos, end = pos + 1) {
+    super(message);
+    this.name = 'ParseError';
+    this.pos = pos;
+    this.end = end;
+  }
+}
+
+export function tokenize(raw, options = {}) {
+  const identifiers = !!options.identifiers;
+  const src = raw;
+  const tokens = [];
+  let i = 0;
+  
+  const push = (tok, len) => {
+    tok.pos = i;
+    tok.end = i + len;
+    tok.text = src.slice(i, i + len);
+    tokens.push(tok);
+    i += len;
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+    
+    // Whitespace only separates tokens
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Identifiers (identifier mode only)
+    if (identifiers && /[A-Za-z_]/.test(ch)) {
+      let j = i + 1;
+      while (j < src.length && /[A-Za-z0-9_]/.test(src[j])) j++;
+      push({ type: 'VAR', value: src.slice(i, j) }, j - i);
+      continue;
+    }
+
+    // Number literals (0 or 1)
+    if (ch === '0' || ch === '1') {
+      push({ type: 'NUM', value: Number(ch) }, 1);
+      continue;
+    }
+
+    // Variables (A-Z, case insensitive)
+    if (/[A-Za-z]/.test(ch)) {
+      push({ type: 'VAR', value: ch.toUpperCase() }, 1);
+      continue;
+    }
+
+    // Parentheses
+    if (ch === '(') {
+      push({ type: 'LP' }, 1);
+      continue;
+    }
+    if (ch === ')') {
+      push({ type: 'RP' }, 1);
+      continue;
+    }
+
+    // Postfix NOT (') - berlaku untuk operand atau kurung sebelumnya: A', (A+B)', A''
+    if (POSTFIX_NOT.includes(ch)) {
+      push({
+        type: 'OP',
+        value: 'NOT',
+        unary: true,
+        postfix: true,
+        precedence: NOT_PRECEDENCE,
+        associativity: 'right'
+      }, 1);
+      continue;
+    }
+
+    // Prefix NOT operators (!, ~, ¬)
+    if (PREFIX_NOT.includes(ch)) {
+      push({
+        type: 'OP',
+        value: 'NOT',
+        unary: true,
+        precedence: NOT_PRECEDENCE,
+        associativity: 'right'
+      }, 1);
+      continue;
+    }
+
+    // Binary operators (see OPERATOR_SYMBOLS)
+    const sym = OPERATOR_SYMBOLS.find(([text]) => src.startsWith(text, i));
+    if (sym) {
+      const op = sym[1];
+      push({
+        type: 'OP',
+        value: op,
+        precedence: BINARY_OPS[op].precedence,
+        associativity: BINARY_OPS[op].associativity
+      }, sym[0].length);
+      continue;
+    }
+
+    throw new ParseError(`Karakter tidak dikenali '${ch}' pada kolom ${i + 1}`, i);
+  }
+  return tokens;
+}
+
+/* =============================================================================
+   3. PARSER (Precedence Climbing)
+   Builds a syntax tree from tokens. Node types:
+     {type: 'var', name}   {type: 'const', value}
+     {type: 'not', arg}    {type: 'bin', op, left, right}
+   Every node carries the source span {start, end} it was parsed from.
+============================================================================= */
+
+/**
+ * Check if token can begin an operand/expression
+ */
+function beginsOperand(tok) {
+  return tok && (
+    tok.type === 'VAR' || 
+    tok.type === 'NUM' || 
+    tok.type === 'LP' || 
+    (tok.type === 'OP' && tok.value === 'NOT' && !tok.postfix)
+  );
+}
+
+/**
+ * Display form of a token for error messages
+ */
+function tokenLabel(tok) {
+  return tok.text || tok.value || '';
+}
+
+/**
+ * Parse tokens into a syntax tree
+ * Supports implicit AND between adjacent operands and postfix NOT on any
+ * sub-expression, e.g. (A+B)'C
+ * @param {Array} tokens - Array of tokens from tokenizer
+ * @returns {Object} Root node of the syntax tree
+ * @throws {ParseError} With the span of the offending token
+ */
+export function parse(tokens) {
+  let k = 0;
+  const peek = () => tokens[k];
+  const col = tok => tok.pos + 1;
+  
+  // Report a missing operand at the current position
+  const missingOperand = () => {
+    const tok = peek();
+    const prev = tokens[k - 1];
+    
+    if (prev && (prev.type === 'OP' || prev.type === 'LP')) {
+      return new ParseError(
+        `Operand hilang setelah '${tokenLabel(prev)}' pada kolom ${col(prev)}`,
+        prev.pos, prev.end
+      );
+    }
+    if (!tok) {
+      return new ParseError('Ekspresi kosong', 0);
+    }
+    if (tok.type === 'RP') {
+      return new ParseError(`Operand hilang sebelum ')' pada kolom ${col(tok)}`, tok.pos, tok.end);
+    }
+    if (tok.postfix) {
+      return new ParseError(`Operator NOT postfix '${tokenLabel(tok)}' pada kolom ${col(tok)} tidak memiliki operand`, tok.pos, tok.end);
+    }
+    return new ParseError(`Operand hilang sebelum '${tokenLabel(tok)}' pada kolom ${col(tok)}`, tok.pos, tok.end);
+  };
+  
+  function parsePrimary() {
+    const tok = peek();
+    
+    if (tok && tok.type === 'VAR') {
+      k++;
+      return { type: 'var', name: tok.value, start: tok.pos, end: tok.end };
+    }
+    
+    if (tok && tok.type === 'NUM') {
+      k++;
+      return { type: 'const', value: tok.value, start: tok.pos, end: tok.end };
+    }
+    
+    if (tok && tok.type === 'LP') {
+      k++;
+      const inner = parseExpr(0);
+      const close = peek();
+      if (!close || close.type !== 'RP') {
+        throw new ParseError(`Kurung buka '(' pada kolom ${col(tok)} tidak ditutup dengan ')'`, tok.pos, tok.end);
+      }
+      k++;
+      return Object.assign({}, inner, { start: tok.pos, end: close.end, paren: true });
+    }
+    
+    throw missingOperand();
+  }
+  
+  function parseUnary() {
+    const tok = peek();
+    
+    // Prefix NOT applies to the whole following unary expression
+    if (tok && tok.type === 'OP' && tok.value === 'NOT' && !tok.postfix) {
+      k++;
+      const arg = parseUnary();
+      return { type: 'not', arg, start: tok.pos, end: arg.end };
+    }
+    
+    let node = parsePrimary();
+    
+    // Postfix NOT - dapat berulang (A'', (A+B)')
+    while (peek() && peek().postfix) {
+      const t = peek();
+      k++;
+      node = { type: 'not', arg: node, postfix: true, start: node.start, end: t.end };
+    }
+    return node;
+  }
+  
+  function parseExpr(minPrec) {
+    let left = parseUnary();
+    
+    while (peek()) {
+      const tok = peek();
+      let op, prec, assoc, implicit = false;
+      
+      if (tok.type === 'OP' && !tok.unary) {
+        op = tok.value;
+        prec = tok.precedence;
+        assoc = tok.associativity;
+      } else if (beginsOperand(tok)) {
+        // Implicit AND between adjacent operands: AB, A(B+C), (A)(B)
+        op = 'AND';
+        prec = BINARY_OPS.AND.precedence;
+        assoc = 'left';
+        implicit = true;
+      } else {
+        break;
+      }
+      
+      if (prec < minPrec) break;
+      if (!implicit) k++;
+      
+      const right = parseExpr(assoc === 'left' ? prec + 1 : prec);
+      left = { type: 'bin', op, left, right, implicit, start: left.start, end: right.end };
+    }
+    
+    return left;
+  }
+  
+  if (!tokens.length) {
+    throw new ParseError('Ekspresi kosong', 0);
+  }
+  
+  const root = parseExpr(0);
+  
+  const rest = peek();
+  if (rest) {
+    if (rest.type === 'RP') {
+      throw new ParseError(`Kurung tutup ')' pada kolom ${col(rest)} tidak memiliki pasangan '('`, rest.pos, rest.end);
+    }
+    throw new ParseError(`Token tidak terduga '${tokenLabel(rest)}' pada kolom ${col(rest)}`, rest.pos, rest.end);
+  }
+  
+  return root;
+}
+
+/**
+ * Convert a syntax tree to RPN (Reverse Polish Notation) tokens
+ */
+export function astToRPN(node, out = []) {
+  if (node.type === 'var') {
+    out.push({ type: 'VAR', value: node.name });
+  } else if (node.type === 'const') {
+    out.push({ type: 'NUM', value: node.value });
+  } else if (node.type === 'not') {
+    astToRPN(node.arg, out);
+    out.push({ type: 'OP', value: 'NOT', unary: true });
+  } else {
+    astToRPN(node.left, out);
+    astToRPN(node.right, out);
+    out.push({ type: 'OP', value: node.op });
+  }
+  return out;
+}
+
+/**
+ * Convert infix tokens to RPN via the syntax tree
+ * @param {Array} tokens - Array of tokens from tokenizer
+ * @returns {Array} Tokens in RPN order
+ */
+export function toRPN(tokens) {
+  return astToRPN(parse(tokens));
+}
+
+/* =============================================================================
+   4. RPN EVALUATOR
+   Evaluates RPN expression with given variable environment
+============================================================================= */
+/**
+ * Apply a binary operator to two boolean operands
+ */
+function applyBinaryOp(op, a, b) {
+  a = Boolean(a);
+  b = Boolean(b);
+  switch (op) {
+    case 'AND': return a && b;
+    case 'OR': return a || b;
+    case 'XOR': return a !== b;
+    case 'NAND': return !(a && b);
+    case 'NOR': return !(a || b);
+    case 'XNOR':
+    case 'EQ': return a === b;
+    case 'IMP': return !a || b;
+    default: throw new Error(`Operator tidak dikenal: ${op}`);
+  }
+}
+
+/**
+ * Evaluate a syntax tree directly
+ * @param {Object} node - Node from parse()
+ * @param {Object} env - Variable values {A: 0, B: 1, ...}
+ * @returns {number} Result (0 or 1)
+ */
+export function evalAST(node, env) {
+  switch (node.type) {
+    case 'const': return node.value ? 1 : 0;
+    case 'var':
+      if (!(node.name in env)) {
+        throw new Error(`Variabel ${node.name} tidak didefinisikan dalam environment`);
+      }
+      return env[node.name] ? 1 : 0;
+    case 'not': return evalAST(node.arg, env) ? 0 : 1;
+    default: return applyBinaryOp(node.op, evalAST(node.left, env), evalAST(node.right, env)) ? 1 : 0;
+  }
+}
+
+/**
+ * Evaluate RPN expression
+ * @param {Array} rpn - Tokens in RPN order
+ * @param {Object} env - Variable values {A: 0, B: 1, ...}
+ * @returns {number} Result (0 or 1)
+ */
+export function evalRPN(rpn, env) {
+  const stack = [];
+  
+  for (const token of rpn) {
+    if (token.type === 'NUM') {
+      stack.push(!!token.value);
+    } 
+    else if (token.type === 'VAR') {
+      if (!(token.value in env)) {
+        throw new Error(`Variabel ${token.value} tidak didefinisikan dalam environment`);
+      }
+      stack.push(!!env[token.value]);
+    } 
+    else if (token.type === 'OP') {
+      if (token.value === 'NOT') {
+        if (stack.length < 1) {
+          throw new Error("Operator NOT membutuhkan 1 operand");
+        }
+        const a = stack.pop();
+        stack.push(!a);
+      } else {
+        if (stack.length < 2) {
+          throw new Error(`Operator ${token.value} membutuhkan 2 operand`);
+        }
+        const b = stack.pop();
+        const a = stack.pop();
+        stack.push(applyBinaryOp(token.value, a, b));
+      }
+    }
+  }
+  
+  if (stack.length !== 1) {
+    throw new Error("Ekspresi tidak valid - periksa sintaks dengan teliti");
+  }
+  
+  return stack[0] ? 1 : 0;
+}
+
+/* =============================================================================
+   5. QUINE-MCCLUSKEY ALGORITHM
+   Boolean function minimization algorithm
+============================================================================= */
+
+/**
+ * Count number of 1's in binary string
+ */
+function countOnes(binStr) {
+  return binStr.split('').filter(c => c === '1').length;
+}
+
+/**
+ * Check if two binary strings differ by exactly 1 bit
+ */
+function canCombine(a, b) {
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) diff++;
+    if (diff > 1) return false;
+  }
+  return diff === 1;
+}
+
+/**
+ * Combine two binary strings (differing bit becomes '-')
+ */
+function combine(a, b) {
+  let result = '';
+  for (let i = 0; i < a.length; i++) {
+    result += (a[i] === b[i]) ? a[i] : '-';
+  }
+  return result;
+}
+
+/**
+ * Check if implicant covers a minterm
+ */
+function covers(implicant, mintermBin) {
+  for (let i = 0; i < implicant.length; i++) {
+    if (implicant[i] === '-') continue;
+    if (implicant[i] !== mintermBin[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Count literals of an implicant mask (non '-' positions)
+ */
+export function countLiterals(mask) {
+  return mask.length - (mask.match(/-/g) || []).length;
+}
+
+/**
+ * Petrick's method: exact minimum cover of the remaining chart rows.
+ * Expands the product of sums (P1 + P2)(P2 + P3)... with absorption, then
+ * picks the product with the fewest primes, then the fewest literals.
+ * This is the Set-based version used by qmSimplifyClassic.
+ * @param {Array} rows - Uncovered row indices
+ * @param {Object} cover - cover[row] = prime indices covering that row
+ * @param {Array} primeList - Prime implicant masks
+ * @returns {Array|null} Chosen prime indices, or null if the expansion grew past PETRICK_MAX_PRODUCTS
+ */
+function petrickCoverClassic(rows, cover, primeList) {
+  let products = [new Set()];
+  
+  for (const i of rows) {
+    const next = new Map();
+    for (const p of products) {
+      // Product already covers this row: X(X + Y) = X
+      if (cover[i].some(j => p.has(j))) {
+        next.set([...p].sort((a, b) => a - b).join(','), p);
+        continue;
+      }
+      for (const j of cover[i]) {
+        const q = new Set(p);
+        q.add(j);
+        next.set([...q].sort((a, b) => a - b).join(','), q);
+      }
+    }
+    
+    // Absorption: drop products that contain a smaller product
+    const sorted = [...next.values()].sort((a, b) => a.size - b.size);
+    products = [];
+    for (const p of sorted) {
+      if (!products.some(q => q.size < p.size && [...q].every(j => p.has(j)))) {
+        products.push(p);
+      }
+    }
+    
+    if (products.length > PETRICK_MAX_PRODUCTS) return null;
+  }
+  
+  const cost = p => [...p].reduce((sum, j) => sum + countLiterals(primeList[j]), 0);
+  let best = null;
+  for (const p of products) {
+    if (!best || p.size < best.size || (p.size === best.size && cost(p) < cost(best))) {
+      best = p;
+    }
+  }
+  return [...best];
+}
+
+/**
+ * Quine-McCluskey on '0'/'1'/'-' strings — the original implementation, kept
+ * as the reference that qmSimplify is tested and benchmarked against.
+ * Practical up to about 8 variables.
+ * @param {Array} minterms - Array of minterm indices
+ * @param {Array} dontcares - Array of don't care indices
+ * @param {Array} varNames - Variable names
+ * @param {string} mode - 'SOP' or 'POS'
+ * @param {Object} options - {cover: 'exact' (Petrick) | 'greedy', trace: boolean, onProgress}
+ *   onProgress is called with {stage: 'combine', round, terms, primes},
+ *   {stage: 'primes', primes} and {stage: 'cover', covered, total, method}
+ * @returns {Object} {implicants: [], result: string, exact: boolean, method: string, steps?: Object}
+ */
+export function qmSimplifyClassic(minterms, dontcares, varNames, mode = 'SOP', options = {}) {
+  const coverMode = options.cover || 'exact';
+  const progress = options.onProgress || (() => {});
+  const allTerms = [...minterms, ...dontcares];
+  if (!allTerms.length) {
+    return { implicants: [], result: mode === 'SOP' ? '0' : '1', exact: true, method: 'essential', steps: null };
+  }
+  
+  // Intermediate tables for the step-by-step view
+  const steps = options.trace ? {
+    vars: varNames.slice(),
+    mode,
+    minterms: minterms.slice(),
+    dontcares: dontcares.slice(),
+    rounds: [],
+    primes: [],
+    chart: [],
+    essentials: [],
+    decisions: []
+  } : null;
+  
+  const W = varNames.length;
+  const bins = allTerms.map(m => toBin(m, W));
+  let groups = {};
+  
+  // Phase 1: Group by number of 1's
+  for (const b of bins) {
+    const k = countOnes(b);
+    if (!groups[k]) groups[k] = [];
+    groups[k].push({ bin: b, used: false, from: [b] });
+  }
+
+  let newGroups = {};
+  let anyCombined = true;
+  const allCombinedLevels = [];
+
+  // Phase 2: Iterative combination
+  while (anyCombined) {
+    anyCombined = false;
+    newGroups = {};
+    const keys = Object.keys(groups).map(Number).sort((a, b) => a - b);
+    
+    // Combine adjacent groups
+    for (let idx = 0; idx < keys.length - 1; idx++) {
+      const k1 = keys[idx];
+      const k2 = keys[idx + 1];
+      const g1 = groups[k1] || [];
+      const g2 = groups[k2] || [];
+      
+      for (const a of g1) {
+        for (const b of g2) {
+          if (canCombine(a.bin, b.bin)) {
+            const c = combine(a.bin, b.bin);
+            const ones = countOnes(c.replace(/-/g, ''));
+            const item = {
+              bin: c,
+              used: false,
+              from: [...new Set([...(a.from || []), ...(b.from || [])])]
+            };
+            
+            if (!newGroups[ones]) newGroups[ones] = [];
+            newGroups[ones].push(item);
+            
+            a.used = true;
+            b.used = true;
+            anyCombined = true;
+          }
+        }
+      }
+    }
+    
+    // Deduplicate new groups (same mask = same cube, whatever pair formed it)
+    for (const k in newGroups) {
+      const unique = [];
+      const seen = new Set();
+      for (const it of newGroups[k]) {
+        const key = it.bin;
+        if (!seen.has(key)) {
+          seen.add(key);
+          unique.push(it);
+        }
+      }
+      newGroups[k] = unique;
+    }
+    
+    // Collect prime implicants (unused terms)
+    const primes = [];
+    for (const k in groups) {
+      for (const it of groups[k]) {
+        if (!it.used) primes.push(it.bin);
+      }
+    }
+    allCombinedLevels.push(primes);
+    progress({
+      stage: 'combine',
+      round: allCombinedLevels.length,
+      terms: Object.values(groups).reduce((sum, g) => sum + g.length, 0),
+      primes: allCombinedLevels.reduce((sum, level) => sum + level.length, 0)
+    });
+    
+    if (steps) {
+      steps.rounds.push(Object.keys(groups).map(Number).sort((a, b) => a - b).map(k => ({
+        ones: k,
+        items: groups[k].map(it => ({
+          bin: it.bin,
+          from: it.from.map(b => parseInt(b, 2)).sort((a, b) => a - b),
+          used: it.used
+        }))
+      })));
+    }
+    groups = newGroups;
+  }
+  
+  // Phase 3: Collect all prime implicants
+  const finalPrimes = new Set();
+  for (const arr of allCombinedLevels) {
+    for (const p of arr) finalPrimes.add(p);
+  }
+  for (const k in groups) {
+    for (const it of groups[k]) finalPrimes.add(it.bin);
+  }
+  const primeList = Array.from(finalPrimes);
+  progress({ stage: 'primes', primes: primeList.length });
+
+  // Phase 4: Prime implicant chart (cover only actual minterms, not don't cares)
+  const minBin = minterms.map(m => toBin(m, W));
+  const cover = {};
+  
+  for (let i = 0; i < minBin.length; i++) {
+    cover[i] = [];
+    for (let j = 0; j < primeList.length; j++) {
+      if (covers(primeList[j], minBin[i])) {
+        cover[i].push(j);
+      }
+    }
+  }
+  
+  // Phase 5: Find essential prime implicants
+  const chosen = new Set();
+  const coveredRows = new Set();
+  
+  for (let i = 0; i < minBin.length; i++) {
+    if (cover[i].length === 1) {
+      const j = cover[i][0];
+      chosen.add(j);
+      if (steps) steps.essentials.push({ prime: j, minterm: minterms[i] });
+    }
+  }
+  
+  if (steps) {
+    steps.primes = primeList.map(mask => ({
+      mask,
+      terms: allTerms.filter(m => covers(mask, toBin(m, W))).sort((a, b) => a - b)
+    }));
+    steps.chart = minterms.map((m, i) => ({ minterm: m, primes: cover[i].slice() }));
+    for (const j of chosen) {
+      steps.decisions.push({
+        type: 'essential',
+        prime: j,
+        minterms: steps.essentials.filter(e => e.prime === j).map(e => e.minterm)
+      });
+    }
+  }
+  
+  // Helper: Mark covered rows
+  const markCovered = () => {
+    let changed = false;
+    for (let i = 0; i < minBin.length; i++) {
+      if (coveredRows.has(i)) continue;
+      for (const j of (cover[i] || [])) {
+        if (chosen.has(j)) {
+          coveredRows.add(i);
+          changed = true;
+          break;
+        }
+      }
+    }
+    return changed;
+  };
+  markCovered();
+  progress({ stage: 'cover', covered: coveredRows.size, total: minBin.length, method: 'essential' });
+
+  // Phase 6: Cover remaining rows (Petrick, or greedy as fallback)
+  let method = 'essential';
+  
+  if (coveredRows.size < minBin.length && coverMode === 'exact') {
+    const rest = [];
+    for (let i = 0; i < minBin.length; i++) {
+      if (!coveredRows.has(i)) rest.push(i);
+    }
+    progress({ stage: 'cover', covered: coveredRows.size, total: minBin.length, method: 'petrick' });
+    const picked = petrickCoverClassic(rest, cover, primeList);
+    if (picked) {
+      picked.forEach(j => chosen.add(j));
+      markCovered();
+      method = 'petrick';
+    }
+    if (steps) {
+      steps.decisions.push({
+        type: picked ? 'petrick' : 'petrick-limit',
+        minterms: rest.map(i => minterms[i]),
+        sums: rest.map(i => cover[i].slice()),
+        picked: picked || []
+      });
+    }
+  }
+  
+  if (coveredRows.size < minBin.length) method = 'greedy';
+  
+  while (coveredRows.size < minBin.length) {
+    let bestJ = -1;
+    let bestCoverCount = -1;
+    
+    for (let j = 0; j < primeList.length; j++) {
+      if (!chosen.has(j)) {
+        let count = 0;
+        for (let i = 0; i < minBin.length; i++) {
+          if (coveredRows.has(i)) continue;
+          if (cover[i].includes(j)) count++;
+        }
+        if (count > bestCoverCount) {
+          bestCoverCount = count;
+          bestJ = j;
+        }
+      }
+    }
+    
+    if (bestJ === -1) break; // Should not happen if input is valid
+    chosen.add(bestJ);
+    markCovered();
+    progress({ stage: 'cover', covered: coveredRows.size, total: minBin.length, method: 'greedy' });
+    if (steps) steps.decisions.push({ type: 'greedy', prime: bestJ, count: bestCoverCount });
+  }
+
+  // Phase 7: Convert to SOP or POS
+  const implicants = Array.from(chosen).map(j => primeList[j]);
+  
+  const exact = method !== 'greedy';
+  if (steps) steps.chosen = Array.from(chosen);
+  
+  if (mode === 'SOP') {
+    const sop = implicantsToSOP(implicants, varNames);
+    return { implicants, result: sop, exact, method, steps };
+  } else {
+    const pos = implicantsToPOS(implicants, varNames);
+    return { implicants, result: pos, exact, method, steps };
+  }
+}
+
+/**
+ * Number of 1 bits in a 32-bit integer
+ */
+function popcount(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return (((x + (x >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Implicant mask of a cube: value bits, with the bits set in dashes printed as '-'
+ */
+function cubeToMask(value, dashes, width) {
+  let mask = '';
+  for (let i = width - 1; i >= 0; i--) {
+    const bit = 1 << i;
+    mask += (dashes & bit) ? '-' : ((value & bit) ? '1' : '0');
+  }
+  return mask;
+}
+
+/**
+ * Minterms inside a cube, ascending (value has 0s at the dash positions)
+ */
+function cubeMinterms(value, dashes) {
+  const out = [];
+  let sub = 0;
+  do {
+    out.push(value | sub);
+    sub = (sub - dashes) & dashes;      // next subset of the dash bits, in increasing order
+  } while (sub !== 0);
+  return out;
+}
+
+/**
+ * Petrick's method on bitsets: each product is a bitset over the primes that
+ * occur in the remaining rows, so "already covers this row" and absorption
+ * are word operations. Expansion order and tie-breaking follow
+ * petrickCoverClassic, so both pick the same cover.
+ * @param {Array} rows - Uncovered row indices
+ * @param {Array} cover - cover[row] = prime indices covering that row
+ * @param {Array} primeList - Prime implicant masks
+ * @returns {Array|null} Chosen prime indices, or null if the expansion grew past PETRICK_MAX_PRODUCTS
+ */
+function petrickCover(rows, cover, primeList) {
+  const local = new Map();                // prime index → bit position
+  rows.forEach(i => cover[i].forEach(j => { if (!local.has(j)) local.set(j, local.size); }));
+  const words = Math.max(1, (local.size + 31) >>> 5);
+  const has = (bits, b) => (bits[b >>> 5] & (1 << (b & 31))) !== 0;
+  
+  // order keeps the primes in the sequence they were added (the order of the result)
+  let products = [{ bits: new Uint32Array(words), size: 0, order: [] }];
+  
+  for (const i of rows) {
+    const next = new Map();
+    for (const p of products) {
+      // Product already covers this row: X(X + Y) = X
+      if (cover[i].some(j => has(p.bits, local.get(j)))) {
+        next.set(p.bits.join(','), p);
+        continue;
+      }
+      for (const j of cover[i]) {
+        const b = local.get(j);
+        const bits = p.bits.slice();
+        bits[b >>> 5] |= 1 << (b & 31);
+        next.set(bits.join(','), { bits, size: p.size + 1, order: [...p.order, j] });
+      }
+    }
+    
+    // Absorption: drop products that contain a smaller product
+    // (kept products are sorted by size, so only a prefix can be smaller)
+    const sorted = [...next.values()].sort((a, b) => a.size - b.size);
+    products = [];
+    for (const p of sorted) {
+      let absorbed = false;
+      for (let k = 0; k < products.length && products[k].size < p.size && !absorbed; k++) {
+        const q = products[k].bits;
+        absorbed = true;
+        for (let w = 0; w < words; w++) {
+          if (q[w] & ~p.bits[w]) {
+            absorbed = false;
+            break;
+          }
+        }
+      }
+      if (!absorbed && products.push(p) > PETRICK_MAX_PRODUCTS) return null;
+    }
+  }
+  
+  const cost = p => p.order.reduce((sum, j) => sum + countLiterals(primeList[j]), 0);
+  let best = null;
+  for (const p of products) {
+    if (!best || p.size < best.size || (p.size === best.size && cost(p) < cost(best))) {
+      best = p;
+    }
+  }
+  return best.order;
+}
+
+/**
+ * Quine-McCluskey minimization on integer cubes, for up to MAX_QM_VARS variables.
+ * An implicant is a (value, dashes) pair of bit patterns. Partners are found by
+ * hashing instead of comparing every pair of neighbouring groups, and the cover
+ * left after the essential primes is solved on bitsets of chart rows.
+ * Primes, chart and cover come out in the same order as qmSimplifyClassic, so
+ * both return the same implicants.
+ * @param {Array} minterms - Array of minterm indices
+ * @param {Array} dontcares - Array of don't care indices
+ * @param {Array} varNames - Variable names
+ * @param {string} mode - 'SOP' or 'POS'
+ * @param {Object} options - {cover: 'exact' (Petrick) | 'greedy', trace: boolean, onProgress}
+ *   onProgress is called with {stage: 'combine', round, terms, primes},
+ *   {stage: 'primes', primes} and {stage: 'cover', covered, total, method}
+ * @returns {Object} {implicants: [], result: string, exact: boolean, method: string, steps?: Object}
+ */
+export function qmSimplify(minterms, dontcares, varNames, mode = 'SOP', options = {}) {
+  const coverMode = options.cover || 'exact';
+  const progress = options.onProgress || (() => {});
+  const allTerms = [...minterms, ...dontcares];
+  if (!allTerms.length) {
+    return { implicants: [], result: mode === 'SOP' ? '0' : '1', exact: true, method: 'essential', steps: null };
+  }
+  
+  const W = varNames.length;
+  if (W > MAX_QM_VARS) throw new Error(`Quine-McCluskey mendukung maksimal ${MAX_QM_VARS} variabel (diberikan ${W})`);
+  const size = 2 ** W;
+  const key = (value, dashes) => dashes * size + value;
+  
+  const steps = options.trace ? {
+    vars: varNames.slice(),
+    mode,
+    minterms: minterms.slice(),
+    dontcares: dontcares.slice(),
+    rounds: [],
+    primes: [],
+    chart: [],
+    essentials: [],
+    decisions: []
+  } : null;
+  
+  // Phase 1: Cubes without dashes, ordered by number of 1's
+  const byOnes = [];
+  const seenTerms = new Set();
+  for (const m of allTerms) {
+    if (seenTerms.has(m)) continue;
+    seenTerms.add(m);
+    (byOnes[popcount(m)] ||= []).push(m);
+  }
+  let values = byOnes.flat();
+  let dashes = new Array(values.length).fill(0);
+  
+  // Phase 2: Combine cubes that differ in one bit, one round per number of dashes
+  const primes = [];                      // [value, dashes]
+  let round = 0;
+  while (values.length) {
+    round++;
+    const index = new Map();
+    values.forEach((v, i) => index.set(key(v, dashes[i]), i));
+    const used = new Uint8Array(values.length);
+    const nextValues = [];
+    const nextDashes = [];
+    const nextSeen = new Set();
+    
+    for (let i = 0; i < values.length; i++) {
+      const v = values[i];
+      const d = dashes[i];
+      
+      // Partners have the same dashes and one extra 1 where this cube has a 0
+      const partners = [];
+      let free = (size - 1) & ~d & ~v;
+      while (free) {
+        const bit = free & -free;
+        free ^= bit;
+        const j = index.get(key(v | bit, d));
+        if (j !== undefined) partners.push([j, bit]);
+      }
+      partners.sort((a, b) => a[0] - b[0]);
+      
+      for (const [j, bit] of partners) {
+        used[i] = 1;
+        used[j] = 1;
+        const k = key(v, d | bit);
+        if (nextSeen.has(k)) continue;
+        nextSeen.add(k);
+        const ones = popcount(v);
+        (nextValues[ones] ||= []).push(v);
+        (nextDashes[ones] ||= []).push(d | bit);
+      }
+    }
+    
+    for (let i = 0; i < values.length; i++) {
+      if (!used[i]) primes.push([values[i], dashes[i]]);
+    }
+    progress({ stage: 'combine', round, terms: values.length, primes: primes.length });
+    
+    if (steps) {
+      const groups = new Map();
+      values.forEach((v, i) => {
+        const ones = popcount(v);
+        if (!groups.has(ones)) groups.set(ones, []);
+        groups.get(ones).push({ bin: cubeToMask(v, dashes[i], W), from: cubeMinterms(v, dashes[i]), used: !!used[i] });
+      });
+      steps.rounds.push([...groups].map(([ones, items]) => ({ ones, items })));
+    }
+    values = nextValues.flat();
+    dashes = nextDashes.flat();
+  }
+  
+  const primeList = primes.map(([v, d]) => cubeToMask(v, d, W));
+  progress({ stage: 'primes', primes: primeList.length });
+  
+  // Phase 3: Prime implicant chart (rows are the minterms, not the don't cares)
+  const rowOf = new Int32Array(size).fill(-1);
+  minterms.forEach((m, i) => { rowOf[m] = i; });
+  const cover = minterms.map(() => []);
+  const primeRows = primes.map(([v, d], j) => {
+    const rows = [];
+    for (const m of cubeMinterms(v, d)) {
+      if (rowOf[m] < 0) continue;
+      rows.push(rowOf[m]);
+      cover[rowOf[m]].push(j);
+    }
+    return rows;
+  });
+  
+  // Phase 4: Essential prime implicants
+  const chosen = new Set();
+  const covered = new Uint8Array(minterms.length);
+  let coveredCount = 0;
+  const choose = j => {
+    chosen.add(j);
+    for (const r of primeRows[j]) {
+      if (!covered[r]) {
+        covered[r] = 1;
+        coveredCount++;
+      }
+    }
+  };
+  
+  minterms.forEach((m, i) => {
+    if (cover[i].length === 1) {
+      if (steps) steps.essentials.push({ prime: cover[i][0], minterm: m });
+      if (!chosen.has(cover[i][0])) choose(cover[i][0]);
+    }
+  });
+  
+  if (steps) {
+    steps.primes = primes.map(([v, d], j) => ({ mask: primeList[j], terms: cubeMinterms(v, d) }));
+    steps.chart = minterms.map((m, i) => ({ minterm: m, primes: cover[i].slice() }));
+    for (const j of chosen) {
+      steps.decisions.push({
+        type: 'essential',
+        prime: j,
+        minterms: steps.essentials.filter(e => e.prime === j).map(e => e.minterm)
+      });
+    }
+  }
+  progress({ stage: 'cover', covered: coveredCount, total: minterms.length, method: 'essential' });
+  
+  // Phase 5: Cover remaining rows (Petrick, or greedy as fallback)
+  let method = 'essential';
+  
+  if (coveredCount < minterms.length && coverMode === 'exact') {
+    const rest = minterms.map((_, i) => i).filter(i => !covered[i]);
+    progress({ stage: 'cover', covered: coveredCount, total: minterms.length, method: 'petrick' });
+    const picked = petrickCover(rest, cover, primeList);
+    if (picked) {
+      picked.forEach(choose);
+      method = 'petrick';
+    }
+    if (steps) {
+      steps.decisions.push({
+        type: picked ? 'petrick' : 'petrick-limit',
+        minterms: rest.map(i => minterms[i]),
+        sums: rest.map(i => cover[i].slice()),
+        picked: picked || []
+      });
+    }
+  }
+  
+  if (coveredCount < minterms.length) {
+    method = 'greedy';
+    
+    // Bitset per candidate prime over the uncovered rows
+    const rest = minterms.map((_, i) => i).filter(i => !covered[i]);
+    const restIndex = new Int32Array(minterms.length).fill(-1);
+    rest.forEach((r, k) => { restIndex[r] = k; });
+    const words = (rest.length + 31) >>> 5;
+    const isCandidate = new Uint8Array(primes.length);
+    rest.forEach(r => cover[r].forEach(j => { isCandidate[j] = 1; }));
+    const candidates = [];
+    isCandidate.forEach((flag, j) => { if (flag && !chosen.has(j)) candidates.push(j); });
+    
+    const table = new Uint32Array(candidates.length * words);
+    candidates.forEach((j, c) => {
+      for (const r of primeRows[j]) {
+        const k = restIndex[r];
+        if (k >= 0) table[c * words + (k >>> 5)] |= 1 << (k & 31);
+      }
+    });
+    const restCovered = new Uint32Array(words);
+    const gain = c => {
+      let count = 0;
+      for (let w = 0; w < words; w++) count += popcount(table[c * words + w] & ~restCovered[w]);
+      return count;
+    };
+    
+    // Lazy greedy on a max-heap of gain bounds: gains only shrink, so a top
+    // whose bound is still exact after recounting has the largest gain
+    // (lowest index on ties, like the classic scan)
+    const bound = candidates.map((_, c) => gain(c));
+    const above = (a, b) => bound[a] > bound[b] || (bound[a] === bound[b] && a < b);
+    const heap = candidates.map((_, c) => c);
+    const siftDown = i => {
+      for (;;) {
+        let top = i;
+        for (const child of [2 * i + 1, 2 * i + 2]) {
+          if (child < heap.length && above(heap[child], heap[top])) top = child;
+        }
+        if (top === i) return;
+        [heap[i], heap[top]] = [heap[top], heap[i]];
+        i = top;
+      }
+    };
+    for (let i = (heap.length >> 1) - 1; i >= 0; i--) siftDown(i);
+    
+    let remaining = rest.length;
+    while (remaining > 0 && heap.length) {
+      const best = heap[0];
+      const count = gain(best);
+      if (count < bound[best]) {
+        bound[best] = count;
+        siftDown(0);
+        continue;
+      }
+      
+      heap[0] = heap[heap.length - 1];
+      heap.pop();
+      siftDown(0);
+      for (let w = 0; w < words; w++) restCovered[w] |= table[best * words + w];
+      remaining -= count;
+      choose(candidates[best]);
+      progress({ stage: 'cover', covered: coveredCount, total: minterms.length, method: 'greedy' });
+      if (steps) steps.decisions.push({ type: 'greedy', prime: candidates[best], count });
+    }
+  }
+  
+  // Phase 6: Convert to SOP or POS
+  const implicants = Array.from(chosen).map(j => primeList[j]);
+  if (steps) steps.chosen = Array.from(chosen);
+  
+  const result = mode === 'SOP' ? implicantsToSOP(implicants, varNames) : implicantsToPOS(implicants, varNames);
+  return { implicants, result, exact: method !== 'greedy', method, steps };
+}
+
+/**
+ * Minimize terms with the chosen algorithm and count the literals of the result
+ * @param {Array} minterms - Terms to cover (maxterms in POS mode)
+ * @param {Array} dontcares - Don't care indices
+ * @param {Array} varNames - Variable names
+ * @param {string} mode - 'SOP' or 'POS'
+ * @param {Object} options - {algorithm: 'qm' | 'espresso', ...}; the rest is passed on
+ *   to qmSimplify or espressoSimplify
+ * @returns {Object} Result of the minimizer plus {algorithm, literals}
+ */
+export function minimizeTerms(minterms, dontcares, varNames, mode = 'SOP', options = {}) {
+  const algorithm = options.algorithm === 'espresso' ? 'espresso' : 'qm';
+  const simplify = algorithm === 'espresso' ? espressoSimplify : qmSimplify;
+  const res = simplify(minterms, dontcares, varNames, mode, options);
+  const literals = res.implicants.reduce((sum, mask) => sum + countLiterals(mask), 0);
+  return { ...res, algorithm, literals };
+}
+
+/**
+ * Minimize a function given as cells (0/1/'d' per minterm) in one mode.
+ * In POS mode the zeros are the terms handed to the minimizer.
+ * @param {Array} vars - Variable names (may be empty: a constant)
+ * @param {Array} cells - Value per minterm
+ * @param {string} mode - 'SOP' or 'POS'
+ * @param {Object} options - Passed on to minimizeTerms
+ * @returns {Object} minimizeTerms result plus {terms, dontcares}
+ */
+export function minimizeCells(vars, cells, mode = 'SOP', options = {}) {
+  const target = mode === 'POS' ? 0 : 1;
+  const terms = [];
+  const dontcares = [];
+  cells.forEach((c, m) => {
+    if (c === 'd') dontcares.push(m);
+    else if (c === target) terms.push(m);
+  });
+  
+  if (!vars.length) {
+    const algorithm = options.algorithm === 'espresso' ? 'espresso' : 'qm';
+    return {
+      implicants: [], result: cells[0] === 1 ? '1' : '0', exact: true, method: 'essential', steps: null,
+      algorithm, literals: 0, terms, dontcares
+    };
+  }
+  return { ...minimizeTerms(terms, dontcares, vars, mode, options), terms, dontcares };
+}
+
+/**
+ * Gate cost of two-level SOP outputs built from one shared set of AND gates
+ * (input inverters not counted)
+ * @param {Array} lists - Implicant masks per output
+ * @returns {Object} {terms, gates, inputs}
+ */
+function multiOutputCost(lists) {
+  const products = new Map();
+  let orGates = 0;
+  let orInputs = 0;
+  for (const list of lists) {
+    list.forEach(mask => products.set(mask, countLiterals(mask)));
+    if (list.length > 1) {
+      orGates++;
+      orInputs += list.length;
+    }
+  }
+  const ands = [...products.values()].filter(l => l >= 2);
+  return {
+    terms: products.size,
+    gates: ands.length + orGates,
+    inputs: ands.reduce((a, b) => a + b, 0) + orInputs
+  };
+}
+
+/**
+ * Multi-output Quine-McCluskey (SOP) with shared product terms.
+ * Every cube carries a tag: the set of outputs whose 1s and don't cares
+ * contain it. Cubes merge when their tags intersect, and a cube stays a
+ * multi-output prime unless it merged into a larger cube with the same tag.
+ * The cover prefers product terms already used by another output.
+ * @param {Array} outputs - [{minterms, dontcares}] per output
+ * @param {Array} varNames - Shared input variables
+ * @returns {Object} {primes, outputs: [{implicants, result}], shared, cost, separate}
+ */
+export function qmMultiOutput(outputs, varNames) {
+  const W = varNames.length;
+  const on = outputs.map(o => new Set(o.minterms));
+  const care = outputs.map(o => new Set([...o.minterms, ...o.dontcares]));
+  
+  // Tagged prime generation
+  let level = new Map();
+  for (let m = 0; m < (1 << W); m++) {
+    let tag = 0;
+    care.forEach((set, f) => { if (set.has(m)) tag |= 1 << f; });
+    if (tag) level.set(toBin(m, W), tag);
+  }
+  
+  const primes = [];
+  while (level.size) {
+    const next = new Map();
+    const merged = new Set();
+    for (const [a, ta] of level) {
+      for (let i = 0; i < W; i++) {
+        if (a[i] !== '0') continue;
+        const b = a.slice(0, i) + '1' + a.slice(i + 1);
+        const tb = level.get(b);
+        if (!tb || !(ta & tb)) continue;
+        const tag = ta & tb;
+        next.set(a.slice(0, i) + '-' + a.slice(i + 1), tag);
+        if (tag === ta) merged.add(a);
+        if (tag === tb) merged.add(b);
+      }
+    }
+    for (const [mask, tag] of level) {
+      if (!merged.has(mask)) primes.push({ mask, tag });
+    }
+    level = next;
+  }
+  
+  // Chart rows: (output, minterm) for every 1 of every output
+  const rows = [];
+  outputs.forEach((o, f) => o.minterms.forEach(m => rows.push({ f, bin: toBin(m, W) })));
+  const columns = [];
+  primes.forEach((p, pi) => outputs.forEach((_, f) => {
+    if (!(p.tag & (1 << f))) return;
+    const rowIdx = rows.map((r, i) => (r.f === f && covers(p.mask, r.bin)) ? i : -1).filter(i => i >= 0);
+    if (rowIdx.length) columns.push({ pi, f, rows: rowIdx });
+  }));
+  
+  const chosen = new Set();
+  const covered = new Array(rows.length).fill(false);
+  const used = new Set();
+  const choose = c => {
+    chosen.add(c);
+    used.add(columns[c].pi);
+    columns[c].rows.forEach(r => { covered[r] = true; });
+  };
+  
+  // Essential columns: the only way to cover some row
+  rows.forEach((_, r) => {
+    const cs = columns.map((c, i) => c.rows.includes(r) ? i : -1).filter(i => i >= 0);
+    if (cs.length === 1 && !chosen.has(cs[0])) choose(cs[0]);
+  });
+  
+  // Greedy: most new rows per unit cost; an AND gate already built is free
+  const andCost = mask => { const l = countLiterals(mask); return l >= 2 ? l : 0; };
+  while (covered.includes(false)) {
+    let best = -1;
+    let bestScore = -1;
+    let bestGain = 0;
+    columns.forEach((c, i) => {
+      if (chosen.has(i)) return;
+      const gain = c.rows.filter(r => !covered[r]).length;
+      if (!gain) return;
+      const cost = 1 + (used.has(c.pi) ? 0 : andCost(primes[c.pi].mask));
+      const score = gain / cost;
+      if (score > bestScore || (score === bestScore && gain > bestGain)) {
+        best = i;
+        bestScore = score;
+        bestGain = gain;
+      }
+    });
+    choose(best);
+  }
+  
+  // Drop columns whose rows are covered by the other chosen columns
+  const order = [...chosen].sort((a, b) => andCost(primes[columns[b].pi].mask) - andCost(primes[columns[a].pi].mask));
+  for (const c of order) {
+    const others = [...chosen].filter(x => x !== c && columns[x].f === columns[c].f);
+    if (columns[c].rows.every(r => others.some(x => columns[x].rows.includes(r)))) chosen.delete(c);
+  }
+  
+  const toOutputs = lists => lists.map(list => ({ implicants: list, result: implicantsToSOP(list, varNames) }));
+  const lists = outputs.map((_, f) => [...chosen]
+    .filter(c => columns[c].f === f)
+    .map(c => primes[columns[c].pi].mask)
+    .sort());
+  
+  // Each output on its own, for comparison
+  const separate = outputs.map(o => qmSimplify(o.minterms, o.dontcares, varNames, 'SOP').implicants);
+  const separateCost = separate
+    .map(list => multiOutputCost([list]))
+    .reduce((a, b) => ({ terms: a.terms + b.terms, gates: a.gates + b.gates, inputs: a.inputs + b.inputs }),
+      { terms: 0, gates: 0, inputs: 0 });
+  
+  // Never report worse than the separate solutions wired to shared AND gates
+  let finalLists = lists;
+  const sharedCost = multiOutputCost(lists);
+  const separateShared = multiOutputCost(separate);
+  if (separateShared.inputs < sharedCost.inputs ||
+      (separateShared.inputs === sharedCost.inputs && separateShared.gates < sharedCost.gates)) {
+    finalLists = separate;
+  }
+  
+  const useCount = new Map();
+  finalLists.forEach(list => list.forEach(mask => useCount.set(mask, (useCount.get(mask) || 0) + 1)));
+  
+  return {
+    primes,
+    outputs: toOutputs(finalLists),
+    shared: [...useCount].filter(([, n]) => n > 1).map(([mask]) => mask),
+    cost: multiOutputCost(finalLists),
+    separate: { outputs: toOutputs(separate), cost: separateCost }
+  };
+}
+
+/**
+ * Convert one implicant mask to a product term (e.g. 1-0- → AC')
+ */
+export function implicantToProduct(mask, vars) {
+  const lits = [];
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] === '-') continue;
+    const v = vars[i];
+    lits.push((mask[i] === '1') ? v : (v + "'"));
+  }
+  // Multi-character names are separated by a space (implicit AND)
+  const sep = vars.some(v => v.length > 1) ? ' ' : '';
+  return lits.join(sep) || '1';
+}
+
+/**
+ * Convert one implicant mask (covering zeros) to a sum term (e.g. 1-0- → (A' + C))
+ */
+export function implicantToSum(mask, vars) {
+  let s = '';
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] === '-') continue;
+    const v = vars[i];
+    if (s) s += ' + ';
+    s += (mask[i] === '0') ? v : (v + "'");
+  }
+  return s ? '(' + s + ')' : '0';
+}
+
+/**
+ * Convert implicants to SOP (Sum of Products) form
+ */
+export function implicantsToSOP(impls, vars) {
+  if (!impls.length) return '0';
+  return impls.map(mask => implicantToProduct(mask, vars)).join(' + ');
+}
+
+/**
+ * Convert implicants to POS (Product of Sums) form
+ */
+export function implicantsToPOS(impls, vars) {
+  if (!impls.length) return '1';
+  return impls.map(mask => implicantToSum(mask, vars)).join('');
+}
+
+/**
+ * Standard notations of a function given as cells (0/1/'d' per minterm).
+ * Don't cares appear in the Σm/ΠM lists only; the canonical forms list
+ * every required minterm or maxterm in full.
+ * @returns {Object} {sigma, pi, sop, pos}
+ */
+export function canonicalForms(vars, cells) {
+  const ones = [];
+  const zeros = [];
+  const dcs = [];
+  cells.forEach((c, m) => (c === 1 ? ones : c === 'd' ? dcs : zeros).push(m));
+  
+  const dc = dcs.length ? ` + d(${dcs.join(', ')})` : '';
+  const full = m => toBin(m, vars.length);
+  return {
+    sigma: `Σm(${ones.join(', ')})${dc}`,
+    pi: `ΠM(${zeros.join(', ')})${dc}`,
+    sop: implicantsToSOP(ones.map(full), vars),
+    pos: implicantsToPOS(zeros.map(full), vars)
+  };
+}
+
+/**
+ * Split the term IO field into its notation and index lists (no range check).
+ * An index is plain decimal digits: 0x10, 1e1 or 1.0 are rejected.
+ * @returns {Object} {kind: 'minterm' | 'maxterm' | null for a bare list, terms, dontcares}
+ */
+function splitTermInput(input) {
+  const dcMatch = input.match(/\+\s*d\s*\(([^)]*)\)\s*$/i);
+  let mainPart = (dcMatch ? input.substring(0, dcMatch.index) : input).trim();
+  
+  let kind = null;
+  const notation = mainPart.match(/^(?:([Σ∑]\s*m?|m)|([Π∏]\s*M?|M))\s*\(([^)]*)\)$/);
+  if (notation) {
+    kind = notation[2] ? 'maxterm' : 'minterm';
+    mainPart = notation[3];
+  }
+  
+  const readList = text => text.split(/[,\s]+/).filter(Boolean).map(s => {
+    if (!/^\d+$/.test(s)) throw new Error(`"${s}" bukan indeks term yang valid`);
+    return Number(s);
+  });
+  return {
+    kind,
+    terms: [...new Set(readList(mainPart))].sort((a, b) => a - b),
+    dontcares: [...new Set(dcMatch ? readList(dcMatch[1]) : [])].sort((a, b) => a - b)
+  };
+}
+
+/**
+ * Parse the term IO field: Σm(1,3,5) + d(2), ΠM(0,4) + d(2) (ASCII: m(...), M(...))
+ * or a bare list 1,3,5 + d(2), which is read as the given default kind
+ * @param {string} input - Field text
+ * @param {number} total - Number of rows (2^n); every index must be below it
+ * @param {string} defaultKind - 'minterm' or 'maxterm' for bare lists
+ * @returns {Object} {minterms, dontcares, kind}
+ */
+export function parseTermInput(input, total, defaultKind = 'minterm') {
+  const split = splitTermInput(input);
+  const { terms, dontcares } = split;
+  const kind = split.kind || defaultKind;
+  
+  const outside = [...terms, ...dontcares].find(v => v >= total);
+  if (outside !== undefined) throw new Error(`indeks ${outside} di luar jangkauan 0-${total - 1}`);
+  if (!split.kind && !terms.length && !dontcares.length) {
+    throw new Error('tidak ada indeks term yang ditemukan');
+  }
+  const dcSet = new Set(dontcares);
+  const clash = terms.find(t => dcSet.has(t));
+  if (clash !== undefined) {
+    throw new Error(`indeks ${clash} ditulis sebagai term sekaligus don't care`);
+  }
+  
+  if (kind === 'maxterm') {
+    const zeros = new Set(terms);
+    const minterms = [];
+    for (let m = 0; m < total; m++) {
+      if (!zeros.has(m) && !dcSet.has(m)) minterms.push(m);
+    }
+    return { minterms, dontcares, kind };
+  }
+  return { minterms: terms, dontcares, kind };
+}
+
+/**
+ * Fewest variables whose truth table holds every index of a term IO field
+ * (at least 1), for input given without a variable count
+ * @param {string} input - Field text, as for parseTermInput
+ * @returns {number} Variable count
+ */
+export function termInputWidth(input) {
+  const { terms, dontcares } = splitTermInput(input);
+  const largest = Math.max(0, terms.at(-1) ?? 0, dontcares.at(-1) ?? 0);
+  return Math.max(1, largest.toString(2).length);
+}
+
+/* =============================================================================
+   5B. ALGEBRAIC DERIVATION (BOOLEAN LAWS)
+   Rewrites the syntax tree step by step with named laws until it reaches
+   the Quine-McCluskey SOP result:
+     1. Definitions, involution, De Morgan, constants → AND/OR/NOT only
+     2. Distributive law → sum of products
+     3. Idempotent, complement, absorption, consensus, combining
+     4. Expansion and re-combining of minterms into the QM cover
+============================================================================= */
+const MAX_DERIVATION_STEPS = 200;
+const MAX_DERIVATION_NODES = 20000;
+const MAX_DERIVATION_VARS = 6;
+const ASSOCIATIVE_OPS = ['AND', 'OR', 'XOR', 'XNOR', 'EQ'];
+const OP_SYMBOL = {
+  OR: ' + ', XOR: ' ⊕ ', XNOR: ' ⊙ ', NAND: ' ↑ ', NOR: ' ↓ ', IMP: ' → ', EQ: ' ↔ '
+};
+
+// Tree constructors
+export const mkVar = name => ({ type: 'var', name });
+export const mkConst = value => ({ type: 'const', value });
+export const mkNot = arg => ({ type: 'not', arg });
+export const mkBin = (op, left, right) => ({ type: 'bin', op, left, right });
+
+/**
+ * Deep copy of a syntax tree (without source spans)
+ */
+function cloneExpr(node) {
+  switch (node.type) {
+    case 'var': return mkVar(node.name);
+    case 'const': return mkConst(node.value);
+    case 'not': return mkNot(cloneExpr(node.arg));
+    default: return mkBin(node.op, cloneExpr(node.left), cloneExpr(node.right));
+  }
+}
+
+/**
+ * Number of nodes in a syntax tree
+ */
+function countNodes(node) {
+  if (node.type === 'not') return 1 + countNodes(node.arg);
+  if (node.type === 'bin') return 1 + countNodes(node.left) + countNodes(node.right);
+  return 1;
+}
+
+/**
+ * Structural equality of two syntax trees
+ */
+function sameExpr(a, b) {
+  if (a.type !== b.type) return false;
+  switch (a.type) {
+    case 'var': return a.name === b.name;
+    case 'const': return a.value === b.value;
+    case 'not': return sameExpr(a.arg, b.arg);
+    default: return a.op === b.op && sameExpr(a.left, b.left) && sameExpr(a.right, b.right);
+  }
+}
+
+/**
+ * Print a syntax tree with minimal parentheses
+ * @param {Object} node - Tree from parse()
+ * @param {Object} options - {sep: AND separator ('' or ' '), marks: Set of nodes wrapped in <mark>}
+ * @returns {string} Expression text (HTML when marks are given)
+ */
+export function formatExpr(node, options = {}) {
+  const sep = options.sep || '';
+  const marks = options.marks || null;
+  
+  const fmt = n => {
+    let s;
+    if (n.type === 'var') {
+      s = n.name;
+    } else if (n.type === 'const') {
+      s = String(n.value);
+    } else if (n.type === 'not') {
+      const inner = fmt(n.arg);
+      s = n.arg.type === 'bin' ? `(${inner})'` : inner + "'";
+    } else {
+      const prec = BINARY_OPS[n.op].precedence;
+      const wrap = child => {
+        const c = fmt(child);
+        if (child.type !== 'bin') return c;
+        const cp = BINARY_OPS[child.op].precedence;
+        const flat = child.op === n.op && ASSOCIATIVE_OPS.includes(n.op);
+        return (cp > prec || flat) ? c : `(${c})`;
+      };
+      s = wrap(n.left) + (n.op === 'AND' ? sep : OP_SYMBOL[n.op]) + wrap(n.right);
+    }
+    return marks && marks.has(n) ? `<mark>${s}</mark>` : s;
+  };
+  
+  return fmt(node);
+}
+
+const isNotOf = (a, b) => a.type === 'not' && sameExpr(a.arg, b);
+const isConst = (n, v) => n.type === 'const' && n.value === v;
+
+// Tree rewrite laws, tried in this order
+const TREE_LAWS = [
+  { law: 'Definisi XOR (X ⊕ Y = XY\' + X\'Y)', apply: n => n.type === 'bin' && n.op === 'XOR'
+    ? mkBin('OR', mkBin('AND', cloneExpr(n.left), mkNot(cloneExpr(n.right))), mkBin('AND', mkNot(cloneExpr(n.left)), cloneExpr(n.right)))
+    : null },
+  { law: 'Definisi XNOR / ekuivalensi (X ⊙ Y = XY + X\'Y\')', apply: n => n.type === 'bin' && (n.op === 'XNOR' || n.op === 'EQ')
+    ? mkBin('OR', mkBin('AND', cloneExpr(n.left), cloneExpr(n.right)), mkBin('AND', mkNot(cloneExpr(n.left)), mkNot(cloneExpr(n.right))))
+    : null },
+  { law: 'Definisi implikasi (X → Y = X\' + Y)', apply: n => n.type === 'bin' && n.op === 'IMP'
+    ? mkBin('OR', mkNot(cloneExpr(n.left)), cloneExpr(n.right))
+    : null },
+  { law: 'Definisi NAND (X ↑ Y = (XY)\')', apply: n => n.type === 'bin' && n.op === 'NAND'
+    ? mkNot(mkBin('AND', cloneExpr(n.left), cloneExpr(n.right)))
+    : null },
+  { law: 'Definisi NOR (X ↓ Y = (X + Y)\')', apply: n => n.type === 'bin' && n.op === 'NOR'
+    ? mkNot(mkBin('OR', cloneExpr(n.left), cloneExpr(n.right)))
+    : null },
+  { law: 'Involusi (X\'\' = X)', apply: n => n.type === 'not' && n.arg.type === 'not'
+    ? cloneExpr(n.arg.arg)
+    : null },
+  { law: 'Komplemen konstanta (0\' = 1, 1\' = 0)', apply: n => n.type === 'not' && n.arg.type === 'const'
+    ? mkConst(n.arg.value ? 0 : 1)
+    : null },
+  { law: 'Identitas (X·1 = X, X + 0 = X)', apply: n => {
+    if (n.type !== 'bin') return null;
+    const unit = n.op === 'AND' ? 1 : (n.op === 'OR' ? 0 : null);
+    if (unit === null) return null;
+    if (isConst(n.left, unit)) return cloneExpr(n.right);
+    if (isConst(n.right, unit)) return cloneExpr(n.left);
+    return null;
+  } },
+  { law: 'Dominasi (X·0 = 0, X + 1 = 1)', apply: n => {
+    if (n.type !== 'bin') return null;
+    const zero = n.op === 'AND' ? 0 : (n.op === 'OR' ? 1 : null);
+    if (zero === null) return null;
+    return isConst(n.left, zero) || isConst(n.right, zero) ? mkConst(zero) : null;
+  } },
+  { law: 'Idempoten (XX = X, X + X = X)', apply: n => n.type === 'bin' && (n.op === 'AND' || n.op === 'OR') && sameExpr(n.left, n.right)
+    ? cloneExpr(n.left)
+    : null },
+  { law: 'Komplemen (XX\' = 0, X + X\' = 1)', apply: n => {
+    if (n.type !== 'bin' || (n.op !== 'AND' && n.op !== 'OR')) return null;
+    if (isNotOf(n.left, n.right) || isNotOf(n.right, n.left)) return mkConst(n.op === 'AND' ? 0 : 1);
+    return null;
+  } },
+  { law: 'De Morgan ((XY)\' = X\' + Y\', (X + Y)\' = X\'Y\')', apply: n => {
+    if (n.type !== 'not' || n.arg.type !== 'bin') return null;
+    const { op, left, right } = n.arg;
+    if (op === 'AND') return mkBin('OR', mkNot(cloneExpr(left)), mkNot(cloneExpr(right)));
+    if (op === 'OR') return mkBin('AND', mkNot(cloneExpr(left)), mkNot(cloneExpr(right)));
+    return null;
+  } },
+  { law: 'Distributif (X(Y + Z) = XY + XZ)', apply: n => {
+    if (n.type !== 'bin' || n.op !== 'AND') return null;
+    const { left, right } = n;
+    if (left.type === 'bin' && left.op === 'OR') {
+      return mkBin('OR', mkBin('AND', cloneExpr(left.left), cloneExpr(right)), mkBin('AND', cloneExpr(left.right), cloneExpr(right)));
+    }
+    if (right.type === 'bin' && right.op === 'OR') {
+      return mkBin('OR', mkBin('AND', cloneExpr(left), cloneExpr(right.left)), mkBin('AND', cloneExpr(left), cloneExpr(right.right)));
+    }
+    return null;
+  } }
+];
+
+/**
+ * Apply one law at every top-most matching node
+ * @returns {Object} New tree (unchanged nodes are shared)
+ */
+function rewriteTree(node, law, changes) {
+  const rep = law.apply(node);
+  if (rep) {
+    changes.push({ from: node, to: rep });
+    return rep;
+  }
+  if (node.type === 'not') {
+    const arg = rewriteTree(node.arg, law, changes);
+    return arg === node.arg ? node : mkNot(arg);
+  }
+  if (node.type === 'bin') {
+    const left = rewriteTree(node.left, law, changes);
+    const right = rewriteTree(node.right, law, changes);
+    return (left === node.left && right === node.right) ? node : mkBin(node.op, left, right);
+  }
+  return node;
+}
+
+/**
+ * Flatten a sum-of-products tree into products of literals
+ * @returns {Array} [[{name, neg}]]; [] is 0, [[]] is 1
+ */
+function treeToProducts(node) {
+  if (node.type === 'const') return node.value ? [[]] : [];
+  if (node.type === 'bin' && node.op === 'OR') {
+    return [...treeToProducts(node.left), ...treeToProducts(node.right)];
+  }
+  
+  const lits = [];
+  const walk = n => {
+    if (n.type === 'bin' && n.op === 'AND') {
+      walk(n.left);
+      walk(n.right);
+    } else if (n.type === 'var') {
+      lits.push({ name: n.name, neg: false });
+    } else if (n.type === 'not' && n.arg.type === 'var') {
+      lits.push({ name: n.arg.name, neg: true });
+    } else if (!isConst(n, 1)) {
+      throw new Error('Bentuk sum of products tidak terduga');
+    }
+  };
+  walk(node);
+  return [lits];
+}
+
+/**
+ * Check if cube a contains cube b (every fixed bit of a is fixed equally in b)
+ */
+function cubeContains(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== '-' && a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Positions where two cubes have opposite fixed bits
+ */
+function cubeConflicts(a, b) {
+  const out = [];
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== '-' && b[i] !== '-' && a[i] !== b[i]) out.push(i);
+  }
+  return out;
+}
+
+/**
+ * Build a step-by-step algebraic derivation from an expression to its
+ * minimal SOP (the qmSimplify result)
+ * @param {Object} ast - Tree from parse()
+ * @param {Array} vars - Variable names, most significant first
+ * @returns {Object} {start, steps: [{law, rewrites, html, text}], target, final, verified}
+ */
+export function deriveSimplification(ast, vars) {
+  if (vars.length > MAX_DERIVATION_VARS) {
+    throw new Error(`Derivasi aljabar tersedia hingga ${MAX_DERIVATION_VARS} variabel`);
+  }
+  
+  // Same product separator as implicantToProduct
+  const multiChar = vars.some(v => v.length > 1);
+  const sep = multiChar ? ' ' : '';
+  const steps = [];
+  const addStep = step => {
+    steps.push(step);
+    if (steps.length > MAX_DERIVATION_STEPS) {
+      throw new Error(`Derivasi melebihi ${MAX_DERIVATION_STEPS} langkah — ekspresi terlalu besar`);
+    }
+  };
+  
+  // Phase 1: rewrite the tree until no law applies
+  let tree = ast;
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const law of TREE_LAWS) {
+      const changes = [];
+      const next = rewriteTree(tree, law, changes);
+      if (!changes.length) continue;
+      
+      tree = next;
+      if (countNodes(tree) > MAX_DERIVATION_NODES) {
+        throw new Error('Ekspresi membesar terlalu jauh saat diuraikan — derivasi dihentikan');
+      }
+      addStep({
+        law: law.law,
+        rewrites: changes.map(c => [formatExpr(c.from, { sep }), formatExpr(c.to, { sep })]),
+        html: formatExpr(tree, { sep, marks: new Set(changes.map(c => c.to)) }),
+        text: formatExpr(tree, { sep })
+      });
+      changed = true;
+      break;
+    }
+  }
+  
+  // Phase 2: work on the sum of products as cubes ('1', '0', '-')
+  const n = vars.length;
+  const termText = mask => implicantToProduct(mask, vars);
+  const sumHtml = (terms, marked = new Set()) => {
+    if (!terms.length) return marked.has(-1) ? '<mark>0</mark>' : '0';
+    return terms.map((t, i) => {
+      const s = t === null ? '0' : termText(t);
+      return marked.has(i) ? `<mark>${s}</mark>` : s;
+    }).join(' + ');
+  };
+  const sumText = terms => terms.length ? terms.map(t => t === null ? '0' : termText(t)).join(' + ') : '0';
+  const push = (law, rewrites, terms, marked) => addStep({
+    law,
+    rewrites,
+    html: sumHtml(terms, marked),
+    text: sumText(terms)
+  });
+  
+  const products = treeToProducts(tree);
+  
+  // Idempotent and complement inside each product (only reachable through nested ANDs)
+  const dupes = [];
+  const deduped = products.map((lits, idx) => {
+    const seen = new Map();
+    const out = [];
+    for (const l of lits) {
+      const key = l.name + (l.neg ? "'" : '');
+      if (seen.has(key)) continue;
+      seen.set(key, true);
+      out.push(l);
+    }
+    if (out.length !== lits.length) dupes.push(idx);
+    return out;
+  });
+  
+  const litText = lits => lits.length ? lits.map(l => l.name + (l.neg ? "'" : '')).join(sep) : '1';
+  if (dupes.length) {
+    const text = deduped.map(litText).join(' + ');
+    addStep({
+      law: 'Idempoten (XX = X)',
+      rewrites: dupes.map(i => [litText(products[i]), litText(deduped[i])]),
+      html: deduped.map((l, i) => dupes.includes(i) ? `<mark>${litText(l)}</mark>` : litText(l)).join(' + '),
+      text
+    });
+  }
+  
+  let terms = deduped.map(lits => {
+    const mask = new Array(n).fill('-');
+    for (const l of lits) {
+      const i = vars.indexOf(l.name);
+      const bit = l.neg ? '0' : '1';
+      if (mask[i] !== '-' && mask[i] !== bit) return null;  // XX' = 0
+      mask[i] = bit;
+    }
+    return mask.join('');
+  });
+  
+  if (terms.includes(null)) {
+    const zeroIdx = new Set(terms.map((t, i) => t === null ? i : -1).filter(i => i >= 0));
+    push('Komplemen (XX\' = 0)',
+      deduped.filter((_, i) => zeroIdx.has(i)).map(l => [litText(l), '0']), terms, zeroIdx);
+    terms = terms.filter(t => t !== null);
+    push('Identitas (X + 0 = X)', [['X + 0', 'X']], terms, terms.length ? new Set() : new Set([-1]));
+  }
+  
+  // Reorder literals to variable order
+  const previous = steps.length ? steps[steps.length - 1].text : formatExpr(ast, { sep });
+  if (terms.length && sumText(terms) !== previous) {
+    push('Komutatif (urutkan literal)', [], terms, new Set());
+  }
+  
+  // Target: minimal SOP from Quine-McCluskey over the same function
+  const onset = [];
+  for (let m = 0; m < (1 << n); m++) {
+    const env = {};
+    vars.forEach((v, i) => { env[v] = (m >> (n - 1 - i)) & 1; });
+    if (evalAST(ast, env)) onset.push(m);
+  }
+  const qm = qmSimplify(onset, [], vars, 'SOP');
+  const target = qm.implicants;
+  const targetSet = new Set(target);
+  
+  // Phase 3: idempotent, absorption, combining, consensus until stable
+  const simplifyPass = () => {
+    // Idempoten: X + X = X
+    const seen = new Set();
+    const dup = [];
+    terms.forEach((t, i) => {
+      if (seen.has(t)) dup.push(i);
+      seen.add(t);
+    });
+    if (dup.length) {
+      const twice = new Set(dup.map(i => terms[i]));
+      terms = terms.filter((_, i) => !dup.includes(i));
+      push('Idempoten (X + X = X)',
+        [...twice].map(t => [`${termText(t)} + ${termText(t)}`, termText(t)]),
+        terms, new Set(terms.map((t, i) => twice.has(t) ? i : -1)));
+      return true;
+    }
+    
+    // Absorpsi: X + XY = X
+    const absorbed = [];
+    const by = new Set();
+    terms.forEach((t, i) => {
+      const j = terms.findIndex((u, k) => k !== i && !absorbed.includes(k) && cubeContains(u, t));
+      if (j >= 0) {
+        absorbed.push(i);
+        by.add(terms[j]);
+      }
+    });
+    if (absorbed.length) {
+      const rewrites = absorbed.map(i => {
+        const u = terms.find((x, k) => k !== i && cubeContains(x, terms[i]));
+        return [`${termText(u)} + ${termText(terms[i])}`, termText(u)];
+      });
+      terms = terms.filter((_, i) => !absorbed.includes(i));
+      push('Absorpsi (X + XY = X)', rewrites, terms, new Set(terms.map((t, i) => by.has(t) ? i : -1)));
+      return true;
+    }
+    
+    // Penggabungan: XY + XY' = X(Y + Y') = X
+    const used = new Set();
+    const merged = [];
+    const rewrites = [];
+    for (let i = 0; i < terms.length; i++) {
+      if (used.has(i)) continue;
+      for (let j = i + 1; j < terms.length; j++) {
+        if (used.has(j)) continue;
+        if (canCombine(terms[i], terms[j])) {
+          used.add(i);
+          used.add(j);
+          merged.push([i, j]);
+          rewrites.push([`${termText(terms[i])} + ${termText(terms[j])}`, termText(combine(terms[i], terms[j]))]);
+          break;
+        }
+      }
+    }
+    if (merged.length) {
+      const marks = new Set();
+      const next = [];
+      terms.forEach((t, i) => {
+        const pair = merged.find(p => p[0] === i);
+        if (pair) {
+          marks.add(next.length);
+          next.push(combine(terms[pair[0]], terms[pair[1]]));
+        } else if (!used.has(i)) {
+          next.push(t);
+        }
+      });
+      terms = next;
+      push('Distributif + komplemen (XY + XY\' = X(Y + Y\') = X)', rewrites, terms, marks);
+      return true;
+    }
+    
+    // Konsensus: XY + X'Z + YZ = XY + X'Z
+    for (let k = 0; k < terms.length; k++) {
+      for (let i = 0; i < terms.length; i++) {
+        for (let j = i + 1; j < terms.length; j++) {
+          if (i === k || j === k) continue;
+          const conflicts = cubeConflicts(terms[i], terms[j]);
+          if (conflicts.length !== 1) continue;
+          // Consensus term: both cubes with the conflicting variable removed
+          const cons = terms[i].split('').map((c, p) => {
+            if (p === conflicts[0]) return '-';
+            return c === '-' ? terms[j][p] : c;
+          }).join('');
+          if (!cubeContains(cons, terms[k])) continue;
+          
+          const rewrites = [[
+            `${termText(terms[i])} + ${termText(terms[j])} + ${termText(terms[k])}`,
+            `${termText(terms[i])} + ${termText(terms[j])}`
+          ]];
+          const keep = [terms[i], terms[j]];
+          terms = terms.filter((_, p) => p !== k);
+          push('Konsensus (XY + X\'Z + YZ = XY + X\'Z)', rewrites, terms,
+            new Set(terms.map((t, p) => keep.includes(t) ? p : -1)));
+          return true;
+        }
+      }
+    }
+    return false;
+  };
+  
+  while (simplifyPass()) { /* until stable */ }
+  
+  const reached = () => terms.length === target.length && terms.every(t => targetSet.has(t));
+  
+  // Phase 4: expand the other terms into minterms and rebuild the QM cover
+  if (!reached()) {
+    // Expansion: X = X·1 = X(Y + Y') = XY + XY'
+    while (terms.some(t => !targetSet.has(t) && t.includes('-'))) {
+      const marks = new Set();
+      const rewrites = [];
+      const next = [];
+      for (const t of terms) {
+        const d = t.indexOf('-');
+        if (targetSet.has(t) || d < 0) {
+          next.push(t);
+          continue;
+        }
+        const t1 = t.slice(0, d) + '1' + t.slice(d + 1);
+        const t0 = t.slice(0, d) + '0' + t.slice(d + 1);
+        rewrites.push([termText(t), `${termText(t1)} + ${termText(t0)}`]);
+        marks.add(next.length);
+        marks.add(next.length + 1);
+        next.push(t1, t0);
+      }
+      terms = next;
+      push('Identitas + komplemen + distributif (X = X(Y + Y\') = XY + XY\')', rewrites, terms, marks);
+    }
+    
+    // Remove duplicates and minterms already inside target terms
+    while (true) {
+      const before = terms.length;
+      const seen = new Set();
+      const dup = terms.filter(t => seen.has(t) || !seen.add(t));
+      if (dup.length) {
+        terms = Array.from(new Set(terms));
+        push('Idempoten (X + X = X)', dup.map(t => [`${termText(t)} + ${termText(t)}`, termText(t)]), terms, new Set());
+      }
+      const present = terms.filter(t => targetSet.has(t));
+      const inside = terms.filter(t => !targetSet.has(t) && present.some(p => cubeContains(p, t)));
+      if (inside.length) {
+        const absorbers = new Set();
+        const rewrites = inside.map(t => {
+          const p = present.find(q => cubeContains(q, t));
+          absorbers.add(p);
+          return [`${termText(p)} + ${termText(t)}`, termText(p)];
+        });
+        terms = terms.filter(t => !inside.includes(t));
+        push('Absorpsi (X + XY = X)', rewrites, terms,
+          new Set(terms.map((t, i) => absorbers.has(t) ? i : -1)));
+      }
+      if (terms.length === before) break;
+    }
+    
+    // Minterms needed by each missing target
+    const missing = target.filter(p => !terms.includes(p));
+    const minOf = p => {
+      const out = [];
+      const dashes = [];
+      for (let i = 0; i < n; i++) if (p[i] === '-') dashes.push(i);
+      for (let k = 0; k < (1 << dashes.length); k++) {
+        const chars = p.split('');
+        dashes.forEach((d, b) => { chars[d] = (k >> b) & 1 ? '1' : '0'; });
+        out.push(chars.join(''));
+      }
+      return out;
+    };
+    const need = new Map();
+    for (const p of missing) {
+      for (const m of minOf(p)) need.set(m, (need.get(m) || 0) + 1);
+    }
+    
+    // Reverse absorption: X = X + XY for minterms hidden inside a present target
+    const hidden = [...need.keys()].filter(m => !terms.includes(m));
+    if (hidden.length) {
+      const rewrites = hidden.map(m => {
+        const p = terms.find(q => cubeContains(q, m));
+        return [termText(p), `${termText(p)} + ${termText(m)}`];
+      });
+      const start = terms.length;
+      terms = [...terms, ...hidden];
+      push('Absorpsi (X = X + XY)', rewrites, terms, new Set(hidden.map((_, i) => start + i)));
+    }
+    
+    // Idempotent copies for minterms shared by several missing targets
+    const copies = [];
+    for (const [m, k] of need) {
+      for (let c = 1; c < k; c++) copies.push(m);
+    }
+    if (copies.length) {
+      const start = terms.length;
+      terms = [...terms, ...copies];
+      push('Idempoten (X = X + X)', copies.map(m => [termText(m), `${termText(m)} + ${termText(m)}`]),
+        terms, new Set(copies.map((_, i) => start + i)));
+    }
+    
+    // Combine each missing target from its minterms, one variable per step
+    let pieces = missing.map(p => minOf(p));
+    const dashPositions = missing.map(p => p.split('').map((c, i) => c === '-' ? i : -1).filter(i => i >= 0));
+    const levels = Math.max(0, ...dashPositions.map(d => d.length));
+    
+    for (let level = 0; level < levels; level++) {
+      const rewrites = [];
+      pieces = pieces.map((list, t) => {
+        const d = dashPositions[t][level];
+        if (d === undefined) return list;
+        const out = [];
+        for (const a of list) {
+          if (a[d] !== '1') continue;
+          const b = a.slice(0, d) + '0' + a.slice(d + 1);
+          const c = a.slice(0, d) + '-' + a.slice(d + 1);
+          rewrites.push([`${termText(a)} + ${termText(b)}`, termText(c)]);
+          out.push(c);
+        }
+        return out;
+      });
+      
+      // Replace each combined pair in the sum by its result
+      const consumed = new Map();
+      pieces.forEach((list, t) => {
+        const d = dashPositions[t][level];
+        if (d === undefined) return;
+        for (const c of list) {
+          const a = c.slice(0, d) + '1' + c.slice(d + 1);
+          const b = c.slice(0, d) + '0' + c.slice(d + 1);
+          consumed.set(a, (consumed.get(a) || 0) + 1);
+          consumed.set(b, (consumed.get(b) || 0) + 1);
+        }
+      });
+      const next = [];
+      for (const t of terms) {
+        if (consumed.get(t)) {
+          consumed.set(t, consumed.get(t) - 1);
+          continue;
+        }
+        next.push(t);
+      }
+      const marks = new Set();
+      pieces.forEach((list, t) => {
+        if (dashPositions[t][level] === undefined) return;
+        for (const c of list) {
+          marks.add(next.length);
+          next.push(c);
+        }
+      });
+      terms = next;
+      push('Distributif + komplemen (XY + XY\' = X(Y + Y\') = X)', rewrites, terms, marks);
+    }
+    
+    // Leftover minterms are inside the new targets
+    const leftover = terms.filter(t => !targetSet.has(t));
+    if (leftover.length) {
+      terms = terms.filter(t => targetSet.has(t));
+      push('Absorpsi (X + XY = X)',
+        leftover.map(t => {
+          const p = target.find(q => cubeContains(q, t));
+          return [`${termText(p)} + ${termText(t)}`, termText(p)];
+        }),
+        terms, new Set());
+    }
+  }
+  
+  // Match the term order of the QM result — only a reordering of the same
+  // terms: a different set stays as derived and fails the check below
+  if (reached() && new Set(terms).size === targetSet.size && terms.join() !== target.join()) {
+    terms = target.slice();
+    push('Komutatif (urutkan term)', [], terms, new Set());
+  }
+  
+  // Verify by truth table: original expression, last line and QM result
+  const finalText = sumText(terms);
+  const finalRPN = toRPN(tokenize(finalText, { identifiers: multiChar }));
+  let verified = true;
+  for (let m = 0; m < (1 << n); m++) {
+    const env = {};
+    vars.forEach((v, i) => { env[v] = (m >> (n - 1 - i)) & 1; });
+    const y = evalAST(ast, env);
+    const qmY = target.some(p => covers(p, toBin(m, n))) ? 1 : 0;
+    if (evalRPN(finalRPN, env) !== y || qmY !== y) verified = false;
+  }
+  
+  return {
+    start: formatExpr(ast, { sep }),
+    steps,
+    target: qm.result,
+    final: finalText,
+    verified
+  };
+}
+
+/* =============================================================================
+   5C. ESPRESSO HEURISTIC MINIMIZER
+   Expand / irredundant / reduce on integer cubes, iterated while the cover
+   gets cheaper. No prime implicant table is built, so functions where exact
+   Quine-McCluskey blows up still get a prime, irredundant (not necessarily
+   minimal) cover.
+============================================================================= */
+const ESPRESSO_MAX_ITERATIONS = 20;
+const CUBE_OFF = 0;
+const CUBE_ON = 1;
+const CUBE_DC = 2;
+
+/**
+ * True if some minterm of the cube (value, dashes) has the given state
+ */
+function cubeHasState(state, value, dashes, kind) {
+  let sub = 0;
+  do {
+    if (state[value | sub] === kind) return true;
+    sub = (sub - dashes) & dashes;
+  } while (sub !== 0);
+  return false;
+}
+
+/**
+ * ON minterms inside a cube
+ */
+function cubeOnMinterms(state, cube) {
+  return cubeMinterms(cube.value, cube.dashes).filter(m => state[m] === CUBE_ON);
+}
+
+/**
+ * Cost of a cover: number of cubes, then number of literals
+ */
+function cubeCoverCost(cubes, width) {
+  let literals = 0;
+  for (const c of cubes) literals += width - popcount(c.dashes);
+  return { terms: cubes.length, literals };
+}
+
+/**
+ * EXPAND: grow every cube to a prime implicant, largest cubes first, and
+ * drop cubes whose ON minterms the cover expanded so far already contains.
+ * Bits are raised in the direction where most other cubes lie, so an
+ * expanded cube tends to swallow its neighbours.
+ */
+function espressoExpand(cubes, state, width) {
+  const order = cubes.slice().sort((a, b) => popcount(b.dashes) - popcount(a.dashes) || a.value - b.value);
+  // fixed[v][i] = number of cubes with bit i fixed at v
+  const fixed = [new Int32Array(width), new Int32Array(width)];
+  for (const c of order) {
+    for (let i = 0; i < width; i++) {
+      if (!(c.dashes & (1 << i))) fixed[(c.value >> i) & 1][i]++;
+    }
+  }
+  
+  const covered = new Uint8Array(state.length);
+  const out = [];
+  for (const c of order) {
+    if (cubeOnMinterms(state, c).every(m => covered[m])) continue;
+    
+    let { value, dashes } = c;
+    const bits = [];
+    for (let i = 0; i < width; i++) if (!(dashes & (1 << i))) bits.push(i);
+    const pull = i => fixed[((value >> i) & 1) ^ 1][i];
+    bits.sort((a, b) => pull(b) - pull(a) || a - b);
+    
+    for (const i of bits) {
+      const bit = 1 << i;
+      // The half gained by raising the bit must hold no OFF minterm. A bit
+      // that fails here fails for every larger cube too, so the result is prime.
+      if (cubeHasState(state, value ^ bit, dashes, CUBE_OFF)) continue;
+      dashes |= bit;
+      value &= ~bit;
+    }
+    
+    const expanded = { value, dashes };
+    cubeMinterms(value, dashes).forEach(m => { covered[m] = 1; });
+    out.push(expanded);
+  }
+  return out;
+}
+
+/**
+ * IRREDUNDANT: drop cubes whose ON minterms are all covered by other cubes,
+ * trying the smallest (most literals) first
+ */
+function espressoIrredundant(cubes, state) {
+  const count = new Int32Array(state.length);
+  cubes.forEach(c => cubeOnMinterms(state, c).forEach(m => { count[m]++; }));
+  
+  const order = cubes.slice().sort((a, b) => popcount(a.dashes) - popcount(b.dashes) || a.value - b.value);
+  const kept = [];
+  for (const c of order) {
+    const ons = cubeOnMinterms(state, c);
+    if (ons.every(m => count[m] > 1)) ons.forEach(m => { count[m]--; });
+    else kept.push(c);
+  }
+  return kept;
+}
+
+/**
+ * REDUCE: shrink each cube, largest first, to the smallest cube holding the
+ * ON minterms no other cube covers, so the next EXPAND can grow it elsewhere
+ */
+function espressoReduce(cubes, state) {
+  const count = new Int32Array(state.length);
+  cubes.forEach(c => cubeOnMinterms(state, c).forEach(m => { count[m]++; }));
+  
+  const order = cubes.slice().sort((a, b) => popcount(b.dashes) - popcount(a.dashes) || a.value - b.value);
+  const out = [];
+  for (const c of order) {
+    const ons = cubeOnMinterms(state, c);
+    const unique = ons.filter(m => count[m] === 1);
+    if (!unique.length) {
+      ons.forEach(m => { count[m]--; });
+      continue;
+    }
+    
+    // Supercube of the unique minterms: bits where they differ become dashes
+    let all = state.length - 1;
+    let any = 0;
+    for (const m of unique) {
+      all &= m;
+      any |= m;
+    }
+    const reduced = { value: all, dashes: any & ~all };
+    ons.forEach(m => {
+      if (((m ^ reduced.value) & ~reduced.dashes) !== 0) count[m]--;
+    });
+    out.push(reduced);
+  }
+  return out;
+}
+
+/**
+ * Espresso-style heuristic minimization: EXPAND and IRREDUNDANT from the
+ * minterms, then REDUCE → EXPAND → IRREDUNDANT while the cover gets cheaper
+ * (fewer terms, then fewer literals). Every implicant of the result is prime
+ * and none is redundant, but the cover is not proven minimal.
+ * @param {Array} minterms - Array of minterm indices (maxterms in POS mode)
+ * @param {Array} dontcares - Array of don't care indices
+ * @param {Array} varNames - Variable names
+ * @param {string} mode - 'SOP' or 'POS'
+ * @param {Object} options - {onProgress}: called with {stage: 'espresso', iteration, terms, literals}
+ * @returns {Object} {implicants: [], result: string, exact: false, method: 'espresso', steps: null, iterations}
+ */
+export function espressoSimplify(minterms, dontcares, varNames, mode = 'SOP', options = {}) {
+  const progress = options.onProgress || (() => {});
+  const W = varNames.length;
+  if (W > MAX_QM_VARS) throw new Error(`Espresso mendukung maksimal ${MAX_QM_VARS} variabel (diberikan ${W})`);
+  
+  const state = new Uint8Array(2 ** W);   // CUBE_OFF unless listed
+  dontcares.forEach(m => { state[m] = CUBE_DC; });
+  minterms.forEach(m => { state[m] = CUBE_ON; });
+  
+  let cover = [...new Set(minterms)].map(m => ({ value: m, dashes: 0 }));
+  let iterations = 0;
+  if (cover.length) {
+    cover = espressoIrredundant(espressoExpand(cover, state, W), state);
+    let cost = cubeCoverCost(cover, W);
+    iterations = 1;
+    progress({ stage: 'espresso', iteration: iterations, ...cost });
+    
+    while (iterations < ESPRESSO_MAX_ITERATIONS) {
+      const next = espressoIrredundant(espressoExpand(espressoReduce(cover, state), state, W), state);
+      const nextCost = cubeCoverCost(next, W);
+      if (nextCost.terms > cost.terms || (nextCost.terms === cost.terms && nextCost.literals >= cost.literals)) break;
+      cover = next;
+      cost = nextCost;
+      iterations++;
+      progress({ stage: 'espresso', iteration: iterations, ...cost });
+    }
+  }
+  
+  // Larger cubes first, then by value, so the printed result is stable
+  cover.sort((a, b) => popcount(b.dashes) - popcount(a.dashes) || a.value - b.value || a.dashes - b.dashes);
+  const implicants = cover.map(c => cubeToMask(c.value, c.dashes, W));
+  const result = mode === 'SOP' ? implicantsToSOP(implicants, varNames) : implicantsToPOS(implicants, varNames);
+  return { implicants, result, exact: false, method: 'espresso', steps: null, iterations };
+}
+
+/* =============================================================================
+   6. K-MAP LAYOUT GENERATION
+   Generate K-Map structure based on number of variables
+============================================================================= */
+// Single sub-map arrangement used by 1-4 variable layouts
+const SINGLE_MAP = [{ r: 0, c: 0, value: 0 }];
+
+/**
+ * Generate K-Map layout for given number of variables
+ * 5 and 6 variables are drawn as 2 or 4 sub-maps of 4×4. Sub-maps are
+ * placed in Gray order, so sub-maps that share an edge differ in one bit.
+ * @param {number} nVars - Number of variables (1-6)
+ * @param {Array} names - Variable names, most significant first
+ * @returns {Object} Layout configuration with Gray code ordering
+ */
+export function kmapLayoutForVars(nVars, names = DEFAULT_VAR_NAMES) {
+  if (nVars === 1) {
+    return {
+      rows: [0, 1],
+      cols: [0],
+      rowVars: [names[0]],
+      colVars: [],
+      mapVars: [],
+      maps: SINGLE_MAP,
+      index({ r, c }) {
+        return GRAY2[r];
+      }
+    };
+  }
+  
+  if (nVars === 2) {
+    return {
+      rows: GRAY2,
+      cols: GRAY2,
+      rowVars: [names[0]],
+      colVars: [names[1]],
+      mapVars: [],
+      maps: SINGLE_MAP,
+      index({ r, c }) {
+        const A = GRAY2[r];
+        const B = GRAY2[c];
+        return (A << 1) | B;
+      }
+    };
+  }
+  
+  if (nVars === 3) {
+    return {
+      rows: GRAY2,
+      cols: GRAY4,
+      rowVars: [names[0]],
+      colVars: [names[1], names[2]],
+      mapVars: [],
+      maps: SINGLE_MAP,
+      index({ r, c }) {
+        const A = GRAY2[r];
+        const BC = GRAY4[c];
+        const B = (BC >> 1) & 1;
+        const C = BC & 1;
+        return (A << 2) | (B << 1) | C;
+      }
+    };
+  }
+  
+  if (nVars === 4) {
+    return {
+      rows: GRAY4,
+      cols: GRAY4,
+      rowVars: [names[0], names[1]],
+      colVars: [names[2], names[3]],
+      mapVars: [],
+      maps: SINGLE_MAP,
+      index({ r, c }) {
+        const AB = GRAY4[r];
+        const CD = GRAY4[c];
+        const A = (AB >> 1) & 1;
+        const B = AB & 1;
+        const C = (CD >> 1) & 1;
+        const D = CD & 1;
+        return (A << 3) | (B << 2) | (C << 1) | D;
+      }
+    };
+  }
+  
+  if (nVars === 5) {
+    // Two 4×4 sub-maps side by side: A=0 | A=1
+    const maps = [
+      { r: 0, c: 0, value: 0 },
+      { r: 0, c: 1, value: 1 }
+    ];
+    return {
+      rows: GRAY4,
+      cols: GRAY4,
+      rowVars: [names[1], names[2]],
+      colVars: [names[3], names[4]],
+      mapVars: [names[0]],
+      maps,
+      index({ r, c, s = 0 }) {
+        return (maps[s].value << 4) | (GRAY4[r] << 2) | GRAY4[c];
+      }
+    };
+  }
+  
+  if (nVars === 6) {
+    // Four 4×4 sub-maps: rows select A, columns select B
+    const maps = [
+      { r: 0, c: 0, value: 0 },
+      { r: 0, c: 1, value: 1 },
+      { r: 1, c: 0, value: 2 },
+      { r: 1, c: 1, value: 3 }
+    ];
+    return {
+      rows: GRAY4,
+      cols: GRAY4,
+      rowVars: [names[2], names[3]],
+      colVars: [names[4], names[5]],
+      mapVars: [names[0], names[1]],
+      maps,
+      index({ r, c, s = 0 }) {
+        return (maps[s].value << 4) | (GRAY4[r] << 2) | GRAY4[c];
+      }
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Check if two sub-maps are adjacent (their select bits differ by 1)
+ */
+export function subMapsAdjacent(a, b) {
+  const diff = a.value ^ b.value;
+  return diff !== 0 && (diff & (diff - 1)) === 0;
+}
+
+/**
+ * Split sorted positions on a cyclic axis into contiguous runs.
+ * A run touching both ends is split in two and flagged as wrapping.
+ * @returns {Array} [{from, to, wrapStart, wrapEnd}]
+ */
+function cyclicRuns(positions, size) {
+  if (!positions.length) return [];
+  if (positions.length === size) {
+    return [{ from: 0, to: size - 1, wrapStart: false, wrapEnd: false }];
+  }
+  
+  const runs = [];
+  let from = positions[0];
+  let prev = positions[0];
+  for (let i = 1; i <= positions.length; i++) {
+    const p = positions[i];
+    if (p === prev + 1) {
+      prev = p;
+      continue;
+    }
+    runs.push({ from, to: prev, wrapStart: false, wrapEnd: false });
+    from = prev = p;
+  }
+  
+  // First and last run meet across the edge
+  const first = runs[0];
+  const last = runs[runs.length - 1];
+  if (runs.length > 1 && first.from === 0 && last.to === size - 1) {
+    first.wrapStart = true;
+    last.wrapEnd = true;
+  }
+  return runs;
+}
+
+/**
+ * Compute the rectangles that draw an implicant on a K-Map layout.
+ * Groups wrapping around an edge become several pieces whose open
+ * sides face the edge they wrap across.
+ * @param {string} mask - Implicant mask, e.g. '1-0-'
+ * @param {Object} layout - Layout from kmapLayoutForVars
+ * @returns {Array} [{s, r0, r1, c0, c1, open: {top, bottom, left, right}}]
+ */
+export function kmapGroupPieces(mask, layout) {
+  const n = mask.length;
+  const rows = layout.rows.length || 1;
+  const cols = layout.cols.length || 1;
+  const pieces = [];
+  
+  layout.maps.forEach((map, s) => {
+    const rowSet = new Set();
+    const colSet = new Set();
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        if (covers(mask, toBin(layout.index({ r, c, s }), n))) {
+          rowSet.add(r);
+          colSet.add(c);
+        }
+      }
+    }
+    if (!rowSet.size) return;
+    
+    const byNum = (a, b) => a - b;
+    const rowRuns = cyclicRuns([...rowSet].sort(byNum), rows);
+    const colRuns = cyclicRuns([...colSet].sort(byNum), cols);
+    
+    for (const rr of rowRuns) {
+      for (const cr of colRuns) {
+        pieces.push({
+          s,
+          r0: rr.from, r1: rr.to,
+          c0: cr.from, c1: cr.to,
+          open: {
+            top: rr.wrapStart, bottom: rr.wrapEnd,
+            left: cr.wrapStart, right: cr.wrapEnd
+          }
+        });
+      }
+    }
+  });
+  
+  return pieces;
+}
+
+/**
+ * Format axis label for K-Map
+ */
+export function prettyAxisLabel(vars) {
+  if (!vars.length) return '—';
+  return joinVarNames(vars, ',');
+}
+
+/* =============================================================================
+   7. TRUTH TABLE GENERATION
+============================================================================= */
+/**
+ * Build complete truth table for given variables and expression
+ * @param {Array} vars - Variable names
+ * @param {Array} rpn - RPN expression
+ * @returns {Array} Array of {m: minterm_index, env: {A:0, B:1}, y: output}
+ */
+export function buildTruthTable(vars, rpn) {
+  const rows = [];
+  const n = vars.length;
+  const total = 1 << n; // 2^n combinations
+  
+  for (let m = 0; m < total; m++) {
+    const env = {};
+    // Convert minterm index to variable values
+    for (let i = 0; i < n; i++) {
+      env[vars[i]] = (m >> (n - 1 - i)) & 1;
+    }
+    const y = rpn ? evalRPN(rpn, env) : 0;
+    rows.push({ m, env, y });
+  }
+  
+  return rows;
+}
+
+/**
+ * Parse the "Name = expression" lines of a multi-output function
+ * @param {string} text - One output per line; blank lines and # comments are skipped
+ * @param {Object} options - Tokenizer options
+ * @returns {Object} {vars, outputs: [{name, src, ast}]}
+ */
+export function parseMultiOutput(text, options = {}) {
+  const outputs = [];
+  
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    
+    // "=" but not the "==" / "=>" operators
+    const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=(?![=>])(.*)$/);
+    if (!match) throw new Error(`Baris ${i + 1}: gunakan format "Nama = ekspresi"`);
+    
+    const [, name, src] = match;
+    if (outputs.some(o => o.name === name)) throw new Error(`Baris ${i + 1}: output ${name} didefinisikan dua kali`);
+    if (!src.trim()) throw new Error(`Baris ${i + 1}: ekspresi untuk ${name} kosong`);
+    
+    try {
+      outputs.push({ name, src, ast: parse(tokenize(src, options)) });
+    } catch (e) {
+      if (e instanceof ParseError) throw new Error(`Baris ${i + 1} (${name}): ${e.message}`);
+      throw e;
+    }
+  });
+  
+  if (!outputs.length) throw new Error('Belum ada output yang didefinisikan');
+  
+  const names = new Set();
+  outputs.forEach(o => extractVars(o.src, options).forEach(v => names.add(v)));
+  const clash = outputs.find(o => names.has(o.name));
+  if (clash) throw new Error(`Output ${clash.name} juga dipakai sebagai variabel input`);
+  
+  return { vars: [...names].sort(compareVarNames), outputs };
+}
+
+/**
+ * Truth table with one column per output
+ * @returns {Array} [{m, env, ys}]
+ */
+export function buildMultiTruthTable(vars, asts) {
+  const n = vars.length;
+  const rows = [];
+  for (let m = 0; m < (1 << n); m++) {
+    const env = {};
+    for (let i = 0; i < n; i++) {
+      env[vars[i]] = (m >> (n - 1 - i)) & 1;
+    }
+    rows.push({ m, env, ys: asts.map(ast => evalAST(ast, env)) });
+  }
+  return rows;
+}
+
+/**
+ * Compare two expressions over the union of their variables
+ * @param {string} src1 - First expression
+ * @param {string} src2 - Second expression
+ * @param {Object} options - Tokenizer options
+ * @returns {Object} {vars, rows: [{m, env, y1, y2}], diffs: [m], equivalent}
+ */
+export function compareExpressions(src1, src2, options = {}) {
+  const rpn1 = toRPN(tokenize(src1, options));
+  const rpn2 = toRPN(tokenize(src2, options));
+  const all = [...extractVars(src1, options), ...extractVars(src2, options)];
+  const vars = options.identifiers
+    ? Array.from(new Set(all)).sort(compareVarNames)
+    : uniqueSortedVars(all);
+  
+  if (vars.length > MAX_TRUTH_TABLE_VARS) {
+    throw new Error(`Maksimal ${MAX_TRUTH_TABLE_VARS} variabel untuk tabel kebenaran (gabungan: ${vars.length})`);
+  }
+  
+  const t1 = buildTruthTable(vars, rpn1);
+  const t2 = buildTruthTable(vars, rpn2);
+  const rows = t1.map((r, i) => ({ m: r.m, env: r.env, y1: r.y, y2: t2[i].y }));
+  const diffs = rows.filter(r => r.y1 !== r.y2).map(r => r.m);
+  
+  return { vars, rows, diffs, equivalent: diffs.length === 0 };
+}
+
+/* =============================================================================
+   7B. MINIMIZER JOBS (worker.js)
+============================================================================= */
+/**
+ * One unit of heavy work, run by worker.js off the page's main thread (or by
+ * the page itself where Web Workers are unavailable). Jobs and results are
+ * plain data so they can cross postMessage.
+ * - {kind: 'evaluate', vars, rpn, minimize, algorithm, mode, cover, trace}
+ *     → {cells, minimized, time}; minimized is null unless job.minimize
+ * - {kind: 'minimize', vars, cells, algorithm, mode, cover, trace} → {cells, minimized, time}
+ * @param {Object} job - Job description
+ * @param {Function} [onProgress] - Called with {stage, ...}: 'table' and the minimizer stages
+ * @returns {Object} time is the minimization time in ms
+ */
+export function runJob(job, onProgress = () => {}) {
+  let cells = job.cells;
+  if (job.kind === 'evaluate') {
+    onProgress({ stage: 'table', rows: 1 << job.vars.length });
+    cells = buildTruthTable(job.vars, job.rpn).map(r => r.y);
+  } else if (job.kind !== 'minimize') {
+    throw new Error(`Job tidak dikenal: ${job.kind}`);
+  }
+  
+  if (job.kind === 'evaluate' && !job.minimize) return { cells, minimized: null, time: 0 };
+  
+  const start = performance.now();
+  const minimized = minimizeCells(job.vars, cells, job.mode, {
+    algorithm: job.algorithm, cover: job.cover, trace: job.trace, onProgress
+  });
+  return { cells, minimized, time: performance.now() - start };
+}
+
+/**
+ * Time qmSimplifyClassic on the terms a finished job minimized, for the
+ * benchmark next to the job's own time. worker.js runs it after replying
+ * with the job result, so the result never waits for the old implementation.
+ * @param {Object} job - The job, with compare: true
+ * @param {Object|null} minimized - result.minimized of runJob
+ * @returns {number|null} Time in ms, or null if there is nothing to compare
+ *   (no Quine-McCluskey result, or more than MAX_TRUTH_TABLE_VARS variables)
+ */
+export function runComparison(job, minimized) {
+  if (!job.compare || !minimized || minimized.algorithm !== 'qm') return null;
+  if (job.vars.length < 1 || job.vars.length > MAX_TRUTH_TABLE_VARS) return null;
+  
+  const start = performance.now();
+  qmSimplifyClassic(minimized.terms, minimized.dontcares, job.vars, job.mode, { cover: job.cover });
+  return performance.now() - start;
+}
+
+/* =============================================================================
+   7C. GATE CIRCUIT DIAGRAM (SVG)
+   Netlist from a syntax tree (shared sub-expressions, flattened AND/OR/XOR
+   chains), drawn in layers from left to right. Wires that skip a layer pass
+   through dummy points, so they never run across a gate body.
+============================================================================= */
+const CIRCUIT = {
+  gateW: 46,      // gate body width (+8 for the output bubble/stub)
+  pin: 16,        // distance between input pins
+  gapY: 18,       // vertical gap between items of a column
+  laneGap: 9,     // distance between vertical wire lanes
+  labelW: 56,     // room for input labels
+  margin: 24
+};
+
+/**
+ * Build a gate netlist from a syntax tree
+ * Identical sub-expressions share one gate. IMP becomes OR with an inverted
+ * first input and EQ becomes XNOR.
+ * @returns {Object} {nodes: [{id, kind: 'input'|'gate', type, label, inputs}], output}
+ */
+export function buildCircuit(ast) {
+  const nodes = [];
+  const byKey = new Map();
+  
+  const add = (key, node) => {
+    if (byKey.has(key)) return byKey.get(key);
+    node.id = nodes.length;
+    node.inputs = node.inputs || [];
+    nodes.push(node);
+    byKey.set(key, node.id);
+    return node.id;
+  };
+  const operands = (n, op) => (n.type === 'bin' && n.op === op)
+    ? [...operands(n.left, op), ...operands(n.right, op)]
+    : [n];
+  const gate = (type, args) => {
+    const inputs = args.map(build);
+    return add(`${type}(${inputs.join(',')})`, { kind: 'gate', type, inputs });
+  };
+  const build = n => {
+    switch (n.type) {
+      case 'var': return add(`v:${n.name}`, { kind: 'input', label: n.name });
+      case 'const': return add(`c:${n.value}`, { kind: 'input', label: String(n.value), value: n.value });
+      case 'not': return gate('NOT', [n.arg]);
+    }
+    switch (n.op) {
+      case 'AND':
+      case 'OR':
+      case 'XOR': return gate(n.op, operands(n, n.op));
+      case 'EQ': return gate('XNOR', [n.left, n.right]);
+      case 'IMP': return gate('OR', [mkNot(n.left), n.right]);
+      default: return gate(n.op, [n.left, n.right]);
+    }
+  };
+  
+  const output = build(ast);
+  return { nodes, output };
+}
+
+/**
+ * Gate count and gate-input count of a netlist
+ */
+export function circuitCost(circuit) {
+  const gates = circuit.nodes.filter(n => n.kind === 'gate');
+  return {
+    gates: gates.length,
+    inputs: gates.reduce((sum, g) => sum + g.inputs.length, 0)
+  };
+}
+
+/**
+ * Syntax tree of a two-level SOP/POS from implicant masks
+ */
+export function implicantsToAST(impls, vars, mode) {
+  const sop = mode === 'SOP';
+  const chain = (op, items) => items.reduce((a, b) => mkBin(op, a, b));
+  if (!impls.length) return mkConst(sop ? 0 : 1);
+  
+  const terms = impls.map(mask => {
+    const lits = [];
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i] === '-') continue;
+      // SOP: 1 → A, 0 → A'. POS (cover of zeros): 0 → A, 1 → A'
+      const negated = sop ? mask[i] === '0' : mask[i] === '1';
+      lits.push(negated ? mkNot(mkVar(vars[i])) : mkVar(vars[i]));
+    }
+    return lits.length ? chain(sop ? 'AND' : 'OR', lits) : mkConst(sop ? 1 : 0);
+  });
+  return chain(sop ? 'OR' : 'AND', terms);
+}
+
+/**
+ * Evaluate a netlist for one input assignment
+ * @param {Object} circuit - {nodes, output}
+ * @param {Object} env - Variable name → 0/1
+ * @returns {number} 0 or 1
+ */
+export function simulateCircuit(circuit, env) {
+  const values = [];
+  const valueOf = id => {
+    if (values[id] !== undefined) return values[id];
+    const n = circuit.nodes[id];
+    if (n.kind === 'input') return (values[id] = n.value !== undefined ? n.value : env[n.label]);
+    
+    const ins = n.inputs.map(valueOf);
+    const all = ins.every(Boolean);
+    const any = ins.some(Boolean);
+    const odd = ins.reduce((a, b) => a ^ b, 0);
+    const y = {
+      NOT: !ins[0], AND: all, NAND: !all, OR: any, NOR: !any, XOR: odd, XNOR: !odd
+    }[n.type];
+    return (values[id] = y ? 1 : 0);
+  };
+  return valueOf(circuit.output);
+}
+
+/**
+ * Keep only the gates that drive the output (conversion leaves cancelled inverters behind)
+ */
+function pruneCircuit(circuit) {
+  const keep = new Map();
+  const nodes = [];
+  const visit = id => {
+    if (keep.has(id)) return keep.get(id);
+    const n = circuit.nodes[id];
+    const inputs = n.inputs.map(visit);
+    const copy = { ...n, id: nodes.length, inputs };
+    nodes.push(copy);
+    keep.set(id, copy.id);
+    return copy.id;
+  };
+  const output = visit(circuit.output);
+  return { nodes, output };
+}
+
+/**
+ * Netlist builder restricted to one universal gate type ('NAND' or 'NOR')
+ * An inverter is the gate with both inputs tied together; inverting an
+ * inverter returns its input, so double negations never reach the circuit.
+ */
+function universalBuilder(gateType) {
+  const nodes = [];
+  const byKey = new Map();
+  const inverse = new Map();
+  
+  const add = (key, node) => {
+    if (byKey.has(key)) return byKey.get(key);
+    node.id = nodes.length;
+    node.inputs = node.inputs || [];
+    nodes.push(node);
+    byKey.set(key, node.id);
+    return node.id;
+  };
+  const input = (label, value) => add(`v:${label}`, value === undefined
+    ? { kind: 'input', label }
+    : { kind: 'input', label, value });
+  const gate = inputs => {
+    const sorted = inputs.slice().sort((a, b) => a - b);
+    return add(`${gateType}(${sorted.join(',')})`, { kind: 'gate', type: gateType, inputs: sorted });
+  };
+  const inv = id => {
+    if (inverse.has(id)) return inverse.get(id);
+    const n = nodes[id];
+    if (n.kind === 'gate' && n.inputs.length === 2 && n.inputs[0] === n.inputs[1]) return n.inputs[0];
+    const out = n.value !== undefined ? input(String(1 - n.value), 1 - n.value) : gate([id, id]);
+    inverse.set(id, out);
+    inverse.set(out, id);
+    return out;
+  };
+  
+  return { nodes, input, gate, inv, gateType };
+}
+
+/**
+ * Fully NAND-only or NOR-only netlist of any expression, 2-input gates only
+ * (one 7400 or 7402 package holds four of them)
+ * @param {Object} ast - Tree from parse()
+ * @param {string} gateType - 'NAND' or 'NOR'
+ */
+export function universalFromAST(ast, gateType) {
+  const u = universalBuilder(gateType);
+  const nand = gateType === 'NAND';
+  const G = (a, b) => u.gate([a, b]);
+  
+  // NAND: XY = ((XY)')', X + Y = (X'Y')'. NOR is the dual.
+  const and = (a, b) => nand ? u.inv(G(a, b)) : G(u.inv(a), u.inv(b));
+  const or = (a, b) => nand ? G(u.inv(a), u.inv(b)) : u.inv(G(a, b));
+  // Four-gate network: XOR with NAND, XNOR with NOR
+  const xor = (a, b) => {
+    const t = G(a, b);
+    const y = G(G(a, t), G(b, t));
+    return nand ? y : u.inv(y);
+  };
+  
+  const build = n => {
+    switch (n.type) {
+      case 'var': return u.input(n.name);
+      case 'const': return u.input(String(n.value), n.value);
+      case 'not': return u.inv(build(n.arg));
+    }
+    const a = build(n.left);
+    const b = build(n.right);
+    switch (n.op) {
+      case 'AND': return and(a, b);
+      case 'OR': return or(a, b);
+      case 'NAND': return u.inv(and(a, b));
+      case 'NOR': return u.inv(or(a, b));
+      case 'XOR': return xor(a, b);
+      case 'IMP': return or(u.inv(a), b);
+      default: return u.inv(xor(a, b));  // XNOR, EQ
+    }
+  };
+  
+  return pruneCircuit({ nodes: u.nodes, output: build(ast) });
+}
+
+/**
+ * Two-level NAND-NAND (from SOP) or NOR-NOR (from POS) netlist
+ * @param {Array} impls - Implicant masks from qmSimplify
+ * @param {Array} vars - Variable names
+ * @param {string} mode - 'SOP' → NAND-NAND, 'POS' → NOR-NOR
+ */
+export function twoLevelUniversal(impls, vars, mode) {
+  const sop = mode === 'SOP';
+  const u = universalBuilder(sop ? 'NAND' : 'NOR');
+  const constant = v => pruneCircuit({ nodes: u.nodes, output: u.input(String(v), v) });
+  if (!impls.length) return constant(sop ? 0 : 1);
+  
+  const terms = impls.map(mask => {
+    const lits = [];
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i] === '-') continue;
+      const v = u.input(vars[i]);
+      const negated = sop ? mask[i] === '0' : mask[i] === '1';
+      lits.push(negated ? u.inv(v) : v);
+    }
+    if (!lits.length) return null;
+    // First level: one gate per term; a single literal only needs inverting
+    return lits.length === 1 ? u.inv(lits[0]) : u.gate(lits);
+  });
+  if (terms.includes(null)) return constant(sop ? 1 : 0);
+  
+  const output = terms.length === 1 ? u.inv(terms[0]) : u.gate(terms);
+  return pruneCircuit({ nodes: u.nodes, output });
+}
+
+/**
+ * Expression text of a NAND/NOR netlist: 2-input gates as X ↑ Y / X ↓ Y,
+ * wider gates as (XYZ)' / (X + Y + Z)'
+ * @returns {string|null} null when the text would be unreasonably long
+ */
+export function universalToExpr(circuit, vars) {
+  const sep = vars.some(v => v.length > 1) ? ' ' : '';
+  const memo = new Map();
+  const fmt = id => {
+    if (memo.has(id)) return memo.get(id);
+    const n = circuit.nodes[id];
+    let s;
+    if (n.kind === 'input') {
+      s = n.label;
+    } else {
+      const ins = n.inputs.map(fmt);
+      if (ins.length === 2) s = `(${ins[0]}${n.type === 'NAND' ? ' ↑ ' : ' ↓ '}${ins[1]})`;
+      else s = n.type === 'NAND' ? `(${ins.join(sep)})'` : `(${ins.join(' + ')})'`;
+    }
+    if (s.length > 4000) throw new RangeError('too long');
+    memo.set(id, s);
+    return s;
+  };
+  
+  try {
+    const s = fmt(circuit.output);
+    const top = circuit.nodes[circuit.output];
+    return top.kind === 'gate' && top.inputs.length === 2 ? s.slice(1, -1) : s;
+  } catch (e) {
+    if (e instanceof RangeError) return null;
+    throw e;
+  }
+}
+
+/**
+ * Pin offset of the curved back of OR/XOR gates at relative height t (0..1)
+ */
+const orBackOffset = t => 2 * t * (1 - t) * CIRCUIT.gateW * 0.2;
+
+/**
+ * SVG markup for one gate body; pins are handled by the caller
+ */
+function gateSymbolSVG(type, x, top, h) {
+  const W = CIRCUIT.gateW;
+  const cy = top + h / 2;
+  const b = W * 0.2;
+  const bubble = cx => `<circle class="gate" cx="${cx}" cy="${cy}" r="4"/>`;
+  const orPath = x0 => `M${x0},${top} Q${x0 + W * 0.6},${top} ${x + W},${cy} ` +
+    `Q${x0 + W * 0.6},${top + h} ${x0},${top + h} Q${x0 + b},${cy} ${x0},${top} Z`;
+  const stub = `<path class="wire" d="M${x + W},${cy} H${x + W + 8}"/>`;
+  
+  switch (type) {
+    case 'NOT':
+      return `<path class="gate" d="M${x},${top} L${x + W - 8},${cy} L${x},${top + h} Z"/>` + bubble(x + W - 4) +
+        `<path class="wire" d="M${x + W},${cy} H${x + W + 8}"/>`;
+    case 'AND':
+    case 'NAND':
+      return `<path class="gate" d="M${x},${top} H${x + W / 2} A${W / 2},${h / 2} 0 0 1 ${x + W / 2},${top + h} H${x} Z"/>` +
+        (type === 'NAND' ? bubble(x + W + 4) : stub);
+    case 'OR':
+    case 'NOR':
+      return `<path class="gate" d="${orPath(x)}"/>` + (type === 'NOR' ? bubble(x + W + 4) : stub);
+    default:  // XOR, XNOR
+      return `<path class="gate" d="${orPath(x + 6)}"/>` +
+        `<path class="wire" d="M${x},${top} Q${x + b},${cy} ${x},${top + h}"/>` +
+        (type === 'XNOR' ? bubble(x + W + 4) : stub);
+  }
+}
+
+/**
+ * Lay out and draw a netlist as SVG
+ * @param {Object} circuit - From buildCircuit()
+ * @param {Array} vars - Input order (top to bottom)
+ * @param {string} outName - Output label
+ * @returns {string} SVG markup
+ */
+export function circuitToSVG(circuit, vars, outName = 'F') {
+  const { nodes, output } = circuit;
+  const { gateW, pin, gapY, laneGap, labelW, margin } = CIRCUIT;
+  
+  // Layers: inputs 0, gates 1 + deepest input, output terminal last
+  const level = [];
+  const levelOf = id => {
+    if (level[id] === undefined) {
+      const n = nodes[id];
+      level[id] = n.kind === 'input' ? 0 : 1 + Math.max(...n.inputs.map(levelOf));
+    }
+    return level[id];
+  };
+  nodes.forEach(n => levelOf(n.id));
+  const outLevel = levelOf(output) + 1;
+  
+  // Items per column; dummies carry a net through skipped columns
+  const cols = Array.from({ length: outLevel + 1 }, () => []);
+  const items = nodes.map(n => {
+    const h = n.kind === 'input' ? pin : (n.type === 'NOT' ? 24 : Math.max(2, n.inputs.length) * pin);
+    const item = { node: n, col: level[n.id], h, preds: [] };
+    cols[item.col].push(item);
+    return item;
+  });
+  const outItem = { output: true, col: outLevel, h: pin, preds: [] };
+  cols[outLevel].push(outItem);
+  
+  const dummies = new Map();
+  const source = (src, col) => {
+    // Item that carries net `src` into column `col`
+    if (items[src].col === col - 1) return items[src];
+    const key = `${src}@${col - 1}`;
+    if (!dummies.has(key)) {
+      const d = { dummy: true, col: col - 1, h: 2, preds: [source(src, col - 1)], net: src };
+      cols[d.col].push(d);
+      dummies.set(key, d);
+    }
+    return dummies.get(key);
+  };
+  items.forEach(item => {
+    if (item.node.kind === 'gate') item.preds = item.node.inputs.map(src => source(src, item.col));
+  });
+  outItem.preds = [source(output, outLevel)];
+  
+  // Order: inputs by variable order, then each column by barycenter of its sources
+  const varRank = name => {
+    const i = vars.indexOf(name);
+    return i < 0 ? vars.length + Number(name) : i;
+  };
+  cols[0].sort((a, b) => varRank(a.node.label) - varRank(b.node.label));
+  
+  // Vertical placement: sources first, then as close to their sources as order allows
+  let height = 0;
+  cols.forEach((col, c) => {
+    col.forEach((it, i) => { it.order = i; });
+    if (c > 0) {
+      col.forEach(it => { it.want = it.preds.reduce((s, p) => s + p.y, 0) / it.preds.length; });
+      col.sort((a, b) => a.want - b.want || a.order - b.order);
+    }
+    let bottom = margin - gapY;
+    col.forEach(it => {
+      const want = c === 0 ? -Infinity : it.want - it.h / 2;
+      const top = Math.max(want, bottom + gapY);
+      it.y = top + it.h / 2;
+      bottom = top + it.h;
+    });
+    height = Math.max(height, bottom + margin);
+  });
+  
+  // Pin order follows source height so wires do not cross at the gate
+  cols.forEach(col => col.forEach(it => {
+    it.pins = it.preds
+      .map((p, k) => ({ p, k }))
+      .sort((a, b) => a.p.y - b.p.y || a.k - b.k)
+      .map(({ p }, i) => ({ from: p, y: it.y + (i - (it.preds.length - 1) / 2) * (it.dummy || it.output ? 0 : pin) }));
+  }));
+  
+  // Lanes in each gap: one per net that changes height
+  const gaps = cols.map(() => []);
+  cols.forEach((col, c) => {
+    if (c === 0) return;
+    const nets = new Map();
+    col.forEach(it => it.pins.forEach(p => {
+      if (!nets.has(p.from)) nets.set(p.from, []);
+      nets.get(p.from).push(p.y);
+    }));
+    for (const [from, ys] of nets) {
+      if (ys.every(y => Math.abs(y - from.y) < 0.5)) continue;
+      const mean = ys.reduce((s, y) => s + y, 0) / ys.length;
+      gaps[c].push({ from, ys, down: mean > from.y });
+    }
+    // Upward nets left of downward ones; within each group this order avoids crossings
+    gaps[c].sort((a, b) => (a.down - b.down) || (a.down ? b.from.y - a.from.y : a.from.y - b.from.y));
+  });
+  
+  // Horizontal placement
+  const colX = [];
+  let x = margin + labelW;
+  cols.forEach((col, c) => {
+    if (c > 0) x += Math.max(48, (gaps[c].length + 1) * laneGap) + 6;
+    colX[c] = x;
+    x += gateW + 8;
+  });
+  const width = colX[outLevel] + 40 + margin;
+  
+  const parts = [];
+  const wire = d => parts.push(`<path class="wire" d="${d}"/>`);
+  const dot = (cx, cy) => parts.push(`<circle class="junction" cx="${cx}" cy="${cy}" r="3"/>`);
+  const outX = it => colX[it.col] + gateW + 8;
+  const inX = (it, py) => {
+    const left = colX[it.col];
+    const curved = it.node && ['OR', 'NOR', 'XOR', 'XNOR'].includes(it.node.type);
+    return curved ? left + orBackOffset((py - (it.y - it.h / 2)) / it.h) : left;
+  };
+  
+  // Wires between neighbouring columns
+  cols.forEach((col, c) => {
+    if (c === 0) return;
+    const lanes = new Map(gaps[c].map((g, i) => [g.from, colX[c - 1] + gateW + 8 + laneGap * (i + 1)]));
+    const nets = new Map();
+    col.forEach(it => it.pins.forEach(p => {
+      if (!nets.has(p.from)) nets.set(p.from, []);
+      nets.get(p.from).push({ it, y: p.y });
+    }));
+    for (const [from, targets] of nets) {
+      const sx = outX(from);
+      const lane = lanes.get(from);
+      if (lane === undefined) {
+        targets.forEach(t => wire(`M${sx},${from.y} H${inX(t.it, t.y)}`));
+        continue;
+      }
+      const ys = [from.y, ...targets.map(t => t.y)];
+      const lo = Math.min(...ys);
+      const hi = Math.max(...ys);
+      wire(`M${sx},${from.y} H${lane} M${lane},${lo} V${hi}`);
+      targets.forEach(t => {
+        wire(`M${lane},${t.y} H${inX(t.it, t.y)}`);
+        if ((t.y > lo && t.y < hi) || Math.abs(t.y - from.y) < 0.5) dot(lane, t.y);
+      });
+      if (from.y > lo && from.y < hi) dot(lane, from.y);
+    }
+  });
+  
+  // Dummies are plain wire through their column
+  cols.forEach(col => col.filter(it => it.dummy).forEach(it => {
+    wire(`M${colX[it.col]},${it.y} H${outX(it)}`);
+  }));
+  
+  // Inputs, gates and output
+  cols[0].forEach(it => {
+    const px = outX(it);
+    parts.push(`<text class="io-label" x="${px - 14}" y="${it.y + 4}" text-anchor="end">${it.node.label}</text>`);
+    parts.push(`<path class="wire" d="M${px - 10},${it.y} H${px}"/><circle class="terminal" cx="${px - 10}" cy="${it.y}" r="3.5"/>`);
+  });
+  items.filter(it => it.node.kind === 'gate').forEach(it => {
+    const top = it.y - it.h / 2;
+    parts.push(`<g><title>${it.node.type} (${it.node.inputs.length} input)</title>${gateSymbolSVG(it.node.type, colX[it.col], top, it.h)}</g>`);
+  });
+  const ox = colX[outLevel];
+  parts.push(`<path class="wire" d="M${ox},${outItem.y} H${ox + 10}"/><circle class="terminal" cx="${ox + 10}" cy="${outItem.y}" r="3.5"/>`);
+  parts.push(`<text class="io-label" x="${ox + 18}" y="${outItem.y + 4}">${outName}</text>`);
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" class="circuit-svg" width="${width}" height="${height}" ` +
+    `viewBox="0 0 ${width} ${height}">${parts.join('')}</svg>`;
+}
+
+/* =============================================================================
+   7D. HDL EXPORT (VERILOG / VHDL)
+   A synthesizable module (continuous assignment of the minimized cover or a
+   case-statement truth table) and a self-checking testbench that drives all
+   2^n inputs and compares every output with the truth table.
+============================================================================= */
+const HDL_RESERVED = {
+  verilog: new Set(('always and assign automatic begin buf bufif0 bufif1 case casex casez cmos deassign ' +
+    'default defparam disable edge else end endcase endfunction endgenerate endmodule endprimitive ' +
+    'endspecify endtable endtask event for force forever fork function generate genvar highz0 highz1 ' +
+    'if ifnone initial inout input integer join large localparam macromodule medium module nand negedge ' +
+    'nmos nor not notif0 notif1 or output parameter pmos posedge primitive pull0 pull1 pulldown pullup ' +
+    'rcmos real realtime reg release repeat rnmos rpmos rtran rtranif0 rtranif1 scalared signed small ' +
+    'specify specparam strong0 strong1 supply0 supply1 table task time tran tranif0 tranif1 tri tri0 ' +
+    'tri1 triand trior trireg unsigned vectored wait wand weak0 weak1 while wire wor xnor xor ' +
+    // Names used inside the generated testbench
+    'i errors dut').split(' ')),
+  vhdl: new Set(('abs access after alias all and architecture array assert attribute begin block body ' +
+    'buffer bus case component configuration constant disconnect downto else elsif end entity exit file ' +
+    'for function generate generic group guarded if impure in inertial inout is label library linkage ' +
+    'literal loop map mod nand new next nor not null of on open or others out package port postponed ' +
+    'procedure process pure range record register reject rem report return rol ror select severity ' +
+    'signal shared sla sll sra srl subtype then to transport type unaffected units until use variable ' +
+    'wait when while with xnor xor ' +
+    // Library names and names used inside the generated code
+    'ieee std work std_logic std_logic_vector numeric_std to_unsigned natural integer ' +
+    'rtl sim sel stimulus i v errors dut').split(' '))
+};
+
+const HDL_OPS = {
+  verilog: { not: v => `~${v}`, and: ' & ', or: ' | ', zero: "1'b0", one: "1'b1" },
+  vhdl: { not: v => `not ${v}`, and: ' and ', or: ' or ', zero: "'0'", one: "'1'" }
+};
+
+/**
+ * Namer that turns arbitrary names into legal, unique HDL identifiers
+ * (VHDL identifiers are case-insensitive and cannot hold "__" or end in "_")
+ */
+function hdlNamer(lang) {
+  const reserved = HDL_RESERVED[lang];
+  const used = new Set();
+  const key = s => (lang === 'vhdl' ? s.toLowerCase() : s);
+  
+  return raw => {
+    let name = String(raw).replace(/[^A-Za-z0-9_]/g, '_');
+    if (lang === 'vhdl') name = name.replace(/_+/g, '_').replace(/^_+|_+$/g, '');
+    if (!/^[A-Za-z_]/.test(name) || (lang === 'vhdl' && !/^[A-Za-z]/.test(name))) {
+      name = name ? `x_${name}` : 'x';
+    }
+    const base = name;
+    for (let k = 1; reserved.has(key(name)) || used.has(key(name)); k++) name = `${base}_${k}`;
+    used.add(key(name));
+    return name;
+  };
+}
+
+/**
+ * Legal identifiers for every name the generated files use
+ * @param {Object} spec - {module, inputs, outputs: [{name}]}
+ * @returns {Object} {module, tb, inputs, outputs, tables}
+ */
+export function hdlNames(spec, lang) {
+  const name = hdlNamer(lang);
+  const module = name(spec.module || 'fungsi_logika');
+  return {
+    module,
+    tb: name(`${module}_tb`),
+    inputs: spec.inputs.map(name),
+    outputs: spec.outputs.map(o => name(o.name)),
+    tables: spec.outputs.map(o => name(`${o.name}_TT`))
+  };
+}
+
+/**
+ * HDL expression of a cover (SOP implicants of the ones, POS of the zeros)
+ */
+function hdlExpr(impls, mode, names, lang) {
+  const op = HDL_OPS[lang];
+  const inner = mode === 'SOP' ? op.and : op.or;
+  const outer = mode === 'SOP' ? op.or : op.and;
+  if (!impls.length) return mode === 'SOP' ? op.zero : op.one;
+  
+  const terms = impls.map(mask => {
+    const lits = [];
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i] === '-') continue;
+      lits.push(mask[i] === (mode === 'SOP' ? '1' : '0') ? names[i] : op.not(names[i]));
+    }
+    return lits;
+  });
+  if (terms.some(lits => !lits.length)) return mode === 'SOP' ? op.one : op.zero;
+  
+  return terms
+    .map(lits => (lits.length > 1 && terms.length > 1 ? `(${lits.join(inner)})` : lits.join(inner)))
+    .join(outer);
+}
+
+/**
+ * Truth-table column of one output as a bit string indexed by minterm
+ * (x / - for don't care)
+ */
+function hdlTableBits(cells, lang) {
+  return cells.map(c => (c === 'd' ? (lang === 'vhdl' ? '-' : 'x') : String(c))).join('');
+}
+
+/**
+ * Comment lines describing the function
+ */
+function hdlHeader(spec, lang, style) {
+  const comment = lang === 'vhdl' ? '--' : '//';
+  const form = spec.mode === 'SOP' ? implicantsToSOP : implicantsToPOS;
+  const lines = ['Dibuat oleh Simulator Aljabar Boolean & K-Map'];
+  spec.outputs.forEach(o => {
+    lines.push(`${o.name} = ${form(o.implicants, spec.inputs)}  (${spec.mode} minimal)`);
+  });
+  if (style === 'case') lines.push(`Implementasi: tabel kebenaran lengkap (${lang === 'vhdl' ? "'-'" : 'x'} = don't care)`);
+  return lines.map(l => `${comment} ${l}`).join('\n');
+}
+
+/**
+ * Generate a synthesizable Verilog or VHDL module
+ * @param {Object} spec - {module, inputs, mode, outputs: [{name, cells, implicants}]}
+ * @param {Object} options - {lang: 'verilog' | 'vhdl', style: 'assign' | 'case'}
+ * @returns {string} Source code
+ */
+export function generateHDL(spec, { lang, style }) {
+  const names = hdlNames(spec, lang);
+  const n = spec.inputs.length;
+  const header = hdlHeader(spec, lang, style);
+  const rows = spec.outputs[0].cells.map((_, m) => m);
+  
+  if (lang === 'verilog') {
+    const kind = style === 'case' ? 'reg ' : 'wire';
+    const ports = [
+      ...names.inputs.map(v => `    input  wire ${v}`),
+      ...names.outputs.map(v => `    output ${kind} ${v}`)
+    ].join(',\n');
+    let body;
+    if (style === 'case') {
+      const lhs = names.outputs.length > 1 ? `{${names.outputs.join(', ')}}` : names.outputs[0];
+      const width = names.outputs.length;
+      const value = m => `${width}'b${spec.outputs.map(o => hdlTableBits([o.cells[m]], lang)).join('')}`;
+      body = [
+        '    always @(*) begin',
+        `        case ({${names.inputs.join(', ')}})`,
+        ...rows.map(m => `            ${n}'b${toBin(m, n)}: ${lhs} = ${value(m)};`),
+        `            default: ${lhs} = ${width}'b${'x'.repeat(width)};`,
+        '        endcase',
+        '    end'
+      ].join('\n');
+    } else {
+      body = spec.outputs
+        .map((o, f) => `    assign ${names.outputs[f]} = ${hdlExpr(o.implicants, spec.mode, names.inputs, lang)};`)
+        .join('\n');
+    }
+    return `${header}\nmodule ${names.module} (\n${ports}\n);\n${body}\nendmodule\n`;
+  }
+  
+  const ports = [
+    ...names.inputs.map(v => `        ${v} : in  std_logic`),
+    ...names.outputs.map(v => `        ${v} : out std_logic`)
+  ].join(';\n');
+  let decls = '';
+  let body;
+  if (style === 'case') {
+    decls = `    signal sel : std_logic_vector(${n - 1} downto 0);\n`;
+    const assignments = m => spec.outputs
+      .map((o, f) => `${names.outputs[f]} <= '${hdlTableBits([o.cells[m]], lang)}';`).join(' ');
+    body = [
+      n > 1 ? `    sel <= ${names.inputs.join(' & ')};` : `    sel <= (0 => ${names.inputs[0]});`,
+      '    process (sel)',
+      '    begin',
+      '        case sel is',
+      ...rows.map(m => `            when "${toBin(m, n)}" => ${assignments(m)}`),
+      `            when others => ${names.outputs.map(v => `${v} <= 'X';`).join(' ')}`,
+      '        end case;',
+      '    end process;'
+    ].join('\n');
+  } else {
+    body = spec.outputs
+      .map((o, f) => `    ${names.outputs[f]} <= ${hdlExpr(o.implicants, spec.mode, names.inputs, lang)};`)
+      .join('\n');
+  }
+  return `${header}\nlibrary ieee;\nuse ieee.std_logic_1164.all;\n\n` +
+    `entity ${names.module} is\n    port (\n${ports}\n    );\nend entity ${names.module};\n\n` +
+    `architecture rtl of ${names.module} is\n${decls}begin\n${body}\nend architecture rtl;\n`;
+}
+
+/**
+ * Generate a self-checking testbench: loops over all 2^n inputs and compares
+ * each output with its truth-table column (don't-care rows are skipped)
+ * @param {Object} spec - Same spec as generateHDL
+ * @param {Object} options - {lang: 'verilog' | 'vhdl'}
+ * @returns {string} Source code
+ */
+export function generateTestbench(spec, { lang }) {
+  const names = hdlNames(spec, lang);
+  const n = spec.inputs.length;
+  const total = 1 << n;
+  
+  if (lang === 'verilog') {
+    const tables = spec.outputs.map((o, f) =>
+      `    localparam [0:${total - 1}] ${names.tables[f]} = ${total}'b${hdlTableBits(o.cells, lang)};`);
+    const portMap = [...names.inputs, ...names.outputs].map(v => `.${v}(${v})`).join(', ');
+    const checks = names.outputs.map((v, f) => [
+      `            if (${names.tables[f]}[i] !== 1'bx && ${v} !== ${names.tables[f]}[i]) begin`,
+      `                $display("GAGAL m%0d: ${v} = %b, seharusnya %b", i, ${v}, ${names.tables[f]}[i]);`,
+      '                errors = errors + 1;',
+      '            end'
+    ].join('\n')).join('\n');
+    return `// Testbench otomatis untuk ${names.module}: ${total} kombinasi input\n` +
+      '`timescale 1ns / 1ps\n' +
+      `module ${names.tb};\n` +
+      `    reg  ${names.inputs.join(', ')};\n` +
+      `    wire ${names.outputs.join(', ')};\n` +
+      `${tables.join('\n')}\n` +
+      '    integer i, errors;\n\n' +
+      `    ${names.module} dut (${portMap});\n\n` +
+      '    initial begin\n' +
+      '        errors = 0;\n' +
+      `        for (i = 0; i < ${total}; i = i + 1) begin\n` +
+      `            {${names.inputs.join(', ')}} = i[${n - 1}:0];\n` +
+      '            #10;\n' +
+      `${checks}\n` +
+      '        end\n' +
+      `        if (errors == 0) $display("LULUS: semua ${total} kombinasi input sesuai tabel kebenaran");\n` +
+      '        else $display("GAGAL: %0d kesalahan", errors);\n' +
+      '        $finish;\n' +
+      '    end\n' +
+      'endmodule\n';
+  }
+  
+  const tables = spec.outputs.map((o, f) =>
+    `    constant ${names.tables[f]} : std_logic_vector(0 to ${total - 1}) := "${hdlTableBits(o.cells, lang)}";`);
+  const portMap = [...names.inputs, ...names.outputs].map(v => `${v} => ${v}`).join(', ');
+  const drive = names.inputs.map((v, i) => `${v} <= v(${n - 1 - i});`).join(' ');
+  const checks = names.outputs.map((v, f) => [
+    `            if ${names.tables[f]}(i) /= '-' and ${v} /= ${names.tables[f]}(i) then`,
+    `                report "GAGAL m" & integer'image(i) & ": ${v} = " & std_logic'image(${v}) &`,
+    `                       ", seharusnya " & std_logic'image(${names.tables[f]}(i)) severity error;`,
+    '                errors := errors + 1;',
+    '            end if;'
+  ].join('\n')).join('\n');
+  return `-- Testbench otomatis untuk ${names.module}: ${total} kombinasi input\n` +
+    'library ieee;\nuse ieee.std_logic_1164.all;\nuse ieee.numeric_std.all;\n\n' +
+    `entity ${names.tb} is\nend entity ${names.tb};\n\n` +
+    `architecture sim of ${names.tb} is\n` +
+    `    signal ${names.inputs.join(', ')} : std_logic := '0';\n` +
+    `    signal ${names.outputs.join(', ')} : std_logic;\n` +
+    `${tables.join('\n')}\n` +
+    'begin\n' +
+    `    dut : entity work.${names.module}\n` +
+    `        port map (${portMap});\n\n` +
+    '    stimulus : process\n' +
+    `        variable v : std_logic_vector(${n - 1} downto 0);\n` +
+    '        variable errors : natural := 0;\n' +
+    '    begin\n' +
+    `        for i in 0 to ${total - 1} loop\n` +
+    `            v := std_logic_vector(to_unsigned(i, ${n}));\n` +
+    `            ${drive}\n` +
+    '            wait for 10 ns;\n' +
+    `${checks}\n` +
+    '        end loop;\n' +
+    '        if errors = 0 then\n' +
+    `            report "LULUS: semua ${total} kombinasi input sesuai tabel kebenaran" severity note;\n` +
+    '        else\n' +
+    `            report "GAGAL: " & integer'image(errors) & " kesalahan" severity error;\n` +
+    '        end if;\n' +
+    '        wait;\n' +
+    '    end process;\n' +
+    'end architecture sim;\n';
+}
+
+/* =============================================================================
+   7E. LATEX EXPORT
+   Truth table (tabular, or longtable when it needs page breaks), each K-Map
+   as a TikZ picture with the chosen groups drawn as rounded loops (clipped
+   at the edge when a group wraps around) and the minimized expression with
+   overlines.
+============================================================================= */
+const LATEX_LONG_TABLE_ROWS = 32;   // Truth tables longer than this use longtable
+
+/**
+ * Variable name in math mode (multi-character names as italic words)
+ */
+function latexName(v) {
+  return v.length === 1 ? v : `\\mathit{${v.replace(/_/g, '\\_')}}`;
+}
+
+/**
+ * Cover as LaTeX math with overlines for complemented literals
+ */
+function latexCover(impls, vars, mode) {
+  if (!impls.length) return mode === 'SOP' ? '0' : '1';
+  const sep = vars.some(v => v.length > 1) ? '\\,' : '';
+  const terms = impls.map(mask => {
+    const lits = [];
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i] === '-') continue;
+      const name = latexName(vars[i]);
+      lits.push(mask[i] === (mode === 'SOP' ? '1' : '0') ? name : `\\overline{${name}}`);
+    }
+    return lits;
+  });
+  if (terms.some(lits => !lits.length)) return mode === 'SOP' ? '1' : '0';
+  
+  return mode === 'SOP'
+    ? terms.map(lits => lits.join(sep)).join(' + ')
+    : terms.map(lits => `(${lits.join(' + ')})`).join('');
+}
+
+/**
+ * Truth table of every output
+ * @param {Object} spec - {inputs, outputs: [{name, cells}]}
+ */
+function latexTruthTable(spec) {
+  const n = spec.inputs.length;
+  const rows = spec.outputs[0].cells.length;
+  const env = rows > LATEX_LONG_TABLE_ROWS ? 'longtable' : 'tabular';
+  const head = [...spec.inputs, ...spec.outputs.map(o => o.name)].map(v => `$${latexName(v)}$`);
+  
+  const lines = [
+    `\\begin{${env}}{${'c'.repeat(n)}|${'c'.repeat(spec.outputs.length)}|r}`,
+    `  ${[...head, '$m$'].join(' & ')} \\\\`,
+    '  \\hline'
+  ];
+  if (env === 'longtable') lines.push('  \\endhead');
+  for (let m = 0; m < rows; m++) {
+    const ys = spec.outputs.map(o => String(o.cells[m]));
+    lines.push(`  ${[...toBin(m, n).split(''), ...ys, m].join(' & ')} \\\\`);
+  }
+  lines.push(`\\end{${env}}`);
+  return lines.join('\n');
+}
+
+/**
+ * K-Map of one output as a TikZ picture, or null above MAX_VARS variables
+ * @param {Object} spec - {inputs, mode, outputs: [{name, cells, implicants}]}
+ * @param {number} f - Output index
+ */
+function latexKMap(spec, f) {
+  const vars = spec.inputs;
+  const layout = vars.length <= MAX_VARS ? kmapLayoutForVars(vars.length, vars) : null;
+  if (!layout) return null;
+  
+  const { cells, implicants } = spec.outputs[f];
+  const rows = layout.rows.length || 1;
+  const cols = layout.cols.length || 1;
+  const axis = names => names.map(latexName).join(names.some(v => v.length > 1) ? ',' : '');
+  const fmt = x => Number(x.toFixed(2));
+  const lines = GROUP_COLORS.map((c, i) => `\\definecolor{kmapg${i}}{HTML}{${c.slice(1).toUpperCase()}}`);
+  lines.push('\\begin{tikzpicture}[x=1cm, y=1cm, font=\\small]');
+  
+  layout.maps.forEach((map, s) => {
+    lines.push(`  \\begin{scope}[shift={(${map.c * (cols + 1.5)},${-map.r * (rows + 2)})}]`);
+    if (layout.mapVars.length) {
+      lines.push(`    \\node at (${cols / 2},1.1) {$${axis(layout.mapVars)} = ${toBin(map.value, layout.mapVars.length)}$};`);
+    }
+    
+    // Grid, Gray-code labels and the corner with the variable names
+    lines.push(`    \\draw (0,0) grid (${cols},${-rows});`);
+    lines.push('    \\draw (0,0) -- (-0.8,0.8);');
+    lines.push(`    \\node at (-0.55,0.2) {$${axis(layout.rowVars)}$};`);
+    if (layout.colVars.length) lines.push(`    \\node at (-0.2,0.65) {$${axis(layout.colVars)}$};`);
+    layout.cols.forEach((g, c) => {
+      if (layout.colVars.length) lines.push(`    \\node at (${c + 0.5},0.3) {${toBin(g, layout.colVars.length)}};`);
+    });
+    layout.rows.forEach((g, r) => {
+      lines.push(`    \\node at (-0.3,${-r - 0.5}) {${toBin(g, layout.rowVars.length)}};`);
+    });
+    
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const idx = layout.index({ r, c, s });
+        lines.push(`    \\node at (${c + 0.5},${-r - 0.5}) {$${cells[idx]}$};`);
+        lines.push(`    \\node[font=\\tiny, text=gray] at (${fmt(c + 0.82)},${fmt(-r - 0.82)}) {${idx}};`);
+      }
+    }
+    
+    // Groups; wrapping pieces extend past the edge and are clipped there
+    lines.push('    \\begin{scope}');
+    lines.push(`      \\clip (0,0) rectangle (${cols},${-rows});`);
+    implicants.forEach((mask, i) => {
+      const inset = 0.08 + (i % 3) * 0.05;
+      kmapGroupPieces(mask, layout).filter(p => p.s === s).forEach(p => {
+        const x0 = p.open.left ? p.c0 - 0.6 : p.c0 + inset;
+        const x1 = p.open.right ? p.c1 + 1.6 : p.c1 + 1 - inset;
+        const y0 = p.open.top ? -p.r0 + 0.6 : -p.r0 - inset;
+        const y1 = p.open.bottom ? -p.r1 - 1.6 : -p.r1 - 1 + inset;
+        lines.push(`      \\draw[kmapg${i % GROUP_COLORS.length}, very thick, rounded corners=5pt] ` +
+          `(${fmt(x0)},${fmt(y0)}) rectangle (${fmt(x1)},${fmt(y1)});`);
+      });
+    });
+    lines.push('    \\end{scope}');
+    lines.push('  \\end{scope}');
+  });
+  
+  // Legend: each group's term in its loop color
+  if (implicants.length) {
+    const mapRows = Math.max(...layout.maps.map(m => m.r)) + 1;
+    const mapCols = Math.max(...layout.maps.map(m => m.c)) + 1;
+    const width = mapCols * (cols + 1.5) - 1.5;
+    const legend = implicants
+      .map((mask, i) => `\\textcolor{kmapg${i % GROUP_COLORS.length}}{$${latexCover([mask], vars, spec.mode)}$}`)
+      .join('\\quad ');
+    lines.push(`  \\node[anchor=north west, text width=${width}cm, align=left] at (0,${-mapRows * (rows + 2) + 1.6}) {${legend}};`);
+  }
+  lines.push('\\end{tikzpicture}');
+  return lines.join('\n');
+}
+
+/**
+ * LaTeX snippets and a complete document for the function
+ * @param {Object} spec - {inputs, mode, outputs: [{name, cells, implicants}]}
+ * @returns {Object} {table, kmap, result, document}
+ */
+export function latexExport(spec) {
+  const table = latexTruthTable(spec);
+  const maps = spec.outputs.map((o, f) => ({ name: o.name, tikz: latexKMap(spec, f) }));
+  const kmap = maps[0].tikz === null
+    ? `% K-Map hanya tersedia hingga ${MAX_VARS} variabel`
+    : maps.map(k => (maps.length > 1 ? `% K-Map ${k.name}\n` : '') + k.tikz).join('\n\n');
+  const result = spec.outputs
+    .map(o => `\\[ ${latexName(o.name)} = ${latexCover(o.implicants, spec.inputs, spec.mode)} \\]`)
+    .join('\n');
+  
+  const body = [
+    '\\section*{Tabel Kebenaran}',
+    table.startsWith('\\begin{longtable}') ? table : `\\begin{center}\n${table}\n\\end{center}`,
+    '',
+    '\\section*{Karnaugh Map}',
+    ...(maps[0].tikz === null
+      ? [`K-Map hanya tersedia hingga ${MAX_VARS} variabel.`]
+      : maps.flatMap(k => [
+        ...(maps.length > 1 ? [`\\subsection*{$${latexName(k.name)}$}`] : []),
+        `\\begin{center}\n${k.tikz}\n\\end{center}`
+      ])),
+    '',
+    `\\section*{Hasil Penyederhanaan (${spec.mode})}`,
+    result
+  ].join('\n');
+  const document = [
+    '% Dibuat oleh Simulator Aljabar Boolean & K-Map',
+    '\\documentclass{article}',
+    '\\usepackage{amsmath}',
+    '\\usepackage{tikz}',
+    '\\usepackage{longtable}',
+    '',
+    '\\begin{document}',
+    body,
+    '\\end{document}',
+    ''
+  ].join('\n');
+  
+  return { table, kmap, result, document };
+}
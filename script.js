@@ -7,873 +7,727 @@
    kebenaran, visualisasi K-Map dengan Gray code, dan minimasi menggunakan
    algoritma Quine-McCluskey.
    
+   Logika (parser, evaluator, Quine-McCluskey, derivasi, layout K-Map,
+   tabel kebenaran, rangkaian gerbang, ekspor HDL dan LaTeX) ada di core.js
+   (bagian 1-7); file ini berisi tampilan.
+   
    STRUKTUR KODE:
-   1. Constants & Utilities (Gray Code, Helper Functions)
-   2. Tokenizer & Parser (Shunting-Yard Algorithm)
-   3. RPN Evaluator
-   4. Quine-McCluskey Algorithm (SOP & POS)
-   5. K-Map Layout & Rendering
-   6. Truth Table Generation
-   7. Application State Management
-   8. Event Handlers & UI Updates
-   9. Statistics Tracking
+   8. Application State & DOM Elements
+   9. UI Helper Functions (Tabel, K-Map Rendering, Hasil, Statistik)
    10. Image Export Functionality
+   10b. Permalink (Workspace di URL Hash)
+   10c. Undo/Redo (Riwayat Workspace)
+   10d. Minimizer di Web Worker (Progres & Batal)
+   11. Event Handlers
+   12. Initialization
    
    ALGORITMA UTAMA:
-   - Shunting-Yard: Konversi infix → RPN (O(n))
+   - Precedence Climbing: Parsing infix → syntax tree → RPN (O(n))
    - Quine-McCluskey: Minimasi Boolean (O(3^n × n²))
    - Gray Code: Ordering optimal untuk K-Map adjacency
    
 ============================================================================= */
 
-'use strict';
+import {
+  MAX_VARS, MAX_TRUTH_TABLE_VARS, DEFAULT_VAR_NAMES, PETRICK_MAX_PRODUCTS, GROUP_COLORS, ParseError,
+  toBin, extractVars, joinVarNames, tokenize, parse, astToRPN, toRPN, evalAST, evalRPN,
+  countLiterals, minimizeTerms, qmMultiOutput, implicantToProduct, implicantToSum,
+  implicantsToSOP, implicantsToPOS, canonicalForms, parseTermInput, termInputWidth,
+  deriveSimplification,
+  kmapLayoutForVars, subMapsAdjacent, kmapGroupPieces, prettyAxisLabel,
+  buildTruthTable, parseMultiOutput, buildMultiTruthTable, compareExpressions, runJob,
+  buildCircuit, circuitCost, implicantsToAST, simulateCircuit, universalFromAST, twoLevelUniversal,
+  universalToExpr, circuitToSVG, hdlNames, generateHDL, generateTestbench, latexExport
+} from './core.js';
 
 /* =============================================================================
-   1. CONSTANTS & UTILITIES
+   8. APPLICATION STATE & DOM ELEMENTS
 ============================================================================= */
-const GRAY2 = [0, 1];                    // 2-bit Gray: 00, 01
-const GRAY4 = [0, 1, 3, 2];              // 4-bit Gray: 00, 01, 11, 10
-const MAX_VARS = 4;                       // K-Map maximum variables
-const MAX_TRUTH_TABLE_VARS = 8;           // Truth table maximum
-
 // DOM Element Cache
 const $ = id => document.getElementById(id);
-const toBin = (n, width) => n.toString(2).padStart(width, '0');
+const escapeHTML = str => str.replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
 
-/**
- * Extract and sort unique variables from expression
- * @param {Array} vars - Array of variable characters
- * @returns {Array} Sorted unique variables
- */
-function uniqueSortedVars(vars) {
-  const set = new Set(vars.map(v => v.toUpperCase()));
-  return Array.from(set).sort();
-}
+const els = {
+  // Input
+  expr: $('expr'),
+  identMode: $('ident-mode'),
+  mintermIO: $('minterm-io'),
+  
+  // Buttons
+  btnEval: $('btn-eval'),
+  btnClear: $('btn-clear'),
+  btnValidate: $('btn-validate'),
+  btnSimplify: $('btn-simplify'),
+  btnReset: $('btn-reset'),
+  btnExportImg: $('btn-export-img'),
+  btnExportSVG: $('btn-export-svg'),
+  svgStyle: $('svg-style'),
+  btnImport: $('btn-import'),
+  importVars: $('import-vars'),
+  btnExport: $('btn-export'),
+  modeSOP: $('mode-sop'),
+  modePOS: $('mode-pos'),
+  coverMode: $('cover-mode'),
+  algoMode: $('algo-mode'),
+  themeToggle: $('theme-toggle'),
+  btnPermalink: $('btn-permalink'),
+  btnUndo: $('btn-undo'),
+  btnRedo: $('btn-redo'),
+  historyCount: $('history-count'),
+  historyList: $('history-list'),
+  
+  // Display
+  errorMessage: $('error-message'),
+  exprCaret: $('expr-caret'),
+  successMessage: $('success-message'),
+  varsPill: $('vars-pill'),
+  mintermsPill: $('minterms-pill'),
+  benchmark: $('benchmark'),
+  benchTime: $('bench-time'),
+  benchCells: $('bench-cells'),
+  benchMethod: $('bench-method'),
+  jobProgress: $('job-progress'),
+  jobStage: $('job-stage'),
+  jobBar: $('job-bar'),
+  btnCancelJob: $('btn-cancel-job'),
+  ttHead: document.querySelector('#ttbl thead'),
+  ttBody: document.querySelector('#ttbl tbody'),
+  ttVars: $('tt-vars'),
+  btnTTDefine: $('btn-tt-define'),
+  btnTTEdit: $('btn-tt-edit'),
+  kmap: $('kmap'),
+  rowlabel: $('rowlabel'),
+  collabel: $('collabel'),
+  outSimplified: $('out-simplified'),
+  expr2: $('expr2'),
+  expr2Caret: $('expr2-caret'),
+  btnCompare: $('btn-compare'),
+  btnUseResult: $('btn-use-result'),
+  compareResult: $('compare-result'),
+  btnDerive: $('btn-derive'),
+  deriveResult: $('derive-result'),
+  derivation: $('derivation'),
+  multiExpr: $('multi-expr'),
+  btnMulti: $('btn-multi'),
+  multiResult: $('multi-result'),
+  multiHead: document.querySelector('#multi-tbl thead'),
+  multiBody: document.querySelector('#multi-tbl tbody'),
+  kmapTabs: $('kmap-tabs'),
+  circuitViews: $('circuit-views'),
+  circuitCost: $('circuit-cost'),
+  circuitExpr: $('circuit-expr'),
+  circuit: $('circuit'),
+  hdlLang: $('hdl-lang'),
+  hdlStyle: $('hdl-style'),
+  hdlModule: $('hdl-module'),
+  btnHDL: $('btn-hdl'),
+  hdlOutput: $('hdl-output'),
+  btnLatex: $('btn-latex'),
+  latexOutput: $('latex-output'),
+  cmpHead: document.querySelector('#cmp-tbl thead'),
+  cmpBody: document.querySelector('#cmp-tbl tbody'),
+  minStatus: $('min-status'),
+  canonical: $('canonical'),
+  qmSteps: $('qm-steps'),
+  qmStepsBody: $('qm-steps-body'),
+  resultLabel: $('result-label'),
+  mintermLabel: $('minterm-label'),
+  
+  // Stats
+  statEvaluations: $('stat-evaluations'),
+  statVars: $('stat-vars'),
+  statMinterms: $('stat-minterms'),
+  statTime: $('stat-time'),
+  statTimeCompare: $('stat-time-compare')
+};
 
-/**
- * Extract all variables from expression string
- * @param {string} expr - Boolean expression
- * @returns {Array} Array of unique sorted variables
- */
-function extractVars(expr) {
-  const vars = (expr.match(/[A-Za-z]/g) || []).map(ch => ch.toUpperCase());
-  return uniqueSortedVars(vars);
-}
+// Application state
+let currentVars = [];
+let currentAST = null;
+let currentRPN = null;
+let currentKMap = { vars: [], n: 0, layout: null, cells: [], total: 0, groups: [], groupMode: 'SOP' };
+let currentMode = 'SOP';
+let currentCover = 'exact';
+let currentAlgorithm = 'qm';      // qm | espresso
+let currentIdentMode = false;
+let currentMinimal = null;      // {implicants, vars, mode} of the displayed result
+let currentOutputs = null;      // {names, vars, cells: [per-output cell arrays], active}
+let currentTable = null;        // {vars, cells} while the function is defined by its truth table
+let currentWideFunction = null; // {vars, cells} of an evaluated expression or output too wide for the K-Map
+let currentCircuitView = 'original';   // original | minimal | nand-nand | nor-nor | nand-only | nor-only
+let currentHDLLang = 'verilog';        // verilog | vhdl
+let currentHDLFiles = [];              // [{label, file, text}] last generated module and testbench
+let currentLatexFiles = [];            // [{label, file?, text}] last generated LaTeX document and snippets
+let stepsPending = false;              // displayed QM result was minimized without a trace (steps panel closed)
+let stats = {
+  evaluations: 0,
+  lastVars: 0,
+  lastMinterms: 0,
+  lastTime: 0,
+  lastClassicTime: null   // same terms through qmSimplifyClassic, for comparison
+};
 
 /* =============================================================================
-   2. TOKENIZER (Lexical Analysis)
-   Converts expression string into tokens
+   9. UI HELPER FUNCTIONS
 ============================================================================= */
-function tokenize(raw) {
-  const src = raw.replace(/\s+/g, '');    // Remove whitespace
-  const tokens = [];
-  let i = 0;
-
-  while (i < src.length) {
-    const ch = src[i];
-
-    // Number literals (0 or 1)
-    if (ch === '0' || ch === '1') {
-      tokens.push({ type: 'NUM', value: Number(ch) });
-      i++;
-      continue;
-    }
-
-    // Variables (A-Z, case insensitive)
-    if (/[A-Za-z]/.test(ch)) {
-      const v = ch.toUpperCase();
-      tokens.push({ type: 'VAR', value: v });
-      i++;
-      
-      // Postfix NOT (') - dapat berulang (A'', A''')
-      let negCount = 0;
-      while (src[i] === "'") {
-        negCount++;
-        i++;
-      }
-      // Odd number of ' means NOT
-      if (negCount % 2 === 1) {
-        tokens.push({
-          type: 'OP',
-          value: 'NOT',
-          unary: true,
-          postfix: true,
-          precedence: 4,
-          associativity: 'right'
-        });
-      }
-      continue;
-    }
-
-    // Parentheses
-    if (ch === '(') {
-      tokens.push({ type: 'LP' });
-      i++;
-      continue;
-    }
-    if (ch === ')') {
-      tokens.push({ type: 'RP' });
-      i++;
-      continue;
-    }
-
-    // Prefix NOT operators (!, ~)
-    if (ch === '!' || ch === '~') {
-      tokens.push({
-        type: 'OP',
-        value: 'NOT',
-        unary: true,
-        precedence: 4,
-        associativity: 'right'
-      });
-      i++;
-      continue;
-    }
-
-    // Binary operators
-    if ('&*+|^'.includes(ch)) {
-      let op;
-      if (ch === '&' || ch === '*') op = 'AND';
-      else if (ch === '+' || ch === '|') op = 'OR';
-      else if (ch === '^') op = 'XOR';
-      
-      // Precedence: OR(1) < XOR(2) < AND(3) < NOT(4)
-      const prec = op === 'OR' ? 1 : (op === 'XOR' ? 2 : 3);
-      
-      tokens.push({
-        type: 'OP',
-        value: op,
-        precedence: prec,
-        associativity: 'left'
-      });
-      i++;
-      continue;
-    }
+/**
+ * Tokenizer options for the current input mode
+ */
+function parseOptions() {
+  return { identifiers: currentIdentMode };
+}
 
-    throw new Error(`Karakter tidak dikenali pada posisi ${i}: '${ch}'`);
-  }
-  return tokens;
+function showError(message) {
+  els.errorMessage.textContent = '❌ ' + message;
+  els.errorMessage.classList.add('show');
+  els.successMessage.classList.remove('show');
 }
 
-/* =============================================================================
-   3. PARSER (Shunting-Yard Algorithm)
-   Converts infix notation to RPN (Reverse Polish Notation)
-============================================================================= */
+function showSuccess(message) {
+  els.successMessage.textContent = '✅ ' + message;
+  els.successMessage.classList.add('show');
+  els.errorMessage.classList.remove('show');
+}
 
 /**
- * Check if token represents an operand
+ * Copy text to the clipboard (falls back to execCommand outside secure contexts)
  */
-function isOperand(tok) {
-  return tok && (
-    tok.type === 'VAR' || 
-    tok.type === 'NUM' || 
-    tok.type === 'RP' || 
-    (tok.type === 'OP' && tok.postfix)
-  );
+function copyText(text) {
+  const done = () => showSuccess('Disalin ke clipboard');
+  const fallback = () => {
+    const ta = document.createElement('textarea');
+    ta.value = text;
+    document.body.appendChild(ta);
+    ta.select();
+    const ok = document.execCommand && document.execCommand('copy');
+    ta.remove();
+    if (ok) done();
+    else showError('Gagal menyalin ke clipboard');
+  };
+  
+  if (navigator.clipboard && window.isSecureContext) {
+    navigator.clipboard.writeText(text).then(done, fallback);
+  } else {
+    fallback();
+  }
 }
 
 /**
- * Check if token can begin an operand/expression
+ * Offer text as a file download
  */
-function beginsOperand(tok) {
-  return tok && (
-    tok.type === 'VAR' || 
-    tok.type === 'NUM' || 
-    tok.type === 'LP' || 
-    (tok.type === 'OP' && tok.value === 'NOT' && !tok.postfix)
-  );
+function downloadText(filename, text, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function hideMessages() {
+  els.errorMessage.classList.remove('show');
+  els.successMessage.classList.remove('show');
+  hideParseCaret();
 }
 
 /**
- * Convert infix tokens to RPN using Shunting-Yard algorithm
- * Supports implicit AND between adjacent operands
- * @param {Array} tokens - Array of tokens from tokenizer
- * @returns {Array} Tokens in RPN order
+ * Show the expression with a caret under the span of a ParseError
+ * and select that span in the input field
  */
-function toRPN(tokens) {
-  const output = [];
-  const stack = [];
-  const withImplicit = [];
-  
-  // Phase 1: Insert implicit AND operators
-  for (let i = 0; i < tokens.length; i++) {
-    withImplicit.push(tokens[i]);
-    const a = tokens[i];
-    const b = tokens[i + 1];
-    
-    // Insert implicit AND between: )( , )VAR , VAR( , VARVAR , NUMVAR , etc.
-    if (isOperand(a) && beginsOperand(b)) {
-      withImplicit.push({
-        type: 'OP',
-        value: 'AND',
-        precedence: 3,
-        associativity: 'left',
-        implicit: true
-      });
-    }
+function showParseCaret(src, err, input = els.expr, caretEl = els.exprCaret) {
+  const start = Math.min(err.pos, src.length);
+  const len = Math.max(1, Math.min(err.end, src.length + 1) - start);
+  caretEl.textContent = src + '\n' + ' '.repeat(start) + '^' + '~'.repeat(len - 1);
+  caretEl.classList.add('show');
+  
+  if (start < src.length) {
+    input.focus();
+    input.setSelectionRange(start, start + len);
   }
+}
 
-  // Phase 2: Shunting-Yard algorithm
-  for (let i = 0; i < withImplicit.length; i++) {
-    const t = withImplicit[i];
-    
-    // Operands go directly to output
-    if (t.type === 'VAR' || t.type === 'NUM') {
-      output.push(t);
-      continue;
-    }
-    
-    // Postfix NOT
-    if (t.type === 'OP' && t.postfix && t.value === 'NOT') {
-      output.push(t);
-      continue;
-    }
-    
-    // Prefix unary operators
-    if (t.type === 'OP' && t.unary && !t.postfix) {
-      stack.push(t);
-      continue;
-    }
-    
-    // Binary operators
-    if (t.type === 'OP' && !t.unary) {
-      while (stack.length) {
-        const top = stack[stack.length - 1];
-        if (
-          top.type === 'OP' && (
-            (top.precedence > t.precedence) ||
-            (top.precedence === t.precedence && t.associativity === 'left')
-          )
-        ) {
-          output.push(stack.pop());
-        } else {
-          break;
-        }
-      }
-      stack.push(t);
-      continue;
-    }
-    
-    // Left parenthesis
-    if (t.type === 'LP') {
-      stack.push(t);
-      continue;
-    }
-    
-    // Right parenthesis
-    if (t.type === 'RP') {
-      while (stack.length && stack[stack.length - 1].type !== 'LP') {
-        output.push(stack.pop());
-      }
-      if (!stack.length) {
-        throw new Error(`Kurung buka '(' tidak memiliki pasangan kurung tutup ')'`);
-      }
-      stack.pop(); // Remove LP
-      continue;
-    }
-  }
+function hideParseCaret(caretEl = els.exprCaret) {
+  caretEl.textContent = '';
+  caretEl.classList.remove('show');
+}
+
+function updateStats() {
+  els.statEvaluations.textContent = stats.evaluations;
+  els.statVars.textContent = stats.lastVars;
+  els.statMinterms.textContent = stats.lastMinterms;
+  els.statTime.textContent = stats.lastTime.toFixed(2) + 'ms';
   
-  // Empty remaining stack
-  while (stack.length) {
-    const s = stack.pop();
-    if (s.type === 'LP' || s.type === 'RP') {
-      throw new Error(`Kurung tidak seimbang - ada kurung yang tidak tertutup dengan benar`);
-    }
-    output.push(s);
+  // Benchmark against the string-based QM the integer-cube rewrite replaced
+  const classic = stats.lastClassicTime;
+  if (classic === null || classic === undefined) {
+    els.statTimeCompare.textContent = '';
+  } else {
+    const speedup = classic / Math.max(stats.lastTime, 0.001);
+    els.statTimeCompare.textContent = `QM lama: ${classic.toFixed(2)}ms · ` +
+      (speedup >= 1 ? `${speedup.toFixed(1)}× lebih cepat` : `${(1 / speedup).toFixed(1)}× lebih lambat`);
   }
+}
+
+function setPills(vars, minterms, dontcares) {
+  els.varsPill.textContent = `Variabel: ${vars.length ? vars.join(', ') : '—'}`;
+  const dcStr = dontcares.length ? ` +d(${dontcares.join(',')})` : '';
+  els.mintermsPill.textContent = `Minterm: ${minterms.length ? minterms.join(',') + dcStr : '—'}`;
+}
+
+function renderTruthTable(vars, rows) {
+  const thv = vars.map(v => `<th>${v}</th>`).join('');
+  els.ttHead.innerHTML = `<tr>${thv}<th>Y</th><th class="muted">m</th></tr>`;
   
-  return output;
+  els.ttBody.innerHTML = rows.map(r => {
+    const vs = vars.map(v => `<td>${r.env[v]}</td>`).join('');
+    return `<tr>${vs}<td><b>${r.y}</b></td><td class="muted">${r.m}</td></tr>`;
+  }).join('');
 }
 
-/* =============================================================================
-   4. RPN EVALUATOR
-   Evaluates RPN expression with given variable environment
-============================================================================= */
 /**
- * Evaluate RPN expression
- * @param {Array} rpn - Tokens in RPN order
- * @param {Object} env - Variable values {A: 0, B: 1, ...}
- * @returns {number} Result (0 or 1)
+ * Render the truth table in definition mode: each Y cell cycles 0 → 1 → d on click
  */
-function evalRPN(rpn, env) {
-  const stack = [];
-  
-  for (const token of rpn) {
-    if (token.type === 'NUM') {
-      stack.push(!!token.value);
-    } 
-    else if (token.type === 'VAR') {
-      if (!(token.value in env)) {
-        throw new Error(`Variabel ${token.value} tidak didefinisikan dalam environment`);
-      }
-      stack.push(!!env[token.value]);
-    } 
-    else if (token.type === 'OP') {
-      if (token.value === 'NOT') {
-        if (stack.length < 1) {
-          throw new Error("Operator NOT membutuhkan 1 operand");
-        }
-        const a = stack.pop();
-        stack.push(!a);
-      } else {
-        if (stack.length < 2) {
-          throw new Error(`Operator ${token.value} membutuhkan 2 operand`);
-        }
-        const b = stack.pop();
-        const a = stack.pop();
-        
-        if (token.value === 'AND') {
-          stack.push(a && b);
-        } else if (token.value === 'OR') {
-          stack.push(a || b);
-        } else if (token.value === 'XOR') {
-          stack.push(Boolean(a) !== Boolean(b));
-        } else {
-          throw new Error(`Operator tidak dikenal: ${token.value}`);
-        }
-      }
-    }
-  }
-  
-  if (stack.length !== 1) {
-    throw new Error("Ekspresi tidak valid - periksa sintaks dengan teliti");
-  }
+function renderEditableTable() {
+  const { vars, cells } = currentTable;
+  const n = vars.length;
+  const thv = vars.map(v => `<th>${v}</th>`).join('');
+  els.ttHead.innerHTML = `<tr>${thv}<th title="Klik sel Y untuk mengubah nilai (0→1→d→0)">Y ✏</th><th class="muted">m</th></tr>`;
   
-  return stack[0] ? 1 : 0;
+  els.ttBody.innerHTML = cells.map((y, m) => {
+    const vs = vars.map((_, i) => `<td>${(m >> (n - 1 - i)) & 1}</td>`).join('');
+    return `<tr>${vs}<td class="ycell" data-m="${m}"></td><td class="muted">${m}</td></tr>`;
+  }).join('');
+  els.ttBody.querySelectorAll('td.ycell').forEach(td => updateTableRow(Number(td.dataset.m)));
 }
 
-/* =============================================================================
-   5. QUINE-MCCLUSKEY ALGORITHM
-   Boolean function minimization algorithm
-============================================================================= */
-
 /**
- * Count number of 1's in binary string
+ * Refresh one Y cell of the editable truth table
  */
-function countOnes(binStr) {
-  return binStr.split('').filter(c => c === '1').length;
+function updateTableRow(m) {
+  const td = els.ttBody.querySelector(`td.ycell[data-m="${m}"]`);
+  if (!td) return;
+  const y = currentTable.cells[m];
+  td.classList.toggle('on', y === 1);
+  td.classList.toggle('dc', y === 'd');
+  td.innerHTML = `<b>${y}</b>`;
+  td.title = `m${m} - Klik untuk toggle (0→1→d→0)`;
 }
 
 /**
- * Check if two binary strings differ by exactly 1 bit
+ * Render the side-by-side truth table of an equivalence check
  */
-function canCombine(a, b) {
-  let diff = 0;
-  for (let i = 0; i < a.length; i++) {
-    if (a[i] !== b[i]) diff++;
-    if (diff > 1) return false;
-  }
-  return diff === 1;
+function renderCompareTable(cmp) {
+  const thv = cmp.vars.map(v => `<th>${v}</th>`).join('');
+  els.cmpHead.innerHTML = `<tr>${thv}<th>Y₁</th><th>Y₂</th><th class="muted">m</th></tr>`;
+  
+  els.cmpBody.innerHTML = cmp.rows.map(r => {
+    const vs = cmp.vars.map(v => `<td>${r.env[v]}</td>`).join('');
+    const cls = r.y1 !== r.y2 ? ' class="diff"' : '';
+    return `<tr${cls}>${vs}<td><b>${r.y1}</b></td><td><b>${r.y2}</b></td><td class="muted">${r.m}</td></tr>`;
+  }).join('');
 }
 
 /**
- * Combine two binary strings (differing bit becomes '-')
+ * Show the equivalence verdict and every differing input combination
  */
-function combine(a, b) {
-  let result = '';
-  for (let i = 0; i < a.length; i++) {
-    result += (a[i] === b[i]) ? a[i] : '-';
+function renderCompareResult(cmp) {
+  if (cmp.equivalent) {
+    els.compareResult.innerHTML = `<div class="success-message show">✅ Ekuivalen — kedua ekspresi bernilai sama ` +
+      `pada semua ${cmp.rows.length} kombinasi input (${cmp.vars.join(', ')}).</div>`;
+    return;
   }
-  return result;
+  
+  const items = cmp.rows.filter(r => r.y1 !== r.y2).map(r => {
+    const assign = cmp.vars.map(v => `${v}=${r.env[v]}`).join(', ');
+    return `<li><b>m${r.m}</b> (${assign}): Y₁=${r.y1}, Y₂=${r.y2}</li>`;
+  }).join('');
+  els.compareResult.innerHTML = `<div class="error-message show">❌ Tidak ekuivalen — berbeda pada ` +
+    `${cmp.diffs.length} dari ${cmp.rows.length} kombinasi input:<ul class="diff-list">${items}</ul></div>`;
 }
 
 /**
- * Check if implicant covers a minterm
+ * Render an algebraic derivation, one law per line
  */
-function covers(implicant, mintermBin) {
-  for (let i = 0; i < implicant.length; i++) {
-    if (implicant[i] === '-') continue;
-    if (implicant[i] !== mintermBin[i]) return false;
+function renderDerivation(d) {
+  const lines = [`<li class="deriv-start"><span class="deriv-eq">F =</span> <code>${d.start}</code></li>`];
+  for (const step of d.steps) {
+    const shown = step.rewrites.slice(0, 4).map(([from, to]) => `${from} ⟶ ${to}`);
+    if (step.rewrites.length > 4) shown.push(`… (+${step.rewrites.length - 4})`);
+    lines.push(`<li><span class="deriv-eq">=</span> <code>${step.html}</code>` +
+      `<span class="deriv-law">${step.law}</span>` +
+      (shown.length ? `<div class="deriv-rewrite">${shown.join(' ; ')}</div>` : '') + '</li>');
   }
-  return true;
+  els.derivation.innerHTML = lines.join('');
+  
+  const count = `${d.steps.length} langkah`;
+  els.deriveResult.innerHTML = d.verified
+    ? `<div class="success-message show">✅ Derivasi selesai (${count}) di <b>${d.final}</b> — sama dengan hasil ` +
+      `Quine-McCluskey <b>${d.target}</b>, diverifikasi dengan tabel kebenaran.</div>`
+    : `<div class="error-message show">❌ Derivasi (${count}) tidak ekuivalen dengan ekspresi asal.</div>`;
 }
 
 /**
- * Main Quine-McCluskey minimization algorithm
- * @param {Array} minterms - Array of minterm indices
- * @param {Array} dontcares - Array of don't care indices
- * @param {Array} varNames - Variable names
- * @param {string} mode - 'SOP' or 'POS'
- * @returns {Object} {implicants: [], result: string}
+ * Universal-gate conversion for a circuit view
+ * NAND/NOR-only forms convert the parsed expression; the two-level forms
+ * start from the active function (K-Map, edited truth table or an evaluated
+ * function too wide for the K-Map), so don't cares may be used.
+ * @returns {Object} {circuit, vars, reference: (m, env) → 0/1 or null for d} or {missing}
  */
-function qmSimplify(minterms, dontcares, varNames, mode = 'SOP') {
-  const allTerms = [...minterms, ...dontcares];
-  if (!allTerms.length) {
-    return { implicants: [], result: mode === 'SOP' ? '0' : '1' };
+function universalView(view) {
+  if (view === 'nand-only' || view === 'nor-only') {
+    if (!currentAST) return { missing: 'Evaluasi ekspresi untuk mengonversinya.' };
+    return {
+      circuit: universalFromAST(currentAST, view === 'nand-only' ? 'NAND' : 'NOR'),
+      vars: currentVars,
+      reference: (m, env) => evalAST(currentAST, env)
+    };
   }
   
-  const W = varNames.length;
-  const bins = allTerms.map(m => toBin(m, W));
-  let groups = {};
-  
-  // Phase 1: Group by number of 1's
-  for (const b of bins) {
-    const k = countOnes(b);
-    if (!groups[k]) groups[k] = [];
-    groups[k].push({ bin: b, used: false, from: [b] });
+  const fn = activeFunction();
+  if (!fn) {
+    return { missing: 'Evaluasi ekspresi, isi K-Map atau definisikan tabel kebenaran untuk membuat bentuk dua level.' };
   }
+  const mode = view === 'nand-nand' ? 'SOP' : 'POS';
+  const terms = [];
+  const dontcares = [];
+  fn.cells.forEach((c, m) => {
+    if (c === 'd') dontcares.push(m);
+    else if (c === (mode === 'SOP' ? 1 : 0)) terms.push(m);
+  });
+  const res = minimizeTerms(terms, dontcares, fn.vars, mode, { algorithm: currentAlgorithm, cover: currentCover });
+  return {
+    circuit: twoLevelUniversal(res.implicants, fn.vars, mode),
+    vars: fn.vars,
+    reference: m => fn.cells[m] === 'd' ? null : fn.cells[m]
+  };
+}
 
-  let newGroups = {};
-  let anyCombined = true;
-  const allCombinedLevels = [];
-
-  // Phase 2: Iterative combination
-  while (anyCombined) {
-    anyCombined = false;
-    newGroups = {};
-    const keys = Object.keys(groups).map(Number).sort((a, b) => a - b);
-    
-    // Combine adjacent groups
-    for (let idx = 0; idx < keys.length - 1; idx++) {
-      const k1 = keys[idx];
-      const k2 = keys[idx + 1];
-      const g1 = groups[k1] || [];
-      const g2 = groups[k2] || [];
-      
-      for (const a of g1) {
-        for (const b of g2) {
-          if (canCombine(a.bin, b.bin)) {
-            const c = combine(a.bin, b.bin);
-            const ones = countOnes(c.replace(/-/g, ''));
-            const item = {
-              bin: c,
-              used: false,
-              from: [...new Set([...(a.from || []), ...(b.from || [])])]
-            };
-            
-            if (!newGroups[ones]) newGroups[ones] = [];
-            newGroups[ones].push(item);
-            
-            a.used = true;
-            b.used = true;
-            anyCombined = true;
-          }
-        }
-      }
-    }
-    
-    // Deduplicate new groups
-    for (const k in newGroups) {
-      const unique = [];
-      const seen = new Set();
-      for (const it of newGroups[k]) {
-        const key = it.bin + '|' + (it.from || []).join(',');
-        if (!seen.has(key)) {
-          seen.add(key);
-          unique.push(it);
-        }
-      }
-      newGroups[k] = unique;
-    }
-    
-    // Collect prime implicants (unused terms)
-    const primes = [];
-    for (const k in groups) {
-      for (const it of groups[k]) {
-        if (!it.used) primes.push(it.bin);
-      }
-    }
-    allCombinedLevels.push(primes);
-    groups = newGroups;
-  }
+/**
+ * Check a converted circuit (and its printed expression) against the reference truth table
+ * @returns {Object} {text, equivalent, rows}
+ */
+function verifyUniversal(conv) {
+  const n = conv.vars.length;
+  const text = universalToExpr(conv.circuit, conv.vars);
+  const rpn = text === null ? null : toRPN(tokenize(text, { identifiers: conv.vars.some(v => v.length > 1) }));
+  let rows = 0;
   
-  // Phase 3: Collect all prime implicants
-  const finalPrimes = new Set();
-  for (const arr of allCombinedLevels) {
-    for (const p of arr) finalPrimes.add(p);
-  }
-  for (const k in groups) {
-    for (const it of groups[k]) finalPrimes.add(it.bin);
+  for (let m = 0; m < (1 << n); m++) {
+    const env = {};
+    conv.vars.forEach((v, i) => { env[v] = (m >> (n - 1 - i)) & 1; });
+    const want = conv.reference(m, env);
+    if (want === null) continue;
+    rows++;
+    if (simulateCircuit(conv.circuit, env) !== want || (rpn && evalRPN(rpn, env) !== want)) {
+      return { text, equivalent: false, rows };
+    }
   }
-  const primeList = Array.from(finalPrimes);
+  return { text, equivalent: true, rows };
+}
 
-  // Phase 4: Prime implicant chart (cover only actual minterms, not don't cares)
-  const minBin = minterms.map(m => toBin(m, W));
-  const cover = {};
+/**
+ * Draw the gate circuit for the selected view and compare gate counts
+ */
+function renderCircuit() {
+  const original = currentAST ? buildCircuit(currentAST) : null;
+  const minimal = currentMinimal
+    ? buildCircuit(implicantsToAST(currentMinimal.implicants, currentMinimal.vars, currentMinimal.mode))
+    : null;
+  
+  els.circuitViews.querySelectorAll('button').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.view === currentCircuitView);
+  });
   
-  for (let i = 0; i < minBin.length; i++) {
-    cover[i] = [];
-    for (let j = 0; j < primeList.length; j++) {
-      if (covers(primeList[j], minBin[i])) {
-        cover[i].push(j);
-      }
-    }
+  const costText = c => {
+    const cost = circuitCost(c);
+    return `${cost.gates} gerbang, ${cost.inputs} input gerbang`;
+  };
+  const parts = [];
+  if (original) parts.push(`<span>🧩 Asli: <b>${costText(original)}</b></span>`);
+  if (minimal) parts.push(`<span>✨ Minimal (${currentMinimal.mode}): <b>${costText(minimal)}</b></span>`);
+  if (original && minimal) {
+    const a = circuitCost(original);
+    const b = circuitCost(minimal);
+    parts.push(`<span class="${b.gates <= a.gates && b.inputs <= a.inputs ? 'saving' : ''}">Selisih: ` +
+      `${a.gates - b.gates} gerbang, ${a.inputs - b.inputs} input gerbang</span>`);
   }
   
-  // Phase 5: Find essential prime implicants
-  const chosen = new Set();
-  const coveredRows = new Set();
-  
-  for (let i = 0; i < minBin.length; i++) {
-    if (cover[i].length === 1) {
-      const j = cover[i][0];
-      chosen.add(j);
+  let shown = null;
+  let vars = currentVars;
+  let missing = '';
+  els.circuitExpr.innerHTML = '';
+  
+  if (currentCircuitView === 'original') {
+    shown = original;
+    missing = 'Evaluasi ekspresi untuk menggambar rangkaiannya.';
+  } else if (currentCircuitView === 'minimal') {
+    shown = minimal;
+    vars = currentMinimal ? currentMinimal.vars : [];
+    missing = 'Belum ada hasil penyederhanaan untuk digambar.';
+  } else {
+    const conv = universalView(currentCircuitView);
+    missing = conv.missing;
+    if (conv.circuit) {
+      shown = conv.circuit;
+      vars = conv.vars;
+      
+      const gates = shown.nodes.filter(g => g.kind === 'gate');
+      const type = currentCircuitView.startsWith('nand') ? 'NAND' : 'NOR';
+      const fanIn = {};
+      gates.forEach(g => { fanIn[g.inputs.length] = (fanIn[g.inputs.length] || 0) + 1; });
+      const breakdown = Object.keys(fanIn).map(k => `${fanIn[k]}× ${type}-${k}`).join(', ');
+      const chips = gates.every(g => g.inputs.length === 2) && gates.length
+        ? ` · ${Math.ceil(gates.length / 4)} IC ${type === 'NAND' ? '7400' : '7402'}`
+        : '';
+      parts.push(`<span>🔁 ${type}: <b>${costText(shown)}</b>${breakdown ? ` (${breakdown})` : ''}${chips}</span>`);
+      
+      const check = verifyUniversal(conv);
+      els.circuitExpr.innerHTML =
+        `<div class="code">F = ${check.text === null ? '… (terlalu panjang untuk ditulis, lihat rangkaian)' : check.text}</div>` +
+        (check.equivalent
+          ? `<div class="mini ok">✔ Ekuivalen dengan tabel kebenaran asli (${check.rows} baris diperiksa)</div>`
+          : '<div class="mini bad">✘ Tidak ekuivalen dengan tabel kebenaran asli</div>');
     }
   }
+  els.circuitCost.innerHTML = parts.join('');
   
-  // Helper: Mark covered rows
-  const markCovered = () => {
-    let changed = false;
-    for (let i = 0; i < minBin.length; i++) {
-      if (coveredRows.has(i)) continue;
-      for (const j of (cover[i] || [])) {
-        if (chosen.has(j)) {
-          coveredRows.add(i);
-          changed = true;
-          break;
-        }
-      }
-    }
-    return changed;
-  };
-  markCovered();
-
-  // Phase 6: Greedy covering for remaining rows
-  while (coveredRows.size < minBin.length) {
-    let bestJ = -1;
-    let bestCoverCount = -1;
-    
-    for (let j = 0; j < primeList.length; j++) {
-      if (!chosen.has(j)) {
-        let count = 0;
-        for (let i = 0; i < minBin.length; i++) {
-          if (coveredRows.has(i)) continue;
-          if (cover[i].includes(j)) count++;
-        }
-        if (count > bestCoverCount) {
-          bestCoverCount = count;
-          bestJ = j;
-        }
-      }
-    }
-    
-    if (bestJ === -1) break; // Should not happen if input is valid
-    chosen.add(bestJ);
-    markCovered();
+  if (!shown) {
+    els.circuit.innerHTML = `<div class="mini muted">${missing}</div>`;
+    return;
   }
+  els.circuit.innerHTML = circuitToSVG(shown, vars);
+}
 
-  // Phase 7: Convert to SOP or POS
-  const implicants = Array.from(chosen).map(j => primeList[j]);
+/**
+ * The function to export: every output of a multi-output function, or the
+ * single function on the editable table / K-Map / evaluated expression
+ * @returns {Object|null} {inputs, mode, outputs: [{name, cells, implicants}]}
+ */
+function functionSpecFromState() {
+  let inputs = null;
+  let outputs = null;
+  const fn = activeFunction();
+  
+  if (currentOutputs) {
+    inputs = currentOutputs.vars;
+    outputs = currentOutputs.names.map((name, f) => ({ name, cells: currentOutputs.cells[f] }));
+  } else if (currentRPN && currentVars.length > MAX_VARS) {
+    inputs = currentVars;
+    outputs = [{ cells: buildTruthTable(currentVars, currentRPN).map(r => r.y) }];
+  } else if (fn && fn.vars.length) {
+    inputs = fn.vars;
+    outputs = [{ cells: fn.cells }];
+  }
+  if (!inputs) return null;
+  if (!currentOutputs) outputs[0].name = inputs.includes('F') ? 'Y' : 'F';
+  
+  const split = cells => {
+    const on = [];
+    const off = [];
+    const dc = [];
+    cells.forEach((c, m) => (c === 1 ? on : c === 'd' ? dc : off).push(m));
+    return { on, off, dc };
+  };
   
-  if (mode === 'SOP') {
-    const sop = implicantsToSOP(implicants, varNames);
-    return { implicants, result: sop };
+  if (currentOutputs && currentMode === 'SOP') {
+    const res = qmMultiOutput(outputs.map(o => {
+      const { on, dc } = split(o.cells);
+      return { minterms: on, dontcares: dc };
+    }), inputs);
+    outputs.forEach((o, f) => { o.implicants = res.outputs[f].implicants; });
   } else {
-    const pos = implicantsToPOS(implicants, varNames);
-    return { implicants, result: pos };
+    outputs.forEach(o => {
+      const { on, off, dc } = split(o.cells);
+      o.implicants = minimizeTerms(currentMode === 'SOP' ? on : off, dc, inputs, currentMode, {
+        algorithm: currentAlgorithm, cover: currentCover
+      }).implicants;
+    });
   }
+  return { inputs, mode: currentMode, outputs };
 }
 
 /**
- * Convert implicants to SOP (Sum of Products) form
+ * Generate the HDL module and testbench and show them with copy/download buttons
  */
-function implicantsToSOP(impls, vars) {
-  if (!impls.length) return '0';
-  
-  const parts = impls.map(mask => {
-    let s = '';
-    for (let i = 0; i < mask.length; i++) {
-      if (mask[i] === '-') continue;
-      const v = vars[i];
-      s += (mask[i] === '1') ? v : (v + "'");
-    }
-    return s || '1';
-  });
+function renderHDL() {
+  const fn = functionSpecFromState();
+  if (!fn) {
+    currentHDLFiles = [];
+    els.hdlOutput.innerHTML = '<div class="mini muted">Evaluasi ekspresi, isi K-Map atau tabel kebenaran terlebih dahulu.</div>';
+    return false;
+  }
+  
+  const spec = { ...fn, module: els.hdlModule.value.trim() };
+  const lang = currentHDLLang;
+  const ext = lang === 'vhdl' ? 'vhd' : 'v';
+  const names = hdlNames(spec, lang);
+  currentHDLFiles = [
+    { label: 'Modul', file: `${names.module}.${ext}`, text: generateHDL(spec, { lang, style: els.hdlStyle.value }) },
+    { label: 'Testbench', file: `${names.tb}.${ext}`, text: generateTestbench(spec, { lang }) }
+  ];
   
-  return parts.join(' + ');
+  renderExportFiles(els.hdlOutput, currentHDLFiles);
+  return true;
 }
 
 /**
- * Convert implicants to POS (Product of Sums) form
+ * Generate the LaTeX snippets and the complete .tex document
  */
-function implicantsToPOS(impls, vars) {
-  if (!impls.length) return '1';
-  
-  const parts = impls.map(mask => {
-    let s = '';
-    for (let i = 0; i < mask.length; i++) {
-      if (mask[i] === '-') continue;
-      const v = vars[i];
-      if (s) s += ' + ';
-      s += (mask[i] === '0') ? v : (v + "'");
-    }
-    return s ? '(' + s + ')' : '1';
-  });
+function renderLatex() {
+  const spec = functionSpecFromState();
+  if (!spec) {
+    currentLatexFiles = [];
+    els.latexOutput.innerHTML = '<div class="mini muted">Evaluasi ekspresi, isi K-Map atau tabel kebenaran terlebih dahulu.</div>';
+    return false;
+  }
   
-  return parts.join('');
+  const tex = latexExport(spec);
+  currentLatexFiles = [
+    { label: 'Dokumen lengkap', file: 'kmap.tex', text: tex.document },
+    { label: 'Tabel Kebenaran', text: tex.table },
+    { label: 'K-Map (TikZ)', text: tex.kmap },
+    { label: 'Hasil', text: tex.result }
+  ];
+  renderExportFiles(els.latexOutput, currentLatexFiles);
+  return true;
 }
 
-/* =============================================================================
-   6. K-MAP LAYOUT GENERATION
-   Generate K-Map structure based on number of variables
-============================================================================= */
 /**
- * Generate K-Map layout for given number of variables
- * @param {number} nVars - Number of variables (1-4)
- * @returns {Object} Layout configuration with Gray code ordering
+ * Show generated source files, each with a copy button (and a download
+ * button when it has a file name)
+ * @param {HTMLElement} el - Container
+ * @param {Array} files - [{label, file?, text}]
  */
-function kmapLayoutForVars(nVars) {
-  if (nVars === 1) {
-    return {
-      rows: [0, 1],
-      cols: [0],
-      rowVars: ['A'],
-      colVars: [],
-      index({ r, c }) {
-        return GRAY2[r];
-      }
-    };
+function renderExportFiles(el, files) {
+  el.innerHTML = files.map((f, i) =>
+    `<div class="export-file"><div class="export-head"><b>${f.label}</b>` +
+    (f.file ? `<code>${f.file}</code>` : '') +
+    `<button class="secondary" data-action="copy" data-file="${i}">📋 Salin</button>` +
+    (f.file ? `<button class="secondary" data-action="download" data-file="${i}">💾 Unduh</button>` : '') +
+    '</div><pre class="code export-code"></pre></div>'
+  ).join('');
+  el.querySelectorAll('.export-code').forEach((pre, i) => { pre.textContent = files[i].text; });
+}
+
+/**
+ * Copy / download button of a rendered export file
+ */
+function handleExportClick(e, files) {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const f = files[Number(btn.dataset.file)];
+  if (btn.dataset.action === 'copy') copyText(f.text);
+  else downloadText(f.file, f.text);
+}
+
+/**
+ * Output tabs above the K-Map (multi-output mode only); they also pick the
+ * output whose minimized form is shown when the K-Map cannot be drawn
+ */
+function renderKMapTabs() {
+  if (!currentOutputs) {
+    els.kmapTabs.innerHTML = '';
+    return;
   }
-  
-  if (nVars === 2) {
-    return {
-      rows: GRAY2,
-      cols: GRAY2,
-      rowVars: ['A'],
-      colVars: ['B'],
-      index({ r, c }) {
-        const A = GRAY2[r];
-        const B = GRAY2[c];
-        return (A << 1) | B;
-      }
-    };
-  }
-  
-  if (nVars === 3) {
-    return {
-      rows: GRAY2,
-      cols: GRAY4,
-      rowVars: ['A'],
-      colVars: ['B', 'C'],
-      index({ r, c }) {
-        const A = GRAY2[r];
-        const BC = GRAY4[c];
-        const B = (BC >> 1) & 1;
-        const C = BC & 1;
-        return (A << 2) | (B << 1) | C;
-      }
-    };
-  }
-  
-  if (nVars === 4) {
-    return {
-      rows: GRAY4,
-      cols: GRAY4,
-      rowVars: ['A', 'B'],
-      colVars: ['C', 'D'],
-      index({ r, c }) {
-        const AB = GRAY4[r];
-        const CD = GRAY4[c];
-        const A = (AB >> 1) & 1;
-        const B = AB & 1;
-        const C = (CD >> 1) & 1;
-        const D = CD & 1;
-        return (A << 3) | (B << 2) | (C << 1) | D;
-      }
-    };
-  }
-  
-  return null;
+  els.kmapTabs.innerHTML = currentOutputs.names.map((name, i) =>
+    `<button data-output="${i}" class="${i === currentOutputs.active ? 'active' : ''}">${name}</button>`
+  ).join('');
 }
 
 /**
- * Format axis label for K-Map
+ * Show one output of the multi-output function on the K-Map
+ * The K-Map edits that output's cell array directly.
+ * @returns {Promise<boolean>} Resolves when the output has been minimized
  */
-function prettyAxisLabel(vars) {
-  if (!vars.length) return '—';
-  return vars.join('');
-}
-
-/* =============================================================================
-   7. TRUTH TABLE GENERATION
-============================================================================= */
-/**
- * Build complete truth table for given variables and expression
- * @param {Array} vars - Variable names
- * @param {Array} rpn - RPN expression
- * @returns {Array} Array of {m: minterm_index, env: {A:0, B:1}, y: output}
- */
-function buildTruthTable(vars, rpn) {
-  const rows = [];
-  const n = vars.length;
-  const total = 1 << n; // 2^n combinations
+function selectOutput(i) {
+  currentOutputs.active = i;
+  initKMap(currentOutputs.vars);
   
-  for (let m = 0; m < total; m++) {
-    const env = {};
-    // Convert minterm index to variable values
-    for (let i = 0; i < n; i++) {
-      env[vars[i]] = (m >> (n - 1 - i)) & 1;
-    }
-    const y = rpn ? evalRPN(rpn, env) : 0;
-    rows.push({ m, env, y });
+  let done;
+  if (currentKMap.layout) {
+    currentKMap.cells = currentOutputs.cells[i];
+    const { minterms, dontcares } = collectDataFromKMap();
+    paintKMapFromData(minterms, dontcares);
+    done = simplifyFromKMap();
+    setPills(currentKMap.vars, minterms, dontcares);
+  } else {
+    // Too wide for the K-Map: the output's column is minimized on its own
+    const cells = currentOutputs.cells[i];
+    currentWideFunction = { vars: currentOutputs.vars, cells };
+    done = simplifyCells(currentOutputs.vars, cells);
+    setPills(currentOutputs.vars,
+      cells.flatMap((c, m) => (c === 1 ? [m] : [])), cells.flatMap((c, m) => (c === 'd' ? [m] : [])));
   }
-  
-  return rows;
+  renderKMapTabs();
+  return done;
 }
 
 /**
- * Update truth table display
- * @param {Array} vars - Variable names
- * @param {Array} results - Array of output results (0 or 1)
+ * Truth table, shared-term minimization and cost comparison of all outputs
  */
-function updateTruthTable(vars, results) {
-    const thead = els.ttHead;
-    const tbody = els.ttBody;
-    
-    // Clear existing content
-    thead.innerHTML = '';
-    tbody.innerHTML = '';
-    
-    // Create fixed header row
-    const tr = document.createElement('tr');
-    ['A', 'B', 'C', 'Y', 'm'].forEach(col => {
-        const th = document.createElement('th');
-        th.textContent = col;
-        tr.appendChild(th);
-    });
-    thead.appendChild(tr);
-    
-    // Fill data rows with fixed column order
-    results.forEach((result, idx) => {
-        const tr = document.createElement('tr');
-        
-        // Input columns (A,B,C)
-        for(let i = 0; i < 3; i++) {
-            const td = document.createElement('td');
-            td.textContent = i < vars.length ? ((idx >> (vars.length-1-i)) & 1) : '-';
-            tr.appendChild(td);
-        }
-        
-        // Output column (Y)
-        const tdY = document.createElement('td');
-        tdY.textContent = result;
-        tr.appendChild(tdY);
-        
-        // Minterm number (m)
-        const tdM = document.createElement('td');
-        tdM.textContent = `m${idx}`; 
-        tdM.classList.add('muted');
-        tr.appendChild(tdM);
-        
-        tbody.appendChild(tr);
-    });
-}
-
-/* =============================================================================
-   8. APPLICATION STATE & DOM ELEMENTS
-============================================================================= */
-const els = {
-  // Input
-  expr: $('expr'),
-  mintermIO: $('minterm-io'),
-  
-  // Buttons
-  btnEval: $('btn-eval'),
-  btnClear: $('btn-clear'),
-  btnValidate: $('btn-validate'),
-  btnSimplify: $('btn-simplify'),
-  btnReset: $('btn-reset'),
-  btnExportImg: $('btn-export-img'),
-  btnImport: $('btn-import'),
-  btnExport: $('btn-export'),
-  modeSOP: $('mode-sop'),
-  modePOS: $('mode-pos'),
-  themeToggle: $('theme-toggle'),
-  
-  // Display
-  errorMessage: $('error-message'),
-  successMessage: $('success-message'),
-  varsPill: $('vars-pill'),
-  mintermsPill: $('minterms-pill'),
-  benchmark: $('benchmark'),
-  benchTime: $('bench-time'),
-  benchCells: $('bench-cells'),
-  benchComplexity: $('bench-complexity'),
-  ttHead: document.querySelector('#ttbl thead'),
-  ttBody: document.querySelector('#ttbl tbody'),
-  kmap: $('kmap'),
-  rowlabel: $('rowlabel'),
-  collabel: $('collabel'),
-  outSimplified: $('out-simplified'),
-  resultLabel: $('result-label'),
-  mintermLabel: $('minterm-label'),
+function renderMultiOutput() {
+  const { names, vars, cells } = currentOutputs;
+  const n = vars.length;
   
-  // Stats
-  statEvaluations: $('stat-evaluations'),
-  statVars: $('stat-vars'),
-  statMinterms: $('stat-minterms'),
-  statTime: $('stat-time')
-};
-
-// Application state
-let currentVars = [];
-let currentRPN = null;
-let currentKMap = { vars: [], n: 0, layout: null, cells: [], total: 0 };
-let currentMode = 'SOP';
-let stats = {
-  evaluations: 0,
-  lastVars: 0,
-  lastMinterms: 0,
-  lastTime: 0
-};
-
-/* =============================================================================
-   9. UI HELPER FUNCTIONS
-============================================================================= */
-function showError(message) {
-  els.errorMessage.textContent = '❌ ' + message;
-  els.errorMessage.classList.add('show');
-  els.successMessage.classList.remove('show');
-}
-
-function showSuccess(message) {
-  els.successMessage.textContent = '✅ ' + message;
-  els.successMessage.classList.add('show');
-  els.errorMessage.classList.remove('show');
-}
-
-function hideMessages() {
-  els.errorMessage.classList.remove('show');
-  els.successMessage.classList.remove('show');
-}
-
-function updateStats() {
-  els.statEvaluations.textContent = stats.evaluations;
-  els.statVars.textContent = stats.lastVars;
-  els.statMinterms.textContent = stats.lastMinterms;
-  els.statTime.textContent = stats.lastTime.toFixed(2) + 'ms';
-}
-
-function setPills(vars, minterms, dontcares) {
-  els.varsPill.textContent = `Variabel: ${vars.length ? vars.join(', ') : '—'}`;
-  const dcStr = dontcares.length ? ` +d(${dontcares.join(',')})` : '';
-  els.mintermsPill.textContent = `Minterm: ${minterms.length ? minterms.join(',') + dcStr : '—'}`;
-}
-
-function renderTruthTable(vars, rows) {
-  const thv = vars.map(v => `<th>${v}</th>`).join('');
-  els.ttHead.innerHTML = `<tr>${thv}<th>Y</th><th class="muted">m</th></tr>`;
+  els.multiHead.innerHTML = `<tr>${vars.map(v => `<th>${v}</th>`).join('')}` +
+    `${names.map(f => `<th>${f}</th>`).join('')}<th class="muted">m</th></tr>`;
+  els.multiBody.innerHTML = cells[0].map((_, m) => {
+    const vs = vars.map((v, i) => `<td>${(m >> (n - 1 - i)) & 1}</td>`).join('');
+    const ys = cells.map(c => `<td><b>${c[m]}</b></td>`).join('');
+    return `<tr>${vs}${ys}<td class="muted">${m}</td></tr>`;
+  }).join('');
   
-  els.ttBody.innerHTML = rows.map(r => {
-    const vs = vars.map(v => `<td>${r.env[v]}</td>`).join('');
-    return `<tr>${vs}<td><b>${r.y}</b></td><td class="muted">${r.m}</td></tr>`;
+  const outputs = cells.map(c => ({
+    minterms: c.map((v, m) => v === 1 ? m : -1).filter(m => m >= 0),
+    dontcares: c.map((v, m) => v === 'd' ? m : -1).filter(m => m >= 0)
+  }));
+  const res = qmMultiOutput(outputs, vars);
+  
+  // Shared product terms get the same color in every output
+  const colors = new Map(res.shared.map((mask, i) => [mask, GROUP_COLORS[i % GROUP_COLORS.length]]));
+  const exprs = res.outputs.map((o, f) => {
+    const terms = o.implicants.map(mask => {
+      const t = implicantToProduct(mask, vars);
+      return colors.has(mask) ? `<span class="term" style="--group-color: ${colors.get(mask)}">${t}</span>` : t;
+    });
+    return `<div class="multi-out"><div class="code"><b>${names[f]}</b> = ${terms.join(' + ') || o.result}</div>` +
+      `<span class="mini muted">sendiri: ${res.separate.outputs[f].result}</span></div>`;
   }).join('');
+  
+  const row = (label, c, cls = '') => `<tr class="${cls}"><td>${label}</td><td>${c.terms}</td><td>${c.gates}</td><td>${c.inputs}</td></tr>`;
+  const saved = res.separate.cost.inputs - res.cost.inputs;
+  const verdict = saved > 0
+    ? `<div class="mini ok">✔ Hemat ${saved} input gerbang (${Math.round(saved / res.separate.cost.inputs * 100)}%) ` +
+      `dengan ${res.shared.length} product term yang dipakai bersama</div>`
+    : '<div class="mini muted">Tidak ada product term yang menguntungkan untuk dipakai bersama.</div>';
+  
+  els.multiResult.innerHTML = exprs +
+    `<table class="multi-cost"><thead><tr><th></th><th>Product term</th><th>Gerbang</th><th>Input gerbang</th></tr></thead><tbody>` +
+    row('Tiap output sendiri', res.separate.cost) +
+    row('Multi-output (term bersama)', res.cost, 'best') +
+    `</tbody></table>${verdict}`;
 }
 
 function initKMap(vars) {
+  // A new K-Map means a new function: work still running for the old one is dropped
+  cancelMinimizerJob();
+  currentWideFunction = null;
   const n = Math.min(vars.length, MAX_VARS);
-  const layout = kmapLayoutForVars(n);
+  const layout = vars.length <= MAX_VARS ? kmapLayoutForVars(n, vars.slice(0, n)) : null;
   currentKMap = { 
     vars: vars.slice(0, n), 
     n, 
     layout, 
     cells: [], 
-    total: (1 << n) 
+    total: (1 << n),
+    groups: [],
+    groupMode: currentMode
   };
   currentKMap.cells = new Array(currentKMap.total).fill(0);
 
   if (!layout) {
-    els.kmap.innerHTML = `<div class="muted">⚠ K-Map tersedia hanya hingga 4 variabel. Variabel terdeteksi: ${vars.length}.</div>`;
+    els.kmap.innerHTML = `<div class="muted">⚠ K-Map tersedia hanya hingga ${MAX_VARS} variabel. Variabel terdeteksi: ${vars.length}.</div>`;
+    els.kmap.classList.remove('multi');
     els.rowlabel.textContent = '—';
     els.collabel.textContent = '—';
     return;
@@ -884,30 +738,95 @@ function initKMap(vars) {
 
   const rows = layout.rows.length || 1;
   const cols = layout.cols.length || 1;
+  const multi = layout.maps.length > 1;
+  const mapCols = Math.max(...layout.maps.map(m => m.c)) + 1;
 
-  els.kmap.style.gridTemplateColumns = `repeat(${cols}, 58px)`;
+  els.kmap.classList.toggle('multi', multi);
+  els.kmap.style.gridTemplateColumns = `repeat(${mapCols}, auto)`;
   els.kmap.innerHTML = '';
 
-  for (let r = 0; r < rows; r++) {
-    for (let c = 0; c < cols; c++) {
-      const idx = layout.index({ r, c });
-      const div = document.createElement('div');
-      div.className = 'kcell';
-      div.dataset.index = idx;
-      div.textContent = '0';
-      div.title = `m${idx} - Klik untuk toggle (0→1→d→0)`;
-      
-      div.addEventListener('click', () => {
-        const val = currentKMap.cells[idx];
-        currentKMap.cells[idx] = val === 0 ? 1 : (val === 1 ? 'd' : 0);
-        updateKMapCell(div, idx);
-      });
-      
-      els.kmap.appendChild(div);
+  layout.maps.forEach((map, s) => {
+    const sub = document.createElement('div');
+    sub.className = 'ksub';
+    sub.dataset.map = s;
+    sub.style.gridRow = map.r + 1;
+    sub.style.gridColumn = map.c + 1;
+    
+    // Sub-map caption, e.g. "AB = 01"
+    if (multi) {
+      const caption = document.createElement('div');
+      caption.className = 'ksub-label';
+      caption.textContent = `${prettyAxisLabel(layout.mapVars)} = ${toBin(map.value, layout.mapVars.length)}`;
+      sub.appendChild(caption);
     }
+    
+    const grid = document.createElement('div');
+    grid.className = 'kgrid';
+    grid.style.gridTemplateColumns = `repeat(${cols}, var(--kcell-w))`;
+    
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const idx = layout.index({ r, c, s });
+        const div = document.createElement('div');
+        div.className = 'kcell';
+        div.dataset.index = idx;
+        div.dataset.map = s;
+        div.dataset.r = r;
+        div.dataset.c = c;
+        div.style.gridRow = r + 1;
+        div.style.gridColumn = c + 1;
+        div.textContent = '0';
+        div.title = `m${idx} - Klik untuk toggle (0→1→d→0)`;
+        
+        div.addEventListener('click', () => {
+          const val = currentKMap.cells[idx];
+          currentKMap.cells[idx] = val === 0 ? 1 : (val === 1 ? 'd' : 0);
+          updateKMapCell(div, idx);
+          clearKMapOverlays();
+          if (currentOutputs) renderMultiOutput();
+          if (currentTable) {
+            updateTableRow(idx);
+            refreshTableFunction();
+          }
+          commitWorkspace(`Sel m${idx} → ${currentKMap.cells[idx]}`);
+        });
+        
+        // Highlight the same position in adjacent sub-maps
+        if (multi) {
+          div.addEventListener('mouseenter', () => highlightSubMapNeighbours(s, r, c, true));
+          div.addEventListener('mouseleave', () => highlightSubMapNeighbours(s, r, c, false));
+        }
+        
+        grid.appendChild(div);
+      }
+    }
+    
+    sub.appendChild(grid);
+    els.kmap.appendChild(sub);
+  });
+
+  if (multi) {
+    const note = document.createElement('div');
+    note.className = 'ksub-note mini';
+    note.style.gridColumn = `1 / span ${mapCols}`;
+    note.textContent = `Sub-map yang bersebelahan hanya berbeda 1 bit pada ${prettyAxisLabel(layout.mapVars)}; ` +
+      'sel pada posisi yang sama di sub-map tersebut juga bertetangga (arahkan kursor ke sel untuk melihat).';
+    els.kmap.appendChild(note);
   }
 }
 
+/**
+ * Toggle highlight on cells at (r, c) in sub-maps adjacent to sub-map s
+ */
+function highlightSubMapNeighbours(s, r, c, on) {
+  const maps = currentKMap.layout.maps;
+  maps.forEach((map, t) => {
+    if (!subMapsAdjacent(maps[s], map)) return;
+    const cell = els.kmap.querySelector(`.kcell[data-map="${t}"][data-r="${r}"][data-c="${c}"]`);
+    if (cell) cell.classList.toggle('adj', on);
+  });
+}
+
 function updateKMapCell(div, idx) {
   const val = currentKMap.cells[idx];
   div.classList.remove('on', 'dc');
@@ -923,8 +842,290 @@ function updateKMapCell(div, idx) {
   }
 }
 
+/**
+ * Remove group loops and difference marks from the K-Map (cell data changed)
+ */
+function clearKMapOverlays() {
+  currentKMap.groups = [];
+  els.kmap.querySelectorAll('.kgroup').forEach(g => g.remove());
+  els.kmap.querySelectorAll('.kcell.diff').forEach(c => c.classList.remove('diff'));
+}
+
+/**
+ * Mark K-Map cells where two compared expressions differ
+ */
+function markKMapDiff(indices) {
+  const set = new Set(indices);
+  els.kmap.querySelectorAll('.kcell').forEach(cell => {
+    cell.classList.toggle('diff', set.has(Number(cell.dataset.index)));
+  });
+}
+
+/**
+ * Draw each chosen implicant as a colored loop on the K-Map
+ * @param {Array} implicants - Implicant masks from qmSimplify
+ * @param {string} mode - 'SOP' (groups of 1s) or 'POS' (groups of 0s)
+ */
+function drawKMapGroups(implicants, mode) {
+  clearKMapOverlays();
+  const layout = currentKMap.layout;
+  if (!layout) return;
+  
+  currentKMap.groups = implicants.slice();
+  currentKMap.groupMode = mode;
+  const grids = els.kmap.querySelectorAll('.kgrid');
+  
+  implicants.forEach((mask, i) => {
+    const term = mode === 'SOP'
+      ? implicantToProduct(mask, currentKMap.vars)
+      : implicantToSum(mask, currentKMap.vars);
+    
+    kmapGroupPieces(mask, layout).forEach((p, k) => {
+      const g = document.createElement('div');
+      g.className = 'kgroup';
+      g.dataset.group = i;
+      g.style.gridRow = `${p.r0 + 1} / ${p.r1 + 2}`;
+      g.style.gridColumn = `${p.c0 + 1} / ${p.c1 + 2}`;
+      g.style.setProperty('--group-color', GROUP_COLORS[i % GROUP_COLORS.length]);
+      g.style.setProperty('--group-inset', `${(i % 3) * 3}px`);
+      for (const side in p.open) {
+        if (p.open[side]) g.classList.add('open-' + side);
+      }
+      
+      // Label only the first piece of each group
+      if (k === 0) {
+        const label = document.createElement('span');
+        label.className = 'kgroup-label';
+        label.textContent = term;
+        g.appendChild(label);
+      }
+      grids[p.s].appendChild(g);
+    });
+  });
+}
+
+/**
+ * Show the simplified result with each term linked to its K-Map group
+ */
+function renderSimplified(implicants, result, vars, mode) {
+  currentMinimal = { implicants: implicants.slice(), vars: vars.slice(), mode };
+  
+  if (!implicants.length) {
+    els.outSimplified.textContent = result;
+    return;
+  }
+  
+  els.outSimplified.innerHTML = '';
+  implicants.forEach((mask, i) => {
+    if (i > 0 && mode === 'SOP') {
+      els.outSimplified.appendChild(document.createTextNode(' + '));
+    }
+    const span = document.createElement('span');
+    span.className = 'term';
+    span.dataset.group = i;
+    span.style.setProperty('--group-color', GROUP_COLORS[i % GROUP_COLORS.length]);
+    span.textContent = mode === 'SOP' ? implicantToProduct(mask, vars) : implicantToSum(mask, vars);
+    els.outSimplified.appendChild(span);
+  });
+}
+
+const ALGORITHM_NAMES = { qm: 'Quine-McCluskey', espresso: 'Espresso' };
+
+/**
+ * Show which algorithm produced the displayed cover, its size, and whether
+ * it is proven minimal or only heuristic
+ * @param {Object|null} res - Result of minimizeTerms / minimizeCells, or null to hide
+ */
+function setMinStatus(res) {
+  const el = els.minStatus;
+  el.classList.remove('proven', 'heuristic');
+  if (!res) {
+    el.textContent = '';
+    return;
+  }
+  
+  let status;
+  if (res.exact) {
+    el.classList.add('proven');
+    status = res.method === 'petrick'
+      ? '✔ Minimal terbukti (Petrick\'s method)'
+      : '✔ Minimal terbukti (cukup essential prime implicants)';
+  } else {
+    el.classList.add('heuristic');
+    status = res.method === 'espresso'
+      ? `≈ Heuristik (${res.iterations} iterasi expand/reduce) — belum tentu minimal`
+      : '≈ Heuristik (greedy) — belum tentu minimal';
+  }
+  const size = `${res.implicants.length} term, ${res.literals} literal`;
+  el.textContent = `${status} · ${ALGORITHM_NAMES[res.algorithm]} · ${size}`;
+}
+
+/**
+ * Fill the benchmark strip from a finished minimizer job
+ * @param {Object} out - runJob result
+ */
+function renderBenchmark(out) {
+  const res = out.minimized;
+  const cover = { essential: 'essential PI', petrick: 'Petrick', greedy: 'greedy' }[res.method];
+  els.benchTime.textContent = `${out.time.toFixed(3)}ms`;
+  els.benchCells.textContent = `${res.terms.length} terms, ${res.dontcares.length} DC`;
+  els.benchMethod.textContent = res.algorithm === 'espresso'
+    ? `Espresso: ${res.iterations} iterasi`
+    : `Quine-McCluskey, cover ${cover}`;
+  els.benchmark.style.display = 'flex';
+}
+
+/**
+ * Show the function in Σm/ΠM notation and as canonical SOP/POS, each with a copy button
+ * @param {Array|null} vars - Variable names, or null to clear
+ * @param {Array} cells - Value (0/1/'d') per minterm
+ */
+function renderCanonical(vars, cells) {
+  if (!vars || !vars.length) {
+    els.canonical.innerHTML = '<div class="mini muted">—</div>';
+    return;
+  }
+  
+  const forms = canonicalForms(vars, cells);
+  const rows = [
+    ['Minterm', forms.sigma],
+    ['Maxterm', forms.pi],
+    ['SOP kanonik', forms.sop],
+    ['POS kanonik', forms.pos]
+  ];
+  els.canonical.innerHTML = rows.map(([label, text]) =>
+    `<div class="canon-row"><span class="canon-label">${label}</span>` +
+    `<code class="canon-text">${text}</code>` +
+    `<button class="secondary copy-btn" title="Salin ${label}">📋</button></div>`
+  ).join('');
+}
+
+/**
+ * Render the Quine-McCluskey steps (rounds, primes, chart, cover decisions).
+ * Jobs are traced only while the steps panel is open, so a result may come
+ * without steps; opening the panel minimizes it again with a trace.
+ * @param {Object|null} res - Result of minimizeCells, null if nothing is minimized
+ */
+function renderQMSteps(res) {
+  stepsPending = false;
+  if (!res) {
+    els.qmStepsBody.innerHTML = '<div class="mini muted">Evaluasi ekspresi atau sederhanakan K-Map untuk melihat langkah-langkahnya.</div>';
+    return;
+  }
+  if (res.algorithm === 'espresso') {
+    els.qmStepsBody.innerHTML = '<div class="mini muted">Langkah tabulasi hanya ada untuk Quine-McCluskey — hasil ini dibuat oleh Espresso. ' +
+      'Pilih algoritma Quine-McCluskey untuk melihat langkah-langkahnya.</div>';
+    return;
+  }
+  if (!res.steps) {
+    stepsPending = true;
+    els.qmStepsBody.innerHTML = '<div class="mini muted">Menyusun langkah-langkah…</div>';
+    return;
+  }
+  
+  const steps = res.steps;
+  const termName = steps.mode === 'SOP' ? 'Minterm' : 'Maxterm';
+  const P = j => `P${j + 1}`;
+  const termOf = mask => steps.mode === 'SOP'
+    ? implicantToProduct(mask, steps.vars)
+    : implicantToSum(mask, steps.vars);
+  const list = arr => arr.length ? arr.join(', ') : '—';
+  const essential = new Set(steps.essentials.map(e => e.prime));
+  const chosen = new Set(steps.chosen);
+  
+  let html = `<p class="mini muted">${termName}: ${list(steps.minterms)} · Don't care: ${list(steps.dontcares)} · ` +
+    `Variabel: ${steps.vars.join(', ')}</p>`;
+  
+  // 1. Combining rounds
+  html += '<h4>1. Pengelompokan & Penggabungan</h4><div class="steps-rounds">';
+  steps.rounds.forEach((round, k) => {
+    html += `<div class="steps-round"><div class="mini"><b>Ronde ${k + 1}</b> — ` +
+      `${k === 0 ? 'dikelompokkan menurut jumlah bit 1' : 'hasil penggabungan ronde ' + k}</div>`;
+    html += '<table class="steps-table"><thead><tr><th>#1</th><th>Term</th><th>Mask</th><th></th></tr></thead><tbody>';
+    round.forEach(group => {
+      group.items.forEach((it, i) => {
+        const first = i === 0 ? `<td rowspan="${group.items.length}">${group.ones}</td>` : '';
+        const mark = it.used ? '<span class="tick">✓</span>' : '<span class="prime-mark" title="Prime implicant">★</span>';
+        html += `<tr class="${it.used ? 'used' : ''}">${first}<td>m(${it.from.join(',')})</td>` +
+          `<td><code>${it.bin}</code></td><td>${mark}</td></tr>`;
+      });
+    });
+    html += '</tbody></table></div>';
+  });
+  html += '</div><p class="mini muted">✓ = sudah digabung pada ronde berikutnya · ★ = tidak bisa digabung lagi (prime implicant)</p>';
+  
+  // 2. Prime implicants
+  html += '<h4>2. Prime Implicant</h4>';
+  html += '<table class="steps-table"><thead><tr><th>Prime</th><th>Mask</th><th>Term</th><th>Meng-cover</th><th>Literal</th></tr></thead><tbody>';
+  steps.primes.forEach((p, j) => {
+    const cls = essential.has(j) ? 'essential' : (chosen.has(j) ? 'chosen' : '');
+    html += `<tr class="${cls}"><td><b>${P(j)}</b></td><td><code>${p.mask}</code></td><td>${termOf(p.mask)}</td>` +
+      `<td>${list(p.terms)}</td><td>${countLiterals(p.mask)}</td></tr>`;
+  });
+  html += '</tbody></table>';
+  
+  // 3. Prime implicant chart (rows = primes, columns = minterms)
+  const essentialCols = new Set();
+  steps.chart.forEach(col => {
+    if (col.primes.some(j => essential.has(j))) essentialCols.add(col.minterm);
+  });
+  const forced = new Set(steps.essentials.map(e => e.minterm));
+  
+  html += '<h4>3. Prime Implicant Chart</h4>';
+  if (!steps.chart.length) {
+    html += `<p class="mini muted">Tidak ada ${termName.toLowerCase()} yang harus di-cover.</p>`;
+  } else {
+    html += '<div class="steps-scroll"><table class="steps-table chart"><thead><tr><th></th>';
+    steps.chart.forEach(col => {
+      html += `<th class="${essentialCols.has(col.minterm) ? 'ess-col' : ''}">${col.minterm}</th>`;
+    });
+    html += '</tr></thead><tbody>';
+    steps.primes.forEach((p, j) => {
+      html += `<tr class="${essential.has(j) ? 'essential' : ''}"><th>${P(j)} <span class="mini">${termOf(p.mask)}</span></th>`;
+      steps.chart.forEach(col => {
+        const hit = col.primes.includes(j);
+        const mark = hit ? (forced.has(col.minterm) && essential.has(j) ? '⊗' : '×') : '';
+        html += `<td class="${essentialCols.has(col.minterm) ? 'ess-col' : ''}">${mark}</td>`;
+      });
+      html += '</tr>';
+    });
+    html += '</tbody></table></div>';
+    html += '<p class="mini muted">⊗ = satu-satunya prime yang meng-cover kolom tersebut (essential) · kolom yang disorot sudah ter-cover oleh essential prime</p>';
+  }
+  
+  // 4. Covering decisions
+  html += '<h4>4. Keputusan Cover</h4><ol class="steps-decisions">';
+  for (const d of steps.decisions) {
+    if (d.type === 'essential') {
+      html += `<li><b>${P(d.prime)}</b> = ${termOf(steps.primes[d.prime].mask)} essential — satu-satunya yang meng-cover ${d.minterms.map(m => 'm' + m).join(', ')}</li>`;
+    } else if (d.type === 'petrick' || d.type === 'petrick-limit') {
+      const sums = d.sums.map(js => '(' + js.map(P).join(' + ') + ')').join('');
+      html += `<li>Sisa ${d.minterms.map(m => 'm' + m).join(', ')} → Petrick: <code>${sums}</code>`;
+      html += d.type === 'petrick'
+        ? ` → pilih ${d.picked.map(P).join(', ')} (term paling sedikit, lalu literal paling sedikit)</li>`
+        : ` → ekspansi melebihi ${PETRICK_MAX_PRODUCTS} product, beralih ke greedy</li>`;
+    } else if (d.type === 'greedy') {
+      html += `<li>Greedy: pilih <b>${P(d.prime)}</b> = ${termOf(steps.primes[d.prime].mask)} (meng-cover ${d.count} term tersisa)</li>`;
+    }
+  }
+  if (!steps.decisions.length) {
+    html += '<li>Tidak ada term yang perlu di-cover.</li>';
+  }
+  html += `<li>Hasil: ${steps.chosen.map(j => termOf(steps.primes[j].mask)).join(steps.mode === 'SOP' ? ' + ' : '') || (steps.mode === 'SOP' ? '0' : '1')}</li></ol>`;
+  
+  els.qmStepsBody.innerHTML = html;
+}
+
+/**
+ * Highlight the K-Map group of a hovered result term
+ */
+function highlightGroup(i, on) {
+  els.kmap.querySelectorAll(`.kgroup[data-group="${i}"]`).forEach(g => g.classList.toggle('hl', on));
+}
+
 function paintKMapFromData(minterms, dontcares) {
   if (!currentKMap.layout) return;
+  clearKMapOverlays();
   
   for (let i = 0; i < currentKMap.total; i++) {
     currentKMap.cells[i] = 0;
@@ -942,11 +1143,9 @@ function paintKMapFromData(minterms, dontcares) {
     }
   }
   
-  const children = els.kmap.children;
-  for (let k = 0; k < children.length; k++) {
-    const idx = Number(children[k].dataset.index);
-    updateKMapCell(children[k], idx);
-  }
+  els.kmap.querySelectorAll('.kcell').forEach(cell => {
+    updateKMapCell(cell, Number(cell.dataset.index));
+  });
 }
 
 function collectDataFromKMap() {
@@ -969,171 +1168,907 @@ function collectDataFromKMap() {
   };
 }
 
+/**
+ * The function being minimized: the editable truth table if active, else the K-Map
+ * @returns {Object|null} {vars, cells}
+ */
+function activeFunction() {
+  if (currentTable) return { vars: currentTable.vars, cells: currentTable.cells };
+  if (currentWideFunction) return currentWideFunction;
+  if (currentKMap.layout) return { vars: currentKMap.vars, cells: currentKMap.cells };
+  return null;
+}
+
 function simplifyFromKMap() {
-  const n = currentKMap.n;
-  const vars = currentKMap.vars;
+  return simplifyCells(currentKMap.vars, currentKMap.cells);
+}
+
+/**
+ * Re-run the minimizer on the active function (editable truth table or K-Map)
+ */
+function simplifyActive() {
+  const fn = activeFunction();
+  return fn ? simplifyCells(fn.vars, fn.cells) : Promise.resolve(false);
+}
+
+/**
+ * Switch to truth-table definition mode. Up to MAX_VARS variables the table
+ * shares its cell array with the K-Map, so an edit on either side is the same edit.
+ * @param {Array} vars - Variable names
+ * @param {Array} cells - Initial value (0/1/'d') per minterm
+ */
+function startTableDefinition(vars, cells) {
+  currentVars = vars;
+  currentAST = null;
+  currentRPN = null;
+  currentOutputs = null;
+  renderKMapTabs();
+  initKMap(vars);
+  
+  if (currentKMap.layout) {
+    cells.forEach((c, i) => { currentKMap.cells[i] = c; });
+    els.kmap.querySelectorAll('.kcell').forEach(cell => {
+      updateKMapCell(cell, Number(cell.dataset.index));
+    });
+    cells = currentKMap.cells;
+  }
+  currentTable = { vars, cells };
+  renderEditableTable();
+  return refreshTableFunction();
+}
+
+/**
+ * Leave truth-table definition mode (another input replaces the function)
+ */
+function leaveTableDefinition() {
+  if (!currentTable) return;
+  currentTable = null;
+  els.ttHead.innerHTML = '';
+  els.ttBody.innerHTML = '';
+}
+
+/**
+ * Minimize the truth-table function again after an edit
+ */
+function refreshTableFunction() {
+  const { vars, cells } = currentTable;
+  const minterms = [];
+  const dontcares = [];
+  cells.forEach((c, m) => {
+    if (c === 1) minterms.push(m);
+    else if (c === 'd') dontcares.push(m);
+  });
+  
+  const done = simplifyCells(vars, cells);
+  setPills(vars, minterms, dontcares);
+  return done;
+}
+
+/**
+ * Minimize a function given as a cell array (0/1/'d' per minterm) in the worker.
+ * Groups are drawn only when the cells are the ones shown on the K-Map.
+ * @returns {Promise<boolean>} False if the job failed, was cancelled or the function changed meanwhile
+ */
+async function simplifyCells(vars, cells) {
+  // K-Map and table clicks edit the array in place, so the job gets a copy
+  // and the result is only used if the cells still hold that copy
+  const sent = cells.slice();
+  let out;
+  try {
+    out = await runMinimizerJob({
+      kind: 'minimize', vars, cells: sent, algorithm: currentAlgorithm, mode: currentMode, cover: currentCover,
+      trace: els.qmSteps.open, compare: true
+    });
+  } catch (e) {
+    showError('Gagal menyederhanakan: ' + e.message);
+    return false;
+  }
+  if (!out || cells.some((c, m) => c !== sent[m])) return false;
+  if (cells !== currentKMap.cells && !(currentTable && cells === currentTable.cells) &&
+      !(currentWideFunction && cells === currentWideFunction.cells)) {
+    return false;
+  }
+  
+  const res = out.minimized;
+  if (vars.length === 0) {
+    els.outSimplified.textContent = res.result;
+    currentMinimal = null;
+    setMinStatus(null);
+    renderQMSteps(null);
+    renderCanonical(null);
+    return true;
+  }
+  
+  renderSimplified(res.implicants, res.result, vars, currentMode);
+  setMinStatus(res);
+  renderQMSteps(res);
+  renderCanonical(vars, cells);
+  if (cells === currentKMap.cells) drawKMapGroups(res.implicants, currentMode);
+  renderBenchmark(out);
+  
+  stats.lastTime = out.time;
+  stats.lastClassicTime = null;         // filled in by the worker's 'compare' message
+  stats.lastMinterms = cells.filter(c => c === 1).length;
+  updateStats();
+  renderCircuit();
+  return true;
+}
+
+
+/* =============================================================================
+   10. IMAGE EXPORT FUNCTIONALITY
+============================================================================= */
+function exportKMapAsImage() {
+  const layout = currentKMap.layout;
   
-  if (n === 0) {
-    const y = currentKMap.cells[0] === 1 ? '1' : '0';
-    els.outSimplified.textContent = y;
+  if (!layout) {
+    showError('K-Map tidak tersedia untuk ekspor');
     return;
   }
   
-  const { minterms: minterms1, dontcares } = collectDataFromKMap();
-  let effectiveMinterms = minterms1;
+  const canvas = document.createElement('canvas');
+  const cellSize = 70;
+  const padding = 100;
+  const mapGap = 40;
+  const rows = layout.rows.length || 1;
+  const cols = layout.cols.length || 1;
+  const multi = layout.maps.length > 1;
+  const captionH = multi ? 24 : 0;
+  const mapRows = Math.max(...layout.maps.map(m => m.r)) + 1;
+  const mapCols = Math.max(...layout.maps.map(m => m.c)) + 1;
+  const mapW = cols * cellSize;
+  const mapH = rows * cellSize + captionH;
+  
+  canvas.width = mapCols * mapW + (mapCols - 1) * mapGap + padding * 2;
+  canvas.height = mapRows * mapH + (mapRows - 1) * mapGap + padding * 2 + 40;
+  const ctx = canvas.getContext('2d');
   
-  if (currentMode === 'POS') {
-    const allTerms = new Array(currentKMap.total).fill(0).map((_, i) => i);
-    const onAndDC = new Set([...minterms1, ...dontcares]);
-    effectiveMinterms = allTerms.filter(m => !onAndDC.has(m));
+  const isDark = document.body.dataset.theme === 'dark';
+  ctx.fillStyle = isDark ? '#0f1a35' : '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  
+  // Title
+  ctx.fillStyle = isDark ? '#e8eefc' : '#1a2332';
+  ctx.font = 'bold 18px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.fillText('Karnaugh Map', padding, 35);
+  
+  // Mode indicator
+  ctx.font = '14px sans-serif';
+  ctx.fillStyle = isDark ? '#5aa4ff' : '#3a7bc8';
+  ctx.fillText(`Mode: ${currentMode}`, padding, 55);
+  ctx.fillText(`Rows: ${prettyAxisLabel(layout.rowVars)}`, padding, 75);
+  ctx.fillText(`Cols: ${prettyAxisLabel(layout.colVars)}`, padding + 120, 75);
+  if (multi) {
+    ctx.fillText(`Maps: ${prettyAxisLabel(layout.mapVars)}`, padding + 240, 75);
   }
   
-  const startTime = performance.now();
-  const { result } = qmSimplify(effectiveMinterms, dontcares, vars, currentMode);
-  const endTime = performance.now();
+  // Draw cells of every sub-map
+  const startY = 90;
   
-  const timeTaken = endTime - startTime;
-  els.outSimplified.textContent = result;
-  els.benchTime.textContent = `${timeTaken.toFixed(3)}ms`;
-  els.benchCells.textContent = `${effectiveMinterms.length} terms, ${dontcares.length} DC`;
-  els.benchComplexity.textContent = `O(3^${vars.length} × ${vars.length}²)`;
-  els.benchmark.style.display = 'flex';
+  layout.maps.forEach((map, s) => {
+    const mapX = padding + map.c * (mapW + mapGap);
+    const mapY = startY + map.r * (mapH + mapGap);
+    
+    if (multi) {
+      ctx.font = 'bold 14px sans-serif';
+      ctx.fillStyle = isDark ? '#e8eefc' : '#1a2332';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'alphabetic';
+      ctx.fillText(
+        `${prettyAxisLabel(layout.mapVars)} = ${toBin(map.value, layout.mapVars.length)}`,
+        mapX,
+        mapY + 16
+      );
+    }
+    
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const x = mapX + c * cellSize;
+        const y = mapY + captionH + r * cellSize;
+        const dataIdx = layout.index({ r, c, s });
+        const val = currentKMap.cells[dataIdx];
+        
+        // Cell background
+        if (val === 1) {
+          ctx.fillStyle = isDark ? '#2b966a' : '#10b981';
+        } else if (val === 'd') {
+          ctx.fillStyle = isDark ? '#6b5a2a' : '#f59e0b';
+        } else {
+          ctx.fillStyle = isDark ? '#243255' : '#e5e7eb';
+        }
+        
+        ctx.fillRect(x, y, cellSize - 4, cellSize - 4);
+        
+        // Cell border
+        ctx.strokeStyle = isDark ? '#1c2849' : '#d1d5db';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, cellSize - 4, cellSize - 4);
+        
+        // Cell value
+        ctx.fillStyle = val ? '#ffffff' : (isDark ? '#e8eefc' : '#1a2332');
+        ctx.font = 'bold 24px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(
+          val === 'd' ? 'd' : (val || '0'), 
+          x + cellSize / 2 - 2, 
+          y + cellSize / 2 - 2
+        );
+        
+        // Minterm index (small)
+        ctx.font = '10px sans-serif';
+        ctx.fillStyle = isDark ? '#9fb2d7' : '#6b7280';
+        ctx.fillText(`m${dataIdx}`, x + cellSize / 2 - 2, y + cellSize - 12);
+      }
+    }
+  });
   
-  stats.lastTime = timeTaken;
-  stats.lastMinterms = minterms1.length;
-  updateStats();
+  // Footer
+  ctx.font = '11px sans-serif';
+  ctx.fillStyle = isDark ? '#9fb2d7' : '#6b7280';
+  ctx.textAlign = 'center';
+  ctx.fillText(
+    'Generated by Boolean Algebra & K-Map Simulator - Kelompok Pusay',
+    canvas.width / 2,
+    canvas.height - 15
+  );
+  
+  // Download
+  canvas.toBlob(blob => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `kmap_${currentMode}_${Date.now()}.png`;
+    a.click();
+    URL.revokeObjectURL(url);
+    showSuccess('K-Map berhasil diekspor sebagai PNG');
+  });
 }
 
-function parseTermInput(input) {
-  const minterms = [];
-  const dontcares = [];
+const KMAP_SVG_STYLES = {
+  // Paper: white background, black grid, plain cells; only the loops are colored
+  print: { bg: '#ffffff', ink: '#111827', muted: '#6b7280', line: '#111827', cell: '#ffffff', on: '#ffffff', dc: '#ffffff', valueInk: '#111827' },
+  light: { bg: '#ffffff', ink: '#1a2332', muted: '#6b7280', line: '#d1d5db', cell: '#e5e7eb', on: '#10b981', dc: '#f59e0b', valueInk: '#ffffff' },
+  dark: { bg: '#0f1a35', ink: '#e8eefc', muted: '#9fb2d7', line: '#1c2849', cell: '#243255', on: '#2b966a', dc: '#6b5a2a', valueInk: '#ffffff' }
+};
+
+/**
+ * Break items into lines no wider than maxWidth (width estimated per character)
+ * @returns {Array} Lines, each an array of items
+ */
+function flowItems(items, maxWidth, charWidth, sepWidth = 0) {
+  const lines = [[]];
+  let width = 0;
+  items.forEach(item => {
+    const w = item.length * charWidth;
+    const line = lines[lines.length - 1];
+    if (line.length && width + sepWidth + w > maxWidth) {
+      lines.push([item]);
+      width = w;
+    } else {
+      width += (line.length ? sepWidth : 0) + w;
+      line.push(item);
+    }
+  });
+  return lines;
+}
+
+/**
+ * Draw a K-Map as a standalone SVG document: Gray-coded axis headers,
+ * variable labels, cell values with minterm indices, group loops, a legend
+ * of group terms and the minimized expression as caption
+ * @param {Object} kmap - {vars, layout, cells}
+ * @param {Object} options - {implicants, mode, exact, outName, style: 'print' | 'light' | 'dark'};
+ *   exact is false for a greedy or Espresso cover, which is not proven minimal
+ * @returns {string} SVG markup
+ */
+function kmapToSVG(kmap, { implicants = [], mode = 'SOP', exact = true, outName = 'F', style = 'print' } = {}) {
+  const { vars, layout, cells } = kmap;
+  const pal = KMAP_SVG_STYLES[style];
+  const cell = 56;
+  const pad = 20;
+  const labelW = 64;                      // row labels and the corner, left of each map
+  const multi = layout.maps.length > 1;
+  const labelH = 52 + (multi ? 26 : 0);   // column labels (and sub-map caption) above each map
+  const rows = layout.rows.length || 1;
+  const cols = layout.cols.length || 1;
+  const mapRows = Math.max(...layout.maps.map(m => m.r)) + 1;
+  const mapCols = Math.max(...layout.maps.map(m => m.c)) + 1;
+  const blockW = labelW + cols * cell;
+  const blockH = labelH + rows * cell;
+  const gap = 28;
+  const width = Math.max(pad * 2 + mapCols * blockW + (mapCols - 1) * gap, 320);
+  const axis = names => joinVarNames(names, ',');
+  const term = mask => (mode === 'SOP' ? implicantToProduct(mask, vars) : implicantToSum(mask, vars));
+  
+  const defs = [];
+  const body = [];
+  layout.maps.forEach((map, s) => {
+    const ox = pad + map.c * (blockW + gap) + labelW;
+    const oy = pad + map.r * (blockH + gap) + labelH;
+    
+    if (multi) {
+      body.push(`<text x="${ox + cols * cell / 2}" y="${oy - 58}" text-anchor="middle" font-weight="700" fill="${pal.ink}">` +
+        `${axis(layout.mapVars)} = ${toBin(map.value, layout.mapVars.length)}</text>`);
+    }
+    
+    // Corner: row variables below the diagonal, column variables above it
+    body.push(`<line x1="${ox - 48}" y1="${oy - 48}" x2="${ox}" y2="${oy}" stroke="${pal.line}"/>`);
+    body.push(`<text x="${ox - 34}" y="${oy - 6}" text-anchor="middle" font-style="italic" fill="${pal.ink}">${axis(layout.rowVars)}</text>`);
+    if (layout.colVars.length) {
+      body.push(`<text x="${ox - 8}" y="${oy - 32}" text-anchor="middle" font-style="italic" fill="${pal.ink}">${axis(layout.colVars)}</text>`);
+    }
+    
+    // Gray-coded axis headers
+    if (layout.colVars.length) {
+      layout.cols.forEach((g, c) => {
+        body.push(`<text x="${ox + c * cell + cell / 2}" y="${oy - 10}" text-anchor="middle" font-family="monospace" fill="${pal.muted}">` +
+          `${toBin(g, layout.colVars.length)}</text>`);
+      });
+    }
+    layout.rows.forEach((g, r) => {
+      body.push(`<text x="${ox - 10}" y="${oy + r * cell + cell / 2 + 5}" text-anchor="end" font-family="monospace" fill="${pal.muted}">` +
+        `${toBin(g, layout.rowVars.length)}</text>`);
+    });
+    
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const idx = layout.index({ r, c, s });
+        const val = cells[idx];
+        const x = ox + c * cell;
+        const y = oy + r * cell;
+        const fill = val === 1 ? pal.on : val === 'd' ? pal.dc : pal.cell;
+        const ink = val === 1 || val === 'd' ? pal.valueInk : pal.ink;
+        body.push(`<rect x="${x}" y="${y}" width="${cell}" height="${cell}" fill="${fill}" stroke="${pal.line}"/>`);
+        body.push(`<text x="${x + cell / 2}" y="${y + cell / 2 + 7}" text-anchor="middle" font-size="20" font-weight="700" fill="${ink}">${val}</text>`);
+        body.push(`<text x="${x + cell - 5}" y="${y + cell - 5}" text-anchor="end" font-size="9" fill="${ink}" fill-opacity="0.65">${idx}</text>`);
+      }
+    }
+    
+    // Group loops; pieces of a wrapping group run past the edge and are clipped there
+    defs.push(`<clipPath id="kmap-clip-${s}"><rect x="${ox}" y="${oy}" width="${cols * cell}" height="${rows * cell}"/></clipPath>`);
+    const loops = [];
+    implicants.forEach((mask, i) => {
+      const color = GROUP_COLORS[i % GROUP_COLORS.length];
+      const inset = 4 + (i % 3) * 4;
+      const out = cell * 0.6;
+      kmapGroupPieces(mask, layout).filter(p => p.s === s).forEach(p => {
+        const x0 = ox + (p.open.left ? p.c0 * cell - out : p.c0 * cell + inset);
+        const x1 = ox + (p.open.right ? (p.c1 + 1) * cell + out : (p.c1 + 1) * cell - inset);
+        const y0 = oy + (p.open.top ? p.r0 * cell - out : p.r0 * cell + inset);
+        const y1 = oy + (p.open.bottom ? (p.r1 + 1) * cell + out : (p.r1 + 1) * cell - inset);
+        loops.push(`<rect x="${x0}" y="${y0}" width="${x1 - x0}" height="${y1 - y0}" rx="12" ` +
+          `fill="${color}" fill-opacity="0.12" stroke="${color}" stroke-width="3"/>`);
+      });
+    });
+    if (loops.length) body.push(`<g clip-path="url(#kmap-clip-${s})">${loops.join('')}</g>`);
+  });
+  
+  // Legend of group terms, then the minimized expression as caption
+  let y = pad + mapRows * blockH + (mapRows - 1) * gap + 28;
+  const maxW = width - pad * 2;
+  const legendLines = implicants.length ? flowItems(implicants.map(term), maxW, 8, 42) : [];
+  let k = 0;
+  legendLines.forEach(line => {
+    let x = pad;
+    line.forEach(t => {
+      const color = GROUP_COLORS[k++ % GROUP_COLORS.length];
+      body.push(`<rect x="${x}" y="${y - 12}" width="12" height="12" rx="3" fill="${color}" fill-opacity="0.25" stroke="${color}" stroke-width="2"/>`);
+      body.push(`<text x="${x + 18}" y="${y - 1}" font-family="monospace" fill="${pal.ink}">${t}</text>`);
+      x += 18 + t.length * 8 + 24;
+    });
+    y += 20;
+  });
+  
+  const expr = implicants.length
+    ? (mode === 'SOP' ? implicantsToSOP(implicants, vars) : implicantsToPOS(implicants, vars))
+    : (mode === 'SOP' ? '0' : '1');
+  const pieces = mode === 'SOP'
+    ? expr.split(' + ').map((t, i, a) => t + (i < a.length - 1 ? ' +' : ''))
+    : expr.match(/\([^)]*\)/g) || [expr];
+  const captionLines = flowItems([`${outName} =`, ...pieces], maxW, 9.6, 9.6);
+  y += 10;
+  captionLines.forEach(line => {
+    body.push(`<text x="${width / 2}" y="${y}" text-anchor="middle" font-family="monospace" font-size="16" font-weight="700" fill="${pal.ink}">` +
+      `${line.join(' ')}</text>`);
+    y += 22;
+  });
+  body.push(`<text x="${width / 2}" y="${y}" text-anchor="middle" font-size="11" fill="${pal.muted}">` +
+    `${mode} ${exact ? 'minimal' : 'heuristik (belum tentu minimal)'} · ${vars.length} variabel (${axis(vars)})</text>`);
+  const height = y + pad;
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+    `font-family="'Segoe UI', Arial, sans-serif" font-size="13">` +
+    `<defs>${defs.join('')}</defs>` +
+    `<rect width="${width}" height="${height}" fill="${pal.bg}"/>` +
+    body.join('') +
+    '</svg>';
+}
+
+/**
+ * Download the K-Map (with a fresh minimization of its cells) as SVG
+ */
+function exportKMapAsSVG() {
+  const layout = currentKMap.layout;
+  
+  if (!layout) {
+    showError('K-Map tidak tersedia untuk ekspor');
+    return;
+  }
   
-  const dcMatch = input.match(/\+\s*d\s*\(([^)]+)\)/i);
-  let mainPart = input;
+  const { minterms, dontcares } = collectDataFromKMap();
+  let terms = minterms;
+  if (currentMode === 'POS') {
+    const onAndDC = new Set([...minterms, ...dontcares]);
+    terms = currentKMap.cells.map((_, i) => i).filter(m => !onAndDC.has(m));
+  }
+  const res = minimizeTerms(terms, dontcares, currentKMap.vars, currentMode, { algorithm: currentAlgorithm, cover: currentCover });
+  
+  const isDark = document.body.dataset.theme === 'dark';
+  const style = els.svgStyle.value === 'theme' ? (isDark ? 'dark' : 'light') : 'print';
+  const outName = currentOutputs
+    ? currentOutputs.names[currentOutputs.active]
+    : (currentKMap.vars.includes('F') ? 'Y' : 'F');
+  const svg = kmapToSVG(currentKMap, { implicants: res.implicants, mode: currentMode, exact: res.exact, outName, style });
+  
+  downloadText(`kmap_${currentMode}_${Date.now()}.svg`, svg, 'image/svg+xml');
+  showSuccess('K-Map berhasil diekspor sebagai SVG');
+}
+
+/* =============================================================================
+   10B. PERMALINK (WORKSPACE IN URL HASH)
+============================================================================= */
+const CELL_CODES = { 0: '0', 1: '1', d: 'd' };
+
+let restoringWorkspace = false;         // suppress hash updates while a link is applied
+
+/**
+ * Snapshot of the workspace: input text, the function's cells and the view settings
+ * @returns {Object} {expr, terms, evaluated, ident, multi, output, table, vars, cells[], mode, cover, algorithm, theme}
+ */
+function workspaceState() {
+  const state = {
+    expr: els.expr.value,
+    terms: els.mintermIO.value,
+    evaluated: currentAST !== null && !currentTable && !currentOutputs,
+    ident: currentIdentMode,
+    multi: null,
+    output: 0,
+    table: currentTable !== null,
+    vars: [],
+    cells: [],
+    mode: currentMode,
+    cover: currentCover,
+    algorithm: currentAlgorithm,
+    theme: document.body.dataset.theme
+  };
   
-  if (dcMatch) {
-    const dcPart = dcMatch[1];
-    dontcares.push(...dcPart.split(/[,\s]+/)
-      .map(s => s.trim())
-      .filter(Boolean)
-      .map(Number)
-      .filter(n => Number.isInteger(n) && n >= 0));
-    mainPart = input.substring(0, dcMatch.index);
+  const fn = activeFunction();
+  if (currentOutputs) {
+    state.multi = els.multiExpr.value;
+    state.output = currentOutputs.active;
+    state.vars = currentOutputs.vars;
+    state.cells = currentOutputs.cells.map(c => c.slice());
+  } else if (!currentTable && currentRPN && currentVars.length > MAX_VARS) {
+    state.vars = currentVars;
+    state.cells = [buildTruthTable(currentVars, currentRPN).map(r => r.y)];
+  } else if (fn && fn.vars.length) {
+    state.vars = fn.vars;
+    state.cells = [fn.cells.slice()];
+  }
+  return state;
+}
+
+/**
+ * Workspace state → URL hash (without '#')
+ * Cells are written as one character per minterm (0, 1, d); outputs are separated by '.'.
+ */
+function encodeWorkspace(state) {
+  const p = new URLSearchParams();
+  if (state.expr) p.set('e', state.expr);
+  if (state.evaluated) p.set('x', '1');
+  if (state.ident) p.set('id', '1');
+  if (state.multi !== null) {
+    p.set('mo', state.multi);
+    p.set('o', String(state.output));
+  }
+  if (state.vars.length) {
+    p.set('v', state.vars.join(','));
+    p.set('k', state.cells.map(c => c.map(v => CELL_CODES[v]).join('')).join('.'));
+  }
+  if (state.table) p.set('tt', '1');
+  p.set('m', state.mode.toLowerCase());
+  if (state.cover !== 'exact') p.set('c', state.cover);
+  if (state.algorithm !== 'qm') p.set('a', state.algorithm);
+  if (state.theme) p.set('th', state.theme);
+  return p.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * URL hash → workspace state (inverse of encodeWorkspace)
+ * @throws {Error} If the hash is not a valid workspace link
+ */
+function decodeWorkspace(hash) {
+  const p = new URLSearchParams(hash.replace(/^#/, ''));
+  const vars = p.get('v') ? p.get('v').split(',') : [];
+  const cells = vars.length && p.has('k') ? p.get('k').split('.').map(s => s.split('').map(ch => {
+    if (ch === 'd') return 'd';
+    if (ch === '0' || ch === '1') return Number(ch);
+    throw new Error(`Nilai sel tidak dikenal: '${ch}'`);
+  })) : [];
+  
+  if (vars.length > MAX_TRUTH_TABLE_VARS) {
+    throw new Error(`Maksimal ${MAX_TRUTH_TABLE_VARS} variabel`);
+  }
+  if (new Set(vars).size !== vars.length || vars.some(v => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(v))) {
+    throw new Error('Nama variabel tidak valid');
+  }
+  if (cells.some(c => c.length !== (1 << vars.length))) {
+    throw new Error(`Jumlah sel harus ${1 << vars.length} untuk ${vars.length} variabel`);
   }
   
-  minterms.push(...mainPart.split(/[,\s]+/)
-    .map(s => s.trim())
-    .filter(Boolean)
-    .map(Number)
-    .filter(n => Number.isInteger(n) && n >= 0));
+  const mode = (p.get('m') || 'sop').toUpperCase();
+  const cover = p.get('c') || 'exact';
+  const theme = p.get('th');
+  const multi = p.get('mo');
+  return {
+    expr: p.get('e') || '',
+    evaluated: p.get('x') === '1' || (!p.has('k') && !p.has('mo')),
+    ident: p.get('id') === '1',
+    multi,
+    output: Math.min(Math.max(Number(p.get('o')) || 0, 0), Math.max(cells.length - 1, 0)),
+    table: p.get('tt') === '1',
+    vars,
+    cells: multi === null ? cells.slice(0, 1) : cells,
+    mode: mode === 'POS' ? 'POS' : 'SOP',
+    cover: cover === 'greedy' ? 'greedy' : 'exact',
+    algorithm: p.get('a') === 'espresso' ? 'espresso' : 'qm',
+    theme: theme === 'light' || theme === 'dark' ? theme : null
+  };
+}
+
+let restoreSerial = 0;                  // the latest restore; older ones stop at their next await
+
+/**
+ * Rebuild the workspace from a state. The function is re-evaluated the way the
+ * user produced it (expression, multi-output or truth table) and then its cells
+ * are overwritten, so K-Map edits made after evaluating are restored as well.
+ * Resolves once the worker has minimized the restored function.
+ */
+async function restoreWorkspace(state) {
+  const sameVars = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+  const counted = { ...stats };
+  const serial = ++restoreSerial;
+  const superseded = () => serial !== restoreSerial;
   
-  return { minterms, dontcares };
+  restoringWorkspace = true;
+  try {
+    if (state.theme) document.body.dataset.theme = state.theme;
+    setMode(state.mode);
+    currentCover = state.cover;
+    els.coverMode.value = state.cover;
+    setAlgorithm(state.algorithm);
+    setIdentMode(state.ident);
+    
+    els.btnClear.click();
+    els.expr.value = state.expr;
+    els.mintermIO.value = state.terms || '';
+    
+    if (state.multi !== null) {
+      els.multiExpr.value = state.multi;
+      els.btnMulti.click();
+      if (!state.cells.length) return;
+      if (currentOutputs && sameVars(currentOutputs.vars, state.vars) &&
+          currentOutputs.cells.length === state.cells.length) {
+        currentOutputs.cells = state.cells;
+        renderMultiOutput();
+        await selectOutput(state.output);
+        return;
+      }
+      currentOutputs = null;
+      renderKMapTabs();
+    }
+    
+    // A hand-written link may give only the expression
+    if (!state.cells.length) {
+      if (state.expr && state.evaluated) await evaluateExpression();
+      return;
+    }
+    
+    const cells = state.cells[state.output] || state.cells[0];
+    if (state.table) {
+      await startTableDefinition(state.vars, cells);
+      return;
+    }
+    
+    if (state.evaluated) {
+      await evaluateExpression();
+      if (superseded()) return;
+      if (currentAST && sameVars(currentVars, state.vars)) {
+        if (currentKMap.layout && cells.some((c, i) => c !== currentKMap.cells[i])) {
+          cells.forEach((c, i) => { currentKMap.cells[i] = c; });
+          els.kmap.querySelectorAll('.kcell').forEach(cell => updateKMapCell(cell, Number(cell.dataset.index)));
+          const { minterms, dontcares } = collectDataFromKMap();
+          setPills(currentKMap.vars, minterms, dontcares);
+          await simplifyFromKMap();
+        }
+        return;
+      }
+    }
+    
+    // The expression no longer yields this function: show the cells themselves
+    if (state.vars.length > MAX_VARS) {
+      await startTableDefinition(state.vars, cells);
+    } else {
+      initKMap(state.vars);
+      cells.forEach((c, i) => { currentKMap.cells[i] = c; });
+      els.kmap.querySelectorAll('.kcell').forEach(cell => updateKMapCell(cell, Number(cell.dataset.index)));
+      const { minterms, dontcares } = collectDataFromKMap();
+      setPills(currentKMap.vars, minterms, dontcares);
+      await simplifyFromKMap();
+    }
+  } finally {
+    if (!superseded()) {
+      restoringWorkspace = false;
+      Object.assign(stats, counted);
+      updateStats();
+    }
+  }
+}
+
+/**
+ * Keep the URL hash in sync with the workspace (no new history entry per edit)
+ */
+function updatePermalink() {
+  if (restoringWorkspace) return;
+  const url = `${location.pathname}${location.search}#${encodeWorkspace(workspaceState())}`;
+  history.replaceState(null, '', url);
+}
+
+/**
+ * Apply the workspace link in the current URL hash, if any
+ * @returns {Promise<boolean>} True if a link was applied
+ */
+async function applyPermalink() {
+  if (location.hash.length <= 1) return false;
+  try {
+    await restoreWorkspace(decodeWorkspace(location.hash));
+    commitWorkspace('Dibuka dari link');
+    hideMessages();
+    showSuccess('Workspace dipulihkan dari link');
+    return true;
+  } catch (e) {
+    showError('Link workspace tidak valid: ' + e.message);
+    return false;
+  }
+}
+
+/* =============================================================================
+   10C. UNDO/REDO HISTORY
+============================================================================= */
+const HISTORY_LIMIT = 100;
+
+let workspaceHistory = { entries: [], index: -1 };    // entries: [{label, time, state}]
+
+/**
+ * Record the workspace after a change as a new history entry.
+ * Entries after the current one (undone changes) are dropped.
+ * @param {string} label - What changed, shown in the history list
+ */
+function commitWorkspace(label) {
+  if (restoringWorkspace) return;
+  const h = workspaceHistory;
+  h.entries.splice(h.index + 1);
+  h.entries.push({ label, time: new Date(), state: workspaceState() });
+  if (h.entries.length > HISTORY_LIMIT) h.entries.shift();
+  h.index = h.entries.length - 1;
+  
+  renderHistory();
+  updatePermalink();
+}
+
+/**
+ * Return the workspace to history entry i (the theme is left as it is)
+ * @returns {Promise<boolean>} False if there is no such entry or it is already current
+ */
+async function goToHistory(i) {
+  const h = workspaceHistory;
+  if (i < 0 || i >= h.entries.length || i === h.index) return false;
+  
+  h.index = i;
+  renderHistory();
+  await restoreWorkspace({ ...h.entries[i].state, theme: null });
+  updatePermalink();
+  hideMessages();
+  return true;
+}
+
+async function undoWorkspace() {
+  const undone = workspaceHistory.entries[workspaceHistory.index];
+  if (await goToHistory(workspaceHistory.index - 1)) showSuccess(`↶ Dibatalkan: ${undone.label}`);
+}
+
+async function redoWorkspace() {
+  if (await goToHistory(workspaceHistory.index + 1)) {
+    showSuccess(`↷ Diulangi: ${workspaceHistory.entries[workspaceHistory.index].label}`);
+  }
+}
+
+/**
+ * Undo/redo buttons and the history list (newest first, undone entries dimmed)
+ */
+function renderHistory() {
+  const { entries, index } = workspaceHistory;
+  els.btnUndo.disabled = index <= 0;
+  els.btnRedo.disabled = index >= entries.length - 1;
+  els.historyCount.textContent = entries.length;
+  
+  els.historyList.innerHTML = entries.map((entry, i) => {
+    const cls = i === index ? 'current' : (i > index ? 'undone' : '');
+    const time = entry.time.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    return `<li class="${cls}"><button data-step="${i}" title="Kembali ke keadaan ini">` +
+      `<span class="muted">${time}</span> ${escapeHTML(entry.label)}</button></li>`;
+  }).reverse().join('');
+}
+
+
+/* =============================================================================
+   10D. MINIMIZER IN A WEB WORKER (PROGRESS & CANCEL)
+============================================================================= */
+const PROGRESS_DELAY = 150;             // ms before the progress bar shows (quick jobs never flash it)
+
+let minimizerWorker = null;             // created on first use, dropped on cancel
+let workerUnavailable = typeof Worker === 'undefined';
+let activeJob = null;                   // {id, job, resolve, reject, timer} of the running job
+let comparingJob = null;                // id of a finished job the worker is still timing qmSimplifyClassic for
+let jobCounter = 0;
+
+/**
+ * Run a core.js job (see runJob) off the main thread. Only one job runs at a
+ * time: starting a new one cancels the previous. Without Web Workers (or when
+ * worker.js fails to load) the job runs on the page instead.
+ * @param {Object} job - {kind: 'evaluate' | 'minimize', ...}
+ * @returns {Promise<Object|null>} The job result, or null if it was cancelled
+ */
+function runMinimizerJob(job) {
+  cancelMinimizerJob();
+  const id = ++jobCounter;
+  
+  return new Promise((resolve, reject) => {
+    activeJob = { id, job, resolve, reject, timer: setTimeout(() => { els.jobProgress.hidden = false; }, PROGRESS_DELAY) };
+    renderJobProgress(null);
+    dispatchJob(activeJob);
+  });
+}
+
+function getMinimizerWorker() {
+  if (!minimizerWorker && !workerUnavailable) {
+    try {
+      minimizerWorker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+      minimizerWorker.addEventListener('message', onWorkerMessage);
+      minimizerWorker.addEventListener('error', onWorkerError);
+    } catch (e) {
+      console.warn('Web Worker tidak tersedia, minimasi berjalan di halaman:', e);
+      workerUnavailable = true;
+    }
+  }
+  return minimizerWorker;
 }
 
-/* =============================================================================
-   10. IMAGE EXPORT FUNCTIONALITY
-============================================================================= */
-function exportKMapAsImage() {
-  const kmapEl = els.kmap;
+function dispatchJob(entry) {
+  // A worker still timing the old implementation for an earlier result would
+  // make this job wait: that benchmark number is dropped instead
+  if (comparingJob !== null && minimizerWorker) {
+    minimizerWorker.terminate();
+    minimizerWorker = null;
+  }
+  comparingJob = null;
   
-  if (!currentKMap.layout) {
-    showError('K-Map tidak tersedia untuk ekspor');
+  const worker = getMinimizerWorker();
+  if (worker) {
+    worker.postMessage({ id: entry.id, job: entry.job });
     return;
   }
   
-  const canvas = document.createElement('canvas');
-  const cellSize = 70;
-  const padding = 100;
-  const rows = currentKMap.layout.rows.length || 1;
-  const cols = currentKMap.layout.cols.length || 1;
-  
-  canvas.width = cols * cellSize + padding * 2;
-  canvas.height = rows * cellSize + padding * 2 + 40;
-  const ctx = canvas.getContext('2d');
-  
-  const isDark = document.body.dataset.theme === 'dark';
-  ctx.fillStyle = isDark ? '#0f1a35' : '#ffffff';
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
-  
-  // Title
-  ctx.fillStyle = isDark ? '#e8eefc' : '#1a2332';
-  ctx.font = 'bold 18px sans-serif';
-  ctx.textAlign = 'left';
-  ctx.fillText('Karnaugh Map', padding, 35);
-  
-  // Mode indicator
-  ctx.font = '14px sans-serif';
-  ctx.fillStyle = isDark ? '#5aa4ff' : '#3a7bc8';
-  ctx.fillText(`Mode: ${currentMode}`, padding, 55);
-  ctx.fillText(`Rows: ${prettyAxisLabel(currentKMap.layout.rowVars)}`, padding, 75);
-  ctx.fillText(`Cols: ${prettyAxisLabel(currentKMap.layout.colVars)}`, padding + 120, 75);
-  
-  // Draw cells
-  const children = kmapEl.children;
-  const startY = 90;
-  
-  for (let r = 0; r < rows; r++) {
-    for (let c = 0; c < cols; c++) {
-      const x = padding + c * cellSize;
-      const y = startY + r * cellSize;
-      const cellIdx = r * cols + c;
-      const dataIdx = Number(children[cellIdx].dataset.index);
-      const val = currentKMap.cells[dataIdx];
-      
-      // Cell background
-      if (val === 1) {
-        ctx.fillStyle = isDark ? '#2b966a' : '#10b981';
-      } else if (val === 'd') {
-        ctx.fillStyle = isDark ? '#6b5a2a' : '#f59e0b';
-      } else {
-        ctx.fillStyle = isDark ? '#243255' : '#e5e7eb';
-      }
-      
-      ctx.fillRect(x, y, cellSize - 4, cellSize - 4);
-      
-      // Cell border
-      ctx.strokeStyle = isDark ? '#1c2849' : '#d1d5db';
-      ctx.lineWidth = 2;
-      ctx.strokeRect(x, y, cellSize - 4, cellSize - 4);
-      
-      // Cell value
-      ctx.fillStyle = val ? '#ffffff' : (isDark ? '#e8eefc' : '#1a2332');
-      ctx.font = 'bold 24px sans-serif';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText(
-        val === 'd' ? 'd' : (val || '0'), 
-        x + cellSize / 2 - 2, 
-        y + cellSize / 2 - 2
-      );
-      
-      // Minterm index (small)
-      ctx.font = '10px sans-serif';
-      ctx.fillStyle = isDark ? '#9fb2d7' : '#6b7280';
-      ctx.fillText(`m${dataIdx}`, x + cellSize / 2 - 2, y + cellSize - 12);
+  // On the page: run after the caller has returned, like a worker reply would
+  setTimeout(() => {
+    if (activeJob !== entry) return;
+    try {
+      const result = runJob(entry.job);
+      settleJob(job => job.resolve(result));
+    } catch (e) {
+      settleJob(job => job.reject(e));
     }
+  }, 0);
+}
+
+function onWorkerMessage({ data }) {
+  if (data.type === 'compare') {
+    // Arrives after 'done': the old-QM time for the result already on screen
+    if (data.id !== comparingJob) return;
+    comparingJob = null;
+    stats.lastClassicTime = data.classicTime;
+    updateStats();
+    return;
   }
   
-  // Footer
-  ctx.font = '11px sans-serif';
-  ctx.fillStyle = isDark ? '#9fb2d7' : '#6b7280';
-  ctx.textAlign = 'center';
-  ctx.fillText(
-    'Generated by Boolean Algebra & K-Map Simulator - Kelompok Pusay',
-    canvas.width / 2,
-    canvas.height - 15
-  );
+  if (!activeJob || data.id !== activeJob.id) return;    // reply from a cancelled job
+  if (data.type === 'progress') {
+    renderJobProgress(data.info);
+  } else if (data.type === 'done') {
+    if (activeJob.job.compare) comparingJob = data.id;
+    settleJob(job => job.resolve(data.result));
+  } else {
+    settleJob(job => job.reject(new Error(data.message)));
+  }
+}
+
+/**
+ * worker.js could not be loaded (e.g. no module workers in this browser)
+ */
+function onWorkerError(e) {
+  e.preventDefault();
+  console.warn('Web Worker gagal dimuat, minimasi berjalan di halaman:', e.message);
+  minimizerWorker.terminate();
+  minimizerWorker = null;
+  workerUnavailable = true;
+  if (activeJob) dispatchJob(activeJob);
+}
+
+/**
+ * Finish the running job and hide the progress bar
+ * @param {Function} fn - Receives the job entry to resolve or reject it
+ */
+function settleJob(fn) {
+  const entry = activeJob;
+  activeJob = null;
+  clearTimeout(entry.timer);
+  els.jobProgress.hidden = true;
+  fn(entry);
+}
+
+/**
+ * Stop the running job; its promise resolves to null
+ * @returns {Object|null} The cancelled job description
+ */
+function cancelMinimizerJob() {
+  if (!activeJob) return null;
+  const { job } = activeJob;
+  if (minimizerWorker) {
+    minimizerWorker.terminate();
+    minimizerWorker = null;
+  }
+  settleJob(entry => entry.resolve(null));
+  return job;
+}
+
+/**
+ * Progress text and bar for a qmSimplify / runJob progress report
+ * @param {Object|null} info - {stage, ...}, or null when the job starts
+ */
+function renderJobProgress(info) {
+  let text = 'Menyiapkan…';
+  let value = null;
+  
+  if (info && info.stage === 'table') {
+    text = `Membangun tabel kebenaran (${info.rows} baris)…`;
+  } else if (info && info.stage === 'combine') {
+    text = `Menggabungkan term — ronde ${info.round}: ${info.terms} term, ${info.primes} prime implicant`;
+  } else if (info && info.stage === 'primes') {
+    text = `${info.primes} prime implicant ditemukan, menyusun chart…`;
+  } else if (info && info.stage === 'cover') {
+    const method = { essential: 'essential', petrick: 'Petrick', greedy: 'greedy' }[info.method];
+    text = `Memilih cover (${method}): ${info.covered}/${info.total} term tertutup`;
+    value = info.total ? info.covered / info.total : 1;
+  } else if (info && info.stage === 'espresso') {
+    text = `Espresso — iterasi ${info.iteration}: ${info.terms} term, ${info.literals} literal`;
+  }
   
-  // Download
-  canvas.toBlob(blob => {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `kmap_${currentMode}_${Date.now()}.png`;
-    a.click();
-    URL.revokeObjectURL(url);
-    showSuccess('K-Map berhasil diekspor sebagai PNG');
-  });
+  els.jobStage.textContent = text;
+  // Without a value the bar is indeterminate (stages whose length is unknown)
+  if (value === null) els.jobBar.removeAttribute('value');
+  else els.jobBar.value = value;
 }
 
 /* =============================================================================
@@ -1150,103 +2085,205 @@ function bindEvent(el, event, handler) {
 }
 
 // Evaluate Expression
-bindEvent(els.btnEval, 'click', () => {
+/**
+ * Evaluate the expression input. The truth table and the minimization run in
+ * the worker; the page state changes only once the result is back.
+ * @returns {Promise<boolean>} True if the expression was evaluated (false on errors or cancel)
+ */
+async function evaluateExpression() {
   hideMessages();
+  const src = els.expr.value;
 
   try {
-    const expr = els.expr.value.trim();
+    const expr = src.trim();
     
     if (!expr) {
       showError('Harap masukkan ekspresi Boolean');
-      return;
+      return false;
     }
     
-    const vars0 = extractVars(expr);
+    const ast = parse(tokenize(src, parseOptions()));
+    const vars0 = extractVars(src, parseOptions());
     
     if (vars0.length === 0) {
       showError('Tidak ada variabel yang terdeteksi dalam ekspresi');
-      return;
+      return false;
     }
     
     if (vars0.length > MAX_TRUTH_TABLE_VARS) {
       showError(`Maksimal ${MAX_TRUTH_TABLE_VARS} variabel untuk tabel kebenaran`);
-      return;
+      return false;
     }
     
-    currentVars = vars0.slice(0, MAX_TRUTH_TABLE_VARS);
-    currentRPN = toRPN(tokenize(expr));
-
-    const rows = buildTruthTable(currentVars, currentRPN);
+    const vars = vars0.slice(0, MAX_TRUTH_TABLE_VARS);
+    const rpn = astToRPN(ast);
+    const out = await runMinimizerJob({
+      kind: 'evaluate', vars, rpn, minimize: true, algorithm: currentAlgorithm, mode: currentMode, cover: currentCover,
+      trace: els.qmSteps.open, compare: true
+    });
+    if (!out) return false;
+    
+    currentVars = vars;
+    currentAST = ast;
+    currentOutputs = null;
+    currentTable = null;
+    renderKMapTabs();
+    currentRPN = rpn;
+
+    const rows = buildTruthTable(currentVars, null).map(r => ({ ...r, y: out.cells[r.m] }));
     renderTruthTable(currentVars, rows);
 
     const minFull = rows.filter(r => r.y === 1).map(r => r.m);
-    const kVars = currentVars.slice(0, MAX_VARS);
-    initKMap(kVars);
-
-    if (currentVars.length <= MAX_VARS) {
-      paintKMapFromData(minFull, []);
-      
-      let effectiveMinterms = minFull;
-      if (currentMode === 'POS') {
-        const allTerms = new Array(currentKMap.total).fill(0).map((_, i) => i);
-        const onAndDC = new Set(minFull);
-        effectiveMinterms = allTerms.filter(m => !onAndDC.has(m));
-      }
-
-      const startTimeQM = performance.now();
-      const { result } = qmSimplify(effectiveMinterms, [], kVars, currentMode);
-      const endTimeQM = performance.now();
-      
-      const timeTaken = endTimeQM - startTimeQM;
-      els.outSimplified.textContent = result;
-      els.benchTime.textContent = `${timeTaken.toFixed(3)}ms`;
-      els.benchCells.textContent = `${effectiveMinterms.length} terms`;
-      els.benchComplexity.textContent = `O(3^${kVars.length} × ${kVars.length}²)`;
-      els.benchmark.style.display = 'flex';
-      
-      stats.lastTime = timeTaken;
-      stats.lastMinterms = minFull.length;
-    } else {
-      els.outSimplified.textContent = '— (K-Map hanya untuk ≤4 variabel)';
-      els.benchmark.style.display = 'none';
-    }
+    initKMap(currentVars);
+    // Too wide for the K-Map: the truth-table column stays the active function
+    if (currentKMap.layout) paintKMapFromData(minFull, []);
+    else currentWideFunction = { vars: currentVars, cells: out.cells };
+
+    const res = out.minimized;
+    renderSimplified(res.implicants, res.result, currentVars, currentMode);
+    setMinStatus(res);
+    renderQMSteps(res);
+    if (currentKMap.layout) drawKMapGroups(res.implicants, currentMode);
+    renderBenchmark(out);
+    
+    stats.lastTime = out.time;
+    stats.lastClassicTime = null;       // filled in by the worker's 'compare' message
+    stats.lastMinterms = minFull.length;
 
+    renderCanonical(currentVars, out.cells);
     setPills(currentVars, minFull, []);
+    renderCircuit();
     
     stats.evaluations++;
     stats.lastVars = currentVars.length;
     updateStats();
     
     showSuccess(`Evaluasi berhasil! ${minFull.length} minterm ditemukan.`);
+    commitWorkspace(`Evaluasi ${expr}`);
+    return true;
     
   } catch (e) {
     console.error('Error:', e);
     showError(e.message);
+    if (e instanceof ParseError) showParseCaret(src, e);
     setPills([], [], []);
     els.outSimplified.textContent = '—';
+    currentMinimal = null;
+    setMinStatus(null);
+    renderQMSteps(null);
+    renderCanonical(null);
     els.benchmark.style.display = 'none';
+    return false;
+  }
+}
+
+bindEvent(els.btnEval, 'click', evaluateExpression);
+
+// Compare two expressions (equivalence check)
+bindEvent(els.btnCompare, 'click', () => {
+  hideParseCaret(els.expr2Caret);
+  hideParseCaret();
+  const src1 = els.expr.value;
+  const src2 = els.expr2.value;
+  
+  if (!src1.trim() || !src2.trim()) {
+    els.compareResult.innerHTML = '<div class="error-message show">❌ Harap isi kedua ekspresi yang akan dibandingkan</div>';
+    return;
+  }
+  
+  try {
+    // Parse separately so a syntax error points at the right input
+    try {
+      parse(tokenize(src1, parseOptions()));
+    } catch (e) {
+      if (e instanceof ParseError) showParseCaret(src1, e);
+      throw e;
+    }
+    try {
+      parse(tokenize(src2, parseOptions()));
+    } catch (e) {
+      if (e instanceof ParseError) showParseCaret(src2, e, els.expr2, els.expr2Caret);
+      throw e;
+    }
+    
+    const cmp = compareExpressions(src1, src2, parseOptions());
+    renderCompareTable(cmp);
+    renderCompareResult(cmp);
+    
+    // Show the first expression on the K-Map with differing cells marked
+    currentOutputs = null;
+    leaveTableDefinition();
+    renderKMapTabs();
+    initKMap(cmp.vars);
+    if (currentKMap.layout) {
+      paintKMapFromData(cmp.rows.filter(r => r.y1 === 1).map(r => r.m), []);
+      // Drawing the groups clears overlays, so the diff marks go on afterwards
+      simplifyFromKMap().then(ok => { if (ok) markKMapDiff(cmp.diffs); });
+    }
+  } catch (e) {
+    els.compareResult.innerHTML = `<div class="error-message show">❌ ${e.message}</div>`;
+    els.cmpHead.innerHTML = '';
+    els.cmpBody.innerHTML = '';
+  }
+});
+
+// Copy the simplified result into the second expression
+bindEvent(els.btnUseResult, 'click', () => {
+  const result = els.outSimplified.textContent.trim();
+  if (!result || result.startsWith('—')) {
+    els.compareResult.innerHTML = '<div class="error-message show">❌ Belum ada hasil penyederhanaan</div>';
+    return;
+  }
+  els.expr2.value = result;
+  els.btnCompare.click();
+});
+
+// Algebraic derivation of the current expression
+bindEvent(els.btnDerive, 'click', () => {
+  hideParseCaret();
+  const src = els.expr.value;
+  els.derivation.innerHTML = '';
+  
+  if (!src.trim()) {
+    els.deriveResult.innerHTML = '<div class="error-message show">❌ Harap masukkan ekspresi Boolean di kartu 1</div>';
+    return;
+  }
+  
+  try {
+    let ast;
+    try {
+      ast = parse(tokenize(src, parseOptions()));
+    } catch (e) {
+      if (e instanceof ParseError) showParseCaret(src, e);
+      throw e;
+    }
+    renderDerivation(deriveSimplification(ast, extractVars(src, parseOptions())));
+  } catch (e) {
+    els.deriveResult.innerHTML = `<div class="error-message show">❌ ${e.message}</div>`;
   }
 });
 
 // Validate Syntax
 bindEvent(els.btnValidate, 'click', () => {
   hideMessages();
+  const src = els.expr.value;
   
   try {
-    const expr = els.expr.value.trim();
+    const expr = src.trim();
     
     if (!expr) {
       showError('Harap masukkan ekspresi untuk divalidasi');
       return;
     }
     
-    const tokens = tokenize(expr);
-    const rpn = toRPN(tokens);
-    const vars = extractVars(expr);
+    const tokens = tokenize(src, parseOptions());
+    parse(tokens);
+    const vars = extractVars(src, parseOptions());
     
     showSuccess(`Sintaks valid! ${tokens.length} token, ${vars.length} variabel: ${vars.join(', ')}`);
   } catch (e) {
     showError('Sintaks tidak valid: ' + e.message);
+    if (e instanceof ParseError) showParseCaret(src, e);
   }
 });
 
@@ -1254,38 +2291,101 @@ bindEvent(els.btnValidate, 'click', () => {
 bindEvent(els.btnClear, 'click', () => {
   els.expr.value = '';
   currentVars = [];
+  currentAST = null;
   currentRPN = null;
+  currentOutputs = null;
+  currentTable = null;
+  renderKMapTabs();
   els.ttHead.innerHTML = '';
   els.ttBody.innerHTML = '';
   initKMap([]);
   els.outSimplified.textContent = '—';
+  currentMinimal = null;
+  setMinStatus(null);
+  renderQMSteps(null);
+  renderCanonical(null);
   setPills([], [], []);
   els.mintermIO.value = '';
   els.benchmark.style.display = 'none';
+  renderCircuit();
   hideMessages();
   showSuccess('Semua data berhasil dibersihkan');
+  commitWorkspace('Bersihkan semua');
 });
 
 // Reset K-Map
 bindEvent(els.btnReset, 'click', () => {
+  cancelMinimizerJob();
   paintKMapFromData([], []);
+  if (currentTable) {
+    currentTable.cells.fill(0);
+    renderEditableTable();
+    setPills(currentTable.vars, [], []);
+  }
   els.outSimplified.textContent = '—';
+  currentMinimal = null;
+  setMinStatus(null);
+  renderQMSteps(null);
+  renderCanonical(null);
   els.benchmark.style.display = 'none';
+  renderCircuit();
+  if (currentOutputs) renderMultiOutput();
   showSuccess('K-Map berhasil direset');
+  commitWorkspace('Reset K-Map');
 });
 
 // Simplify K-Map
-bindEvent(els.btnSimplify, 'click', () => {
+bindEvent(els.btnSimplify, 'click', async () => {
   hideMessages();
   
   try {
-    simplifyFromKMap();
-    showSuccess('Penyederhanaan berhasil menggunakan algoritma Quine-McCluskey');
+    if (!activeFunction()) {
+      showError(`K-Map tersedia hanya hingga ${MAX_VARS} variabel — gunakan tabel kebenaran yang dapat diedit`);
+      return;
+    }
+    if (await simplifyActive()) showSuccess(`Penyederhanaan berhasil menggunakan algoritma ${ALGORITHM_NAMES[currentAlgorithm]}`);
   } catch (e) {
     showError('Gagal menyederhanakan: ' + e.message);
   }
 });
 
+// Steps panel: the displayed result was minimized without a trace, so the
+// tabulation (every round and the full chart for up to 8 variables) is built now
+bindEvent(els.qmSteps, 'toggle', () => {
+  if (els.qmSteps.open && stepsPending) simplifyActive();
+});
+
+// Cancel a long-running evaluation or minimization
+bindEvent(els.btnCancelJob, 'click', () => {
+  const job = cancelMinimizerJob();
+  if (!job) return;
+  
+  // A cancelled evaluation leaves the previous function in place; a cancelled
+  // minimization leaves the function without a result
+  if (job.kind === 'minimize') {
+    els.outSimplified.textContent = '— (dibatalkan)';
+    currentMinimal = null;
+    setMinStatus(null);
+    renderQMSteps(null);
+    clearKMapOverlays();
+    els.benchmark.style.display = 'none';
+    renderCircuit();
+  }
+  showError(job.kind === 'evaluate' ? 'Evaluasi dibatalkan' : 'Penyederhanaan dibatalkan');
+});
+
+/**
+ * True if the term list is valid for a MAX_TRUTH_TABLE_VARS-variable function
+ */
+function fitsWidestTable(txt, defaultKind) {
+  try {
+    parseTermInput(txt, 1 << MAX_TRUTH_TABLE_VARS, defaultKind);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
 // Import Minterm
 bindEvent(els.btnImport, 'click', () => {
   hideMessages();
@@ -1296,39 +2396,85 @@ bindEvent(els.btnImport, 'click', () => {
     if (!txt) {
       paintKMapFromData([], []);
       els.outSimplified.textContent = '—';
+      currentMinimal = null;
+      setMinStatus(null);
+      renderQMSteps(null);
+      renderCanonical(null);
       showError('Input minterm kosong');
       return;
     }
     
-    const { minterms, dontcares } = parseTermInput(txt);
-    
-    if (minterms.length === 0 && dontcares.length === 0) {
-      showError('Tidak ada minterm valid yang ditemukan');
-      return;
+    // The current function's width, unless a variable count is chosen explicitly;
+    // without a function, just wide enough for the largest index (like the CLI)
+    const fn = activeFunction();
+    const current = fn ? fn.vars.length : currentKMap.n;
+    const auto = els.importVars.value === 'auto';
+    const fitting = Math.min(termInputWidth(txt), MAX_TRUTH_TABLE_VARS);
+    const n = !auto ? Number(els.importVars.value) : (current || fitting);
+    const total = 1 << n;
+    const defaultKind = currentMode === 'POS' ? 'maxterm' : 'minterm';
+    let parsed;
+    try {
+      parsed = parseTermInput(txt, total, defaultKind);
+    } catch (e) {
+      if (auto && n < MAX_TRUTH_TABLE_VARS && fitsWidestTable(txt, defaultKind)) {
+        throw new Error(`${e.message} — pilih jumlah variabel di samping tombol Impor`);
+      }
+      throw e;
     }
+    const { minterms, dontcares, kind } = parsed;
     
-    paintKMapFromData(minterms, dontcares);
-    simplifyFromKMap();
-    setPills(currentKMap.vars, minterms, dontcares);
+    let created = '';
+    if (n !== current || currentWideFunction) {
+      // Another width (or an expression too wide for the K-Map): a new truth-table
+      // function, shown on the K-Map as well up to MAX_VARS variables
+      const vars = n === current ? fn.vars : DEFAULT_VAR_NAMES.slice(0, n);
+      const cells = new Array(total).fill(0);
+      minterms.forEach(m => { cells[m] = 1; });
+      dontcares.forEach(m => { cells[m] = 'd'; });
+      startTableDefinition(vars, cells);
+      created = ` sebagai fungsi ${n} variabel (${vars.join(', ')})`;
+    } else {
+      paintKMapFromData(minterms, dontcares);
+      if (currentTable) {
+        const cells = currentTable.cells;
+        cells.fill(0);
+        minterms.forEach(m => { if (m < cells.length) cells[m] = 1; });
+        dontcares.forEach(m => { if (m < cells.length) cells[m] = 'd'; });
+        renderEditableTable();
+      }
+      simplifyActive();
+      setPills(currentTable ? currentTable.vars : currentKMap.vars, minterms, dontcares);
+      if (currentOutputs) renderMultiOutput();
+    }
     
-    showSuccess(`Berhasil mengimpor ${minterms.length} minterm, ${dontcares.length} don't care`);
+    const given = kind === 'maxterm' ? `ΠM (${total - minterms.length - dontcares.length} maxterm)` : `Σm (${minterms.length} minterm)`;
+    showSuccess(`Berhasil mengimpor ${given}, ${dontcares.length} don't care${created}`);
+    commitWorkspace(`Impor ${given}`);
   } catch (e) {
-    showError('Format minterm tidak valid: ' + e.message);
+    showError('Format term tidak valid: ' + e.message);
   }
 });
 
 // Export Minterm
 bindEvent(els.btnExport, 'click', () => {
-  const { minterms, dontcares } = collectDataFromKMap();
-  let result = minterms.join(',');
-  if (dontcares.length) result += ` +d(${dontcares.join(',')})`;
+  const fn = activeFunction();
+  if (!fn || !fn.vars.length) {
+    showError('K-Map kosong, tidak ada yang diekspor');
+    return;
+  }
   
-  els.mintermIO.value = result;
+  const forms = canonicalForms(fn.vars, fn.cells);
+  els.mintermIO.value = currentMode === 'POS' ? forms.pi : forms.sigma;
+  const ones = fn.cells.filter(c => c === 1).length;
+  const dcs = fn.cells.filter(c => c === 'd').length;
   
-  if (minterms.length === 0 && dontcares.length === 0) {
+  if (ones === 0 && dcs === 0 && currentMode === 'SOP') {
     showError('K-Map kosong, tidak ada yang diekspor');
+  } else if (currentMode === 'POS') {
+    showSuccess(`Berhasil mengekspor ${fn.cells.length - ones - dcs} maxterm, ${dcs} don't care`);
   } else {
-    showSuccess(`Berhasil mengekspor ${minterms.length} minterm, ${dontcares.length} don't care`);
+    showSuccess(`Berhasil mengekspor ${ones} minterm, ${dcs} don't care`);
   }
 });
 
@@ -1338,46 +2484,286 @@ bindEvent(els.btnExportImg, 'click', () => {
   exportKMapAsImage();
 });
 
+bindEvent(els.btnExportSVG, 'click', () => {
+  hideMessages();
+  exportKMapAsSVG();
+});
+
+// Hover a result term to highlight its K-Map group
+bindEvent(els.outSimplified, 'mouseover', (e) => {
+  const term = e.target.closest('.term');
+  if (term) highlightGroup(term.dataset.group, true);
+});
+bindEvent(els.outSimplified, 'mouseout', (e) => {
+  const term = e.target.closest('.term');
+  if (term) highlightGroup(term.dataset.group, false);
+});
+
+// Copy a canonical form
+bindEvent(els.canonical, 'click', (e) => {
+  const btn = e.target.closest('.copy-btn');
+  if (btn) copyText(btn.previousElementSibling.textContent);
+});
+
 // Mode Toggle: SOP
-bindEvent(els.modeSOP, 'click', () => {
-  currentMode = 'SOP';
-  els.modeSOP.classList.add('active');
-  els.modePOS.classList.remove('active');
-  els.resultLabel.innerHTML = '🎯 Hasil Penyederhanaan (SOP) <span class="tooltip-icon" data-tip="Sum of Products - bentuk penjumlahan dari product terms">?</span>';
-  els.mintermLabel.innerHTML = '📥 Import/Export Minterm <span class="tooltip-icon" data-tip="Format: 0,1,5,7 atau 0,1,5,7+d(2,3)">?</span>';
-  
-  if (currentKMap.layout) {
-    simplifyFromKMap();
+function setMode(mode) {
+  currentMode = mode;
+  els.modeSOP.classList.toggle('active', mode === 'SOP');
+  els.modePOS.classList.toggle('active', mode === 'POS');
+  if (mode === 'SOP') {
+    els.resultLabel.innerHTML = '🎯 Hasil Penyederhanaan (SOP) <span class="tooltip-icon" data-tip="Sum of Products - bentuk penjumlahan dari product terms">?</span>';
+    els.mintermLabel.innerHTML = '📥 Import/Export Minterm (Σm) <span class="tooltip-icon" data-tip="Format: Σm(1,3,5) + d(2), ΠM(0,4) + d(2) atau daftar 1,3,5 + d(2) yang dibaca sebagai minterm">?</span>';
+  } else {
+    els.resultLabel.innerHTML = '🎯 Hasil Penyederhanaan (POS) <span class="tooltip-icon" data-tip="Product of Sums - bentuk perkalian dari sum terms">?</span>';
+    els.mintermLabel.innerHTML = '📥 Import/Export Maxterm (ΠM) <span class="tooltip-icon" data-tip="Format: ΠM(0,4) + d(2), Σm(1,3,5) + d(2) atau daftar 0,4 + d(2) yang dibaca sebagai maxterm">?</span>';
   }
+}
+
+/**
+ * Select the minimization algorithm; the cover method applies to Quine-McCluskey only
+ */
+function setAlgorithm(algorithm) {
+  currentAlgorithm = algorithm === 'espresso' ? 'espresso' : 'qm';
+  els.algoMode.value = currentAlgorithm;
+  els.coverMode.disabled = currentAlgorithm === 'espresso';
+}
+
+bindEvent(els.modeSOP, 'click', () => {
+  setMode('SOP');
+  simplifyActive();
+  commitWorkspace('Mode SOP');
 });
 
 // Mode Toggle: POS
 bindEvent(els.modePOS, 'click', () => {
-  currentMode = 'POS';
-  els.modePOS.classList.add('active');
-  els.modeSOP.classList.remove('active');
-  els.resultLabel.innerHTML = '🎯 Hasil Penyederhanaan (POS) <span class="tooltip-icon" data-tip="Product of Sums - bentuk perkalian dari sum terms">?</span>';
-  els.mintermLabel.innerHTML = '📥 Import/Export Maxterm <span class="tooltip-icon" data-tip="Format: 0,1,5,7 atau 0,1,5,7+d(2,3)">?</span>';
+  setMode('POS');
+  simplifyActive();
+  commitWorkspace('Mode POS');
+});
+
+// Circuit view toggle (original, minimal, NAND/NOR conversions)
+bindEvent(els.circuitViews, 'click', (e) => {
+  const btn = e.target.closest('button[data-view]');
+  if (!btn) return;
+  currentCircuitView = btn.dataset.view;
+  renderCircuit();
+});
+
+// Define a new function by its truth table
+bindEvent(els.btnTTDefine, 'click', () => {
+  hideMessages();
+  const n = Number(els.ttVars.value);
+  const vars = DEFAULT_VAR_NAMES.slice(0, n);
+  startTableDefinition(vars, new Array(1 << n).fill(0));
+  showSuccess(`Tabel kebenaran ${n} variabel (${vars.join(', ')}) siap — klik kolom Y untuk mengisi`);
+  commitWorkspace(`Tabel baru ${n} variabel`);
+});
+
+// Make the current function's truth table editable
+bindEvent(els.btnTTEdit, 'click', () => {
+  hideMessages();
+  
+  if (currentTable) {
+    showSuccess('Tabel kebenaran sudah dapat diedit — klik kolom Y');
+    return;
+  }
+  
+  let vars = null;
+  let cells = null;
+  if (currentOutputs) {
+    vars = currentOutputs.vars;
+    cells = currentOutputs.cells[currentOutputs.active].slice();
+  } else if (currentRPN && currentVars.length > MAX_VARS) {
+    vars = currentVars;
+    cells = buildTruthTable(currentVars, currentRPN).map(r => r.y);
+  } else if (currentKMap.layout && currentKMap.n > 0) {
+    vars = currentKMap.vars;
+    cells = currentKMap.cells.slice();
+  }
+  
+  if (!vars) {
+    showError('Belum ada fungsi — evaluasi ekspresi atau buat tabel baru terlebih dahulu');
+    return;
+  }
+  startTableDefinition(vars, cells);
+  showSuccess('Tabel kebenaran dapat diedit — klik kolom Y untuk mengubah nilai');
+  commitWorkspace('Edit tabel kebenaran');
+});
+
+// Editable truth table: click a Y cell to cycle 0 → 1 → d
+bindEvent(els.ttBody, 'click', (e) => {
+  const td = e.target.closest('td.ycell');
+  if (!td || !currentTable) return;
+  
+  const m = Number(td.dataset.m);
+  const val = currentTable.cells[m];
+  currentTable.cells[m] = val === 0 ? 1 : (val === 1 ? 'd' : 0);
+  updateTableRow(m);
   
   if (currentKMap.layout) {
-    simplifyFromKMap();
+    const cell = els.kmap.querySelector(`.kcell[data-index="${m}"]`);
+    if (cell) updateKMapCell(cell, m);
+    clearKMapOverlays();
+  }
+  refreshTableFunction();
+  commitWorkspace(`Tabel m${m} → ${currentTable.cells[m]}`);
+});
+
+// HDL export
+bindEvent(els.btnHDL, 'click', () => {
+  hideMessages();
+  try {
+    if (renderHDL()) showSuccess(`Kode ${currentHDLLang === 'vhdl' ? 'VHDL' : 'Verilog'} berhasil dibuat`);
+    else showError('Belum ada fungsi untuk diekspor');
+  } catch (e) {
+    showError('Gagal membuat kode HDL: ' + e.message);
+  }
+});
+
+bindEvent(els.hdlLang, 'click', (e) => {
+  const btn = e.target.closest('button[data-lang]');
+  if (!btn) return;
+  currentHDLLang = btn.dataset.lang;
+  els.hdlLang.querySelectorAll('button').forEach(b => b.classList.toggle('active', b === btn));
+  if (currentHDLFiles.length) renderHDL();
+});
+
+bindEvent(els.hdlStyle, 'change', () => {
+  if (currentHDLFiles.length) renderHDL();
+});
+
+bindEvent(els.hdlOutput, 'click', (e) => handleExportClick(e, currentHDLFiles));
+
+// LaTeX export
+bindEvent(els.btnLatex, 'click', () => {
+  hideMessages();
+  try {
+    if (renderLatex()) showSuccess('Kode LaTeX berhasil dibuat');
+    else showError('Belum ada fungsi untuk diekspor');
+  } catch (e) {
+    showError('Gagal membuat kode LaTeX: ' + e.message);
   }
 });
 
+bindEvent(els.latexOutput, 'click', (e) => handleExportClick(e, currentLatexFiles));
+
+// Minimization algorithm (Quine-McCluskey / Espresso)
+bindEvent(els.algoMode, 'change', () => {
+  setAlgorithm(els.algoMode.value);
+  
+  simplifyActive();
+  commitWorkspace(`Algoritma: ${ALGORITHM_NAMES[currentAlgorithm]}`);
+});
+
+// Cover method (Petrick / greedy)
+bindEvent(els.coverMode, 'change', () => {
+  currentCover = els.coverMode.value;
+  
+  simplifyActive();
+  commitWorkspace(`Metode cover: ${currentCover === 'exact' ? 'eksak' : 'greedy'}`);
+});
+
 // Theme Toggle
 bindEvent(els.themeToggle, 'click', () => {
   const current = document.body.dataset.theme;
   const newTheme = current === 'dark' ? 'light' : 'dark';
   document.body.dataset.theme = newTheme;
   localStorage.setItem('theme', newTheme);
+  updatePermalink();
   
   showSuccess(`Tema berhasil diubah ke ${newTheme === 'dark' ? 'Dark' : 'Light'} mode`);
   setTimeout(hideMessages, 2000);
 });
 
+// Copy a link that reopens this exact workspace
+bindEvent(els.btnPermalink, 'click', () => {
+  hideMessages();
+  updatePermalink();
+  copyText(location.href);
+});
+
+// A workspace link pasted into the address bar of an open page
+window.addEventListener('hashchange', applyPermalink);
+
+// Undo / redo and jumping to an earlier state
+bindEvent(els.btnUndo, 'click', undoWorkspace);
+bindEvent(els.btnRedo, 'click', redoWorkspace);
+
+bindEvent(els.historyList, 'click', async (e) => {
+  const btn = e.target.closest('button[data-step]');
+  if (btn && await goToHistory(Number(btn.dataset.step))) {
+    showSuccess(`Kembali ke: ${workspaceHistory.entries[workspaceHistory.index].label}`);
+  }
+});
+
+// Identifier Mode Toggle
+function setIdentMode(on) {
+  currentIdentMode = on;
+  els.identMode.checked = on;
+  els.expr.placeholder = on
+    ? "Misal: S1' S0' D0 + En Cin"
+    : "Misal: A'B + AC + B(C^D)";
+}
+
+bindEvent(els.identMode, 'change', () => {
+  setIdentMode(els.identMode.checked);
+  updatePermalink();
+});
+
+// Multi-output evaluation
+bindEvent(els.btnMulti, 'click', () => {
+  hideMessages();
+  
+  try {
+    const { vars, outputs } = parseMultiOutput(els.multiExpr.value, parseOptions());
+    
+    if (vars.length === 0) {
+      showError('Tidak ada variabel yang terdeteksi dalam ekspresi');
+      return;
+    }
+    if (vars.length > MAX_TRUTH_TABLE_VARS) {
+      showError(`Maksimal ${MAX_TRUTH_TABLE_VARS} variabel untuk tabel kebenaran`);
+      return;
+    }
+    
+    const rows = buildMultiTruthTable(vars, outputs.map(o => o.ast));
+    leaveTableDefinition();
+    currentOutputs = {
+      names: outputs.map(o => o.name),
+      vars,
+      cells: outputs.map((_, f) => rows.map(r => r.ys[f])),
+      active: 0
+    };
+    renderMultiOutput();
+    selectOutput(0);
+    
+    showSuccess(`${outputs.length} output dievaluasi pada ${vars.length} variabel: ${vars.join(', ')}`);
+    commitWorkspace(`Multi-output ${outputs.map(o => o.name).join(', ')}`);
+  } catch (e) {
+    showError(e.message);
+  }
+});
+
+// K-Map output tabs
+bindEvent(els.kmapTabs, 'click', (e) => {
+  const btn = e.target.closest('button[data-output]');
+  if (!btn || !currentOutputs) return;
+  selectOutput(Number(btn.dataset.output));
+  updatePermalink();
+});
+
+document.querySelectorAll('.example-btn[data-multi]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    setIdentMode(btn.dataset.ident === '1');
+    els.multiExpr.value = btn.dataset.multi;
+    els.btnMulti.click();
+  });
+});
+
 // Example Buttons
-document.querySelectorAll('.example-btn').forEach(btn => {
+document.querySelectorAll('.example-btn[data-expr]').forEach(btn => {
   btn.addEventListener('click', () => {
+    setIdentMode(btn.dataset.ident === '1');
     els.expr.value = btn.dataset.expr;
     els.btnEval.click();
   });
@@ -1392,6 +2778,12 @@ document.addEventListener('keydown', (e) => {
     } else if (e.key === 'k') {
       e.preventDefault();
       els.expr.focus();
+    } else if (e.key.toLowerCase() === 'z' || e.key.toLowerCase() === 'y') {
+      // Text fields keep their own undo
+      if (e.target instanceof HTMLElement && e.target.matches('textarea, input:not([type="checkbox"])')) return;
+      e.preventDefault();
+      if (e.key.toLowerCase() === 'y' || e.shiftKey) redoWorkspace();
+      else undoWorkspace();
     }
   }
 });
@@ -1409,6 +2801,9 @@ function init() {
   setPills([], [], []);
   updateStats();
   
+  // Restore a shared workspace link; either way this is the first history entry
+  applyPermalink().then(applied => { if (!applied) commitWorkspace('Awal'); });
+  
   // Auto-focus input
   els.expr.focus();
   
@@ -1417,6 +2812,7 @@ function init() {
   console.log('%cKeyboard Shortcuts:', 'font-size: 12px; font-weight: bold; margin-top: 8px;');
   console.log('  Ctrl+Enter: Evaluate expression');
   console.log('  Ctrl+K: Focus input field');
+  console.log('  Ctrl+Z / Ctrl+Y: Undo / redo');
 }
 
 // Run initialization
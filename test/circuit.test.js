@@ -0,0 +1,192 @@
+/* =============================================================================
+   CIRCUIT TESTS — buildCircuit, implicantsToAST, simulateCircuit, circuitToSVG,
+   universalFromAST, twoLevelUniversal, universalToExpr
+   Netlists of random expressions (every operator, constants, shared
+   sub-expressions) are simulated row by row against evalAST, and netlists
+   of minimized covers against the function they were minimized from. The
+   NAND/NOR conversions must use their one gate type only and keep the truth
+   table, both as a netlist and as printed text.
+============================================================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_VAR_NAMES, tokenize, parse, toRPN, evalAST, evalRPN, buildTruthTable, minimizeCells,
+  mkVar, mkConst, mkNot, mkBin,
+  buildCircuit, circuitCost, implicantsToAST, simulateCircuit, circuitToSVG,
+  universalFromAST, twoLevelUniversal, universalToExpr
+} from '../core.js';
+
+/**
+ * Seeded PRNG (mulberry32) so a failing case can be replayed
+ */
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const BINARY = ['AND', 'OR', 'XOR', 'NAND', 'NOR', 'XNOR', 'IMP', 'EQ'];
+const VARS = ['A', 'B', 'C', 'D'];
+
+/**
+ * Random syntax tree over VARS with every binary operator, NOT and constants
+ */
+function randomTree(rand, depth) {
+  const pick = list => list[Math.floor(rand() * list.length)];
+  if (depth === 0 || rand() < 0.25) {
+    return rand() < 0.1 ? mkConst(pick([0, 1])) : mkVar(pick(VARS));
+  }
+  if (rand() < 0.2) return mkNot(randomTree(rand, depth - 1));
+  return mkBin(pick(BINARY), randomTree(rand, depth - 1), randomTree(rand, depth - 1));
+}
+
+function gates(circuit) {
+  return circuit.nodes.filter(n => n.kind === 'gate');
+}
+
+/**
+ * Random cells (0/1/'d' per minterm) on n variables
+ */
+function randomCells(rand, n) {
+  return Array.from({ length: 1 << n }, () => {
+    const r = rand();
+    return r < 0.15 ? 'd' : (r < 0.55 ? 1 : 0);
+  });
+}
+
+/**
+ * Gate levels between the inputs and the output (an input alone is level 0)
+ */
+function depth(circuit, id = circuit.output) {
+  const n = circuit.nodes[id];
+  return n.kind === 'input' ? 0 : 1 + Math.max(...n.inputs.map(i => depth(circuit, i)));
+}
+
+test('random expressions: the netlist computes the expression on every row', () => {
+  const rand = mulberry32(0xc12c);
+  const rows = buildTruthTable(VARS, null);
+  for (let k = 0; k < 300; k++) {
+    const ast = randomTree(rand, 4);
+    const circuit = buildCircuit(ast);
+    for (const { m, env } of rows) {
+      assert.equal(simulateCircuit(circuit, env), evalAST(ast, env), `tree ${JSON.stringify(ast)} at m${m}`);
+    }
+    // IMP and EQ are drawn with the basic gates
+    for (const g of gates(circuit)) {
+      assert.ok(['NOT', 'AND', 'OR', 'XOR', 'NAND', 'NOR', 'XNOR'].includes(g.type), g.type);
+    }
+  }
+});
+
+test('chains are flattened and identical sub-expressions share one gate', () => {
+  const circuitOf = src => buildCircuit(parse(tokenize(src)));
+
+  const chain = circuitOf('ABCD + E');
+  assert.deepEqual(gates(chain).map(g => [g.type, g.inputs.length]), [['AND', 4], ['OR', 2]]);
+  assert.deepEqual(circuitCost(chain), { gates: 2, inputs: 6 });
+
+  // (A + B) is built once and feeds both the NOT and the AND
+  const shared = circuitOf("(A + B)(A + B)'C");
+  assert.equal(gates(shared).filter(g => g.type === 'OR').length, 1);
+  assert.deepEqual(circuitCost(shared), { gates: 3, inputs: 6 });
+
+  // A → B is A' + B
+  const imp = circuitOf('A -> B');
+  assert.deepEqual(gates(imp).map(g => g.type).sort(), ['NOT', 'OR']);
+  assert.deepEqual(circuitCost(circuitOf('A')), { gates: 0, inputs: 0 });
+});
+
+test('implicantsToAST: the two-level circuit of a minimized cover matches the function', () => {
+  const rand = mulberry32(0x2b1);
+  for (let n = 1; n <= 5; n++) {
+    const vars = DEFAULT_VAR_NAMES.slice(0, n);
+    const rows = buildTruthTable(vars, null);
+    for (let k = 0; k < 20; k++) {
+      const cells = randomCells(rand, n);
+      for (const mode of ['SOP', 'POS']) {
+        const res = minimizeCells(vars, cells, mode);
+        const circuit = buildCircuit(implicantsToAST(res.implicants, vars, mode));
+        for (const { m, env } of rows) {
+          if (cells[m] === 'd') continue;
+          assert.equal(simulateCircuit(circuit, env), cells[m], `${mode} ${res.result} at m${m}`);
+        }
+      }
+    }
+  }
+  // Empty covers are the constants
+  const vars = ['A', 'B'];
+  assert.equal(simulateCircuit(buildCircuit(implicantsToAST([], vars, 'SOP')), { A: 1, B: 1 }), 0);
+  assert.equal(simulateCircuit(buildCircuit(implicantsToAST([], vars, 'POS')), { A: 0, B: 0 }), 1);
+  assert.equal(simulateCircuit(buildCircuit(implicantsToAST(['--'], vars, 'SOP')), { A: 0, B: 0 }), 1);
+});
+
+test('circuitToSVG draws every input, gate and the output label', () => {
+  const circuit = buildCircuit(parse(tokenize("A'B + (B ⊕ C)D")));
+  const svg = circuitToSVG(circuit, ['A', 'B', 'C', 'D'], 'Y');
+  assert.match(svg, /^<svg [^>]*viewBox="0 0 \d+(\.\d+)? \d+(\.\d+)?"/);
+  assert.match(svg, /<\/svg>$/);
+  for (const label of ['A', 'B', 'C', 'D', 'Y']) assert.match(svg, new RegExp(`>${label}<`), label);
+  // One body per gate: NOT, AND, XOR, AND, OR
+  assert.equal(gates(circuit).length, 5);
+  assert.equal((svg.match(/<path class="gate"/g) || []).length, 5);
+});
+
+test('universalFromAST: NAND-only and NOR-only netlists of random expressions', () => {
+  const rand = mulberry32(0x7400);
+  const rows = buildTruthTable(VARS, null);
+  for (let k = 0; k < 200; k++) {
+    const ast = randomTree(rand, 4);
+    for (const type of ['NAND', 'NOR']) {
+      const circuit = universalFromAST(ast, type);
+      for (const g of gates(circuit)) {
+        assert.equal(g.type, type);
+        assert.equal(g.inputs.length, 2, `${type} gates have two inputs`);
+      }
+      // The text is left out (null) when nested NAND/NOR forms get too long to read
+      const text = universalToExpr(circuit, VARS);
+      const rpn = text === null ? null : toRPN(tokenize(text));
+      for (const { m, env } of rows) {
+        const want = evalAST(ast, env);
+        assert.equal(simulateCircuit(circuit, env), want, `${type} netlist at m${m}`);
+        if (rpn) assert.equal(evalRPN(rpn, env), want, `${type} text "${text}" at m${m}`);
+      }
+    }
+  }
+  // Double negations cancel instead of costing two inverters
+  assert.deepEqual(circuitCost(universalFromAST(parse(tokenize("A''")), 'NAND')), { gates: 0, inputs: 0 });
+  assert.equal(universalToExpr(universalFromAST(parse(tokenize('AB')), 'NAND'), ['A', 'B']), '(A ↑ B) ↑ (A ↑ B)');
+});
+
+test('twoLevelUniversal: NAND-NAND from SOP and NOR-NOR from POS keep the function', () => {
+  const rand = mulberry32(0x7402);
+  for (let n = 1; n <= 5; n++) {
+    const vars = DEFAULT_VAR_NAMES.slice(0, n);
+    const rows = buildTruthTable(vars, null);
+    for (let k = 0; k < 20; k++) {
+      const cells = randomCells(rand, n);
+      for (const [mode, type] of [['SOP', 'NAND'], ['POS', 'NOR']]) {
+        const res = minimizeCells(vars, cells, mode);
+        const circuit = twoLevelUniversal(res.implicants, vars, mode);
+        assert.ok(gates(circuit).every(g => g.type === type), `${mode} → ${type} only`);
+        // Two levels of gates, plus one level of inverters for complemented literals
+        assert.ok(depth(circuit) <= 3, `${res.result}: ${depth(circuit)} levels`);
+        const text = universalToExpr(circuit, vars);
+        const rpn = toRPN(tokenize(text));
+        for (const { m, env } of rows) {
+          if (cells[m] === 'd') continue;
+          assert.equal(simulateCircuit(circuit, env), cells[m], `${type} of ${res.result} at m${m}`);
+          assert.equal(evalRPN(rpn, env), cells[m], `${type} text "${text}" at m${m}`);
+        }
+      }
+    }
+  }
+  // A single product is one NAND and an inverter
+  const vars = ['A', 'B', 'C'];
+  assert.deepEqual(circuitCost(twoLevelUniversal(['11-'], vars, 'SOP')), { gates: 2, inputs: 4 });
+  assert.equal(simulateCircuit(twoLevelUniversal([], vars, 'SOP'), { A: 1, B: 1, C: 1 }), 0);
+  assert.equal(simulateCircuit(twoLevelUniversal(['---'], vars, 'POS'), { A: 1, B: 1, C: 1 }), 0);
+});
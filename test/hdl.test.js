@@ -0,0 +1,151 @@
+/* =============================================================================
+   HDL TESTS — generateHDL, generateTestbench, hdlNames
+   The generated Verilog / VHDL is read back: assign expressions are turned
+   into this simulator's syntax and evaluated on every row, case tables and
+   testbench vectors are compared with buildTruthTable, and every name must
+   be a legal, unique, non-reserved identifier.
+============================================================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_VAR_NAMES, tokenize, toRPN, evalRPN, buildTruthTable, minimizeCells,
+  generateHDL, generateTestbench, hdlNames
+} from '../core.js';
+
+/**
+ * Seeded PRNG (mulberry32) so a failing case can be replayed
+ */
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Spec as the page builds it: every output minimized in the same mode
+ */
+function makeSpec(inputs, columns, mode = 'SOP') {
+  return {
+    module: 'uji',
+    inputs,
+    mode,
+    outputs: columns.map(([name, cells]) => ({ name, cells, implicants: minimizeCells(inputs, cells, mode).implicants }))
+  };
+}
+
+/**
+ * Random output columns with don't cares
+ */
+function randomColumns(rand, n, count) {
+  return Array.from({ length: count }, (_, f) => [`F${f}`, Array.from({ length: 1 << n }, () => {
+    const r = rand();
+    return r < 0.15 ? 'd' : (r < 0.55 ? 1 : 0);
+  })]);
+}
+
+/**
+ * Right-hand sides of the continuous assignments, by output name
+ */
+function assignments(src, lang) {
+  const re = lang === 'verilog' ? /^ {4}assign (\w+) = (.*);$/gm : /^ {4}(\w+) <= (.*);$/gm;
+  return new Map([...src.matchAll(re)].map(m => [m[1], m[2]]));
+}
+
+/**
+ * An HDL expression in this simulator's syntax (~ & | and 0/1 constants)
+ */
+function toSimulatorSyntax(expr, lang) {
+  if (lang === 'verilog') return expr.replace(/1'b([01])/g, '$1');
+  return expr.replace(/'([01])'/g, '$1').replace(/\bnot /g, '~').replace(/ and /g, ' & ').replace(/ or /g, ' | ');
+}
+
+test('assign style: every output expression computes its column on every care row', () => {
+  const rand = mulberry32(0x4d1);
+  for (const lang of ['verilog', 'vhdl']) {
+    for (let n = 1; n <= 5; n++) {
+      const vars = DEFAULT_VAR_NAMES.slice(0, n);
+      for (const mode of ['SOP', 'POS']) {
+        const spec = makeSpec(vars, randomColumns(rand, n, 2), mode);
+        const exprs = assignments(generateHDL(spec, { lang, style: 'assign' }), lang);
+        assert.equal(exprs.size, 2);
+        for (const o of spec.outputs) {
+          const text = toSimulatorSyntax(exprs.get(o.name), lang);
+          const rpn = toRPN(tokenize(text));
+          for (const { m, env } of buildTruthTable(vars, null)) {
+            if (o.cells[m] === 'd') continue;
+            assert.equal(evalRPN(rpn, env), o.cells[m], `${lang} ${mode} ${o.name} = ${text} at m${m}`);
+          }
+        }
+      }
+    }
+  }
+});
+
+test('case style: one branch per row with the truth-table value', () => {
+  const cells = [1, 0, 'd', 1, 0, 0, 1, 'd'];
+  const spec = makeSpec(['A', 'B', 'C'], [['F', cells]]);
+
+  const verilog = generateHDL(spec, { lang: 'verilog', style: 'case' });
+  const vBranches = [...verilog.matchAll(/^ {12}3'b([01]{3}): F = 1'b([01x]);$/gm)];
+  assert.deepEqual(vBranches.map(b => parseInt(b[1], 2)), [0, 1, 2, 3, 4, 5, 6, 7]);
+  assert.equal(vBranches.map(b => b[2]).join(''), '10x1001x');
+  assert.match(verilog, /output reg {2}F/);
+
+  const vhdl = generateHDL(spec, { lang: 'vhdl', style: 'case' });
+  const hBranches = [...vhdl.matchAll(/^ {12}when "([01]{3})" => F <= '([01-])';$/gm)];
+  assert.deepEqual(hBranches.map(b => parseInt(b[1], 2)), [0, 1, 2, 3, 4, 5, 6, 7]);
+  assert.equal(hBranches.map(b => b[2]).join(''), '10-1001-');
+  assert.match(vhdl, /when others => F <= 'X';/);
+});
+
+test('testbench: expected vectors are the truth table of every output', () => {
+  const vars = ['A', 'B', 'C', 'D'];
+  const sources = ["A'B + AC + BD'", 'A ⊕ B ⊕ C ⊕ D', 'AB -> CD'];
+  const columns = sources.map((src, f) => [`Y${f}`, buildTruthTable(vars, toRPN(tokenize(src))).map(r => r.y)]);
+  columns[0][1][5] = 'd';
+  const spec = makeSpec(vars, columns);
+  const names = hdlNames(spec, 'verilog');
+
+  const verilog = generateTestbench(spec, { lang: 'verilog' });
+  spec.outputs.forEach((o, f) => {
+    const m = verilog.match(new RegExp(`localparam \\[0:15\\] ${names.tables[f]} = 16'b([01x]{16});`));
+    assert.ok(m, `vector of ${o.name}`);
+    assert.equal(m[1], o.cells.map(c => (c === 'd' ? 'x' : c)).join(''));
+  });
+  assert.match(verilog, /for \(i = 0; i < 16; i = i \+ 1\)/);
+  assert.match(verilog, /uji dut \(\.A\(A\), \.B\(B\), \.C\(C\), \.D\(D\), \.Y0\(Y0\), \.Y1\(Y1\), \.Y2\(Y2\)\);/);
+
+  const vhdl = generateTestbench(spec, { lang: 'vhdl' });
+  spec.outputs.forEach((o, f) => {
+    const m = vhdl.match(new RegExp(`constant ${hdlNames(spec, 'vhdl').tables[f]} : std_logic_vector\\(0 to 15\\) := "([01-]{16})";`));
+    assert.ok(m, `vector of ${o.name}`);
+    assert.equal(m[1], o.cells.map(c => (c === 'd' ? '-' : c)).join(''));
+  });
+  assert.match(vhdl, /for i in 0 to 15 loop/);
+});
+
+test('names: legal, unique and never a reserved word', () => {
+  const spec = {
+    module: 'module',
+    inputs: ['in', 'A b', '1x', 'dut', 'I'],
+    outputs: [{ name: 'out' }, { name: 'F' }, { name: 'f' }]
+  };
+  const legal = { verilog: /^[A-Za-z_][A-Za-z0-9_]*$/, vhdl: /^[A-Za-z](_?[A-Za-z0-9])*$/ };
+  // Keywords of each language plus the testbench's own instance and loop names
+  const taken = { verilog: ['module', 'dut', 'i'], vhdl: ['in', 'out', 'dut', 'i'] };
+  for (const lang of ['verilog', 'vhdl']) {
+    const names = hdlNames(spec, lang);
+    const all = [names.module, names.tb, ...names.inputs, ...names.outputs, ...names.tables];
+    const key = s => (lang === 'vhdl' ? s.toLowerCase() : s);
+    for (const name of all) assert.match(name, legal[lang], `${lang}: ${name}`);
+    assert.equal(new Set(all.map(key)).size, all.length, `${lang}: ${all.join(' ')}`);
+    assert.ok(!all.map(key).some(s => taken[lang].includes(s)), `${lang}: ${all.join(' ')}`);
+  }
+  // Verilog is case-sensitive, VHDL is not
+  assert.deepEqual(hdlNames(spec, 'verilog').outputs, ['out', 'F', 'f']);
+  assert.deepEqual(hdlNames(spec, 'vhdl').outputs, ['out_1', 'F', 'f_1']);
+});
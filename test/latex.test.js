@@ -0,0 +1,157 @@
+/* =============================================================================
+   LATEX TESTS — latexExport
+   The exported truth table and TikZ K-Map are read back cell by cell, the
+   overlined result is turned into this simulator's syntax and evaluated on
+   every row, and the document must be complete with balanced environments.
+============================================================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_VAR_NAMES, tokenize, toRPN, evalRPN, buildTruthTable, minimizeCells, latexExport, GROUP_COLORS
+} from '../core.js';
+
+/**
+ * Seeded PRNG (mulberry32) so a failing case can be replayed
+ */
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random cells (0/1/'d' per minterm) on n variables
+ */
+function randomCells(rand, n) {
+  return Array.from({ length: 1 << n }, () => {
+    const r = rand();
+    return r < 0.15 ? 'd' : (r < 0.55 ? 1 : 0);
+  });
+}
+
+/**
+ * Spec as the page builds it: every output minimized in the same mode
+ */
+function makeSpec(inputs, columns, mode = 'SOP') {
+  return {
+    inputs,
+    mode,
+    outputs: columns.map(([name, cells]) => ({ name, cells, implicants: minimizeCells(inputs, cells, mode).implicants }))
+  };
+}
+
+/**
+ * Right-hand side of a display-math result in this simulator's syntax
+ */
+function resultToExpr(line) {
+  return line
+    .replace(/^\\\[ .*? = (.*) \\\]$/, '$1')
+    .replace(/\\overline\{(\\mathit\{\w+\}|\w)\}/g, "$1'")
+    .replace(/\\mathit\{(\w+)\}/g, '$1')
+    .replace(/\\_/g, '_')
+    .replace(/\\,/g, ' ');
+}
+
+test('truth table: one row per minterm, longtable above 32 rows', () => {
+  const rand = mulberry32(0x1a7e);
+  for (let n = 1; n <= 6; n++) {
+    const vars = DEFAULT_VAR_NAMES.slice(0, n);
+    const columns = [['F', randomCells(rand, n)], ['G', randomCells(rand, n)]];
+    const { table } = latexExport(makeSpec(vars, columns));
+    const env = n <= 5 ? 'tabular' : 'longtable';
+    assert.ok(table.startsWith(`\\begin{${env}}{${'c'.repeat(n)}|cc|r}`), `${n} variables: ${env}`);
+    assert.ok(table.endsWith(`\\end{${env}}`));
+    assert.equal(table.includes('\\endhead'), env === 'longtable');
+
+    const rows = [...table.matchAll(/^ {2}([01d &]+) & (\d+) \\\\$/gm)];
+    assert.equal(rows.length, 1 << n);
+    rows.forEach(([, cellsText, m], i) => {
+      assert.equal(Number(m), i);
+      const want = [...i.toString(2).padStart(n, '0'), columns[0][1][i], columns[1][1][i]].join(' & ');
+      assert.equal(cellsText, want, `row ${i}`);
+    });
+  }
+});
+
+test('result: the overlined cover computes every output on its care rows', () => {
+  const rand = mulberry32(0x1a7f);
+  for (let n = 1; n <= 6; n++) {
+    const vars = DEFAULT_VAR_NAMES.slice(0, n);
+    for (const mode of ['SOP', 'POS']) {
+      const spec = makeSpec(vars, [['F', randomCells(rand, n)], ['G', randomCells(rand, n)]], mode);
+      const lines = latexExport(spec).result.split('\n');
+      assert.equal(lines.length, 2);
+      spec.outputs.forEach((o, f) => {
+        assert.ok(lines[f].startsWith(`\\[ ${o.name} = `), lines[f]);
+        const text = resultToExpr(lines[f]);
+        const rpn = toRPN(tokenize(text));
+        for (const { m, env } of buildTruthTable(vars, null)) {
+          if (o.cells[m] === 'd') continue;
+          assert.equal(evalRPN(rpn, env), o.cells[m], `${mode} ${text} at m${m}`);
+        }
+      });
+    }
+  }
+
+  // Multi-character names are italic words separated by a thin space
+  const vars = ['S0', 'S1', 'En'];
+  const cells = buildTruthTable(vars, toRPN(tokenize("S0 S1' + En", { identifiers: true }))).map(r => r.y);
+  const [line] = latexExport(makeSpec(vars, [['Out', cells]])).result.split('\n');
+  assert.match(line, /^\\\[ \\mathit\{Out\} = /);
+  const rpn = toRPN(tokenize(resultToExpr(line), { identifiers: true }));
+  for (const { m, env } of buildTruthTable(vars, null)) assert.equal(evalRPN(rpn, env), cells[m], `m${m}`);
+});
+
+test('K-Map: every minterm appears once with its value, every group is drawn', () => {
+  const rand = mulberry32(0x1a80);
+  for (let n = 2; n <= 6; n++) {
+    const vars = DEFAULT_VAR_NAMES.slice(0, n);
+    const cells = randomCells(rand, n);
+    const spec = makeSpec(vars, [['F', cells]]);
+    const { kmap } = latexExport(spec);
+    assert.ok(kmap.includes('\\begin{tikzpicture}') && kmap.endsWith('\\end{tikzpicture}'));
+
+    // Each cell is a value node followed by its grey minterm index
+    const seen = new Map();
+    for (const [, value, idx] of kmap.matchAll(/\\node at \([^)]*\) \{\$([01d])\$\};\n {4}\\node\[font=\\tiny, text=gray\] at \([^)]*\) \{(\d+)\};/g)) {
+      assert.ok(!seen.has(Number(idx)), `m${idx} drawn twice`);
+      seen.set(Number(idx), value);
+    }
+    assert.equal(seen.size, 1 << n);
+    for (const [m, value] of seen) assert.equal(value, String(cells[m]), `m${m}`);
+
+    // Group i is drawn in color kmapg(i mod palette), at least one piece each
+    spec.outputs[0].implicants.forEach((mask, i) => {
+      assert.match(kmap, new RegExp(`\\\\draw\\[kmapg${i % GROUP_COLORS.length}, very thick`), `group ${mask}`);
+    });
+    const loops = (kmap.match(/\\draw\[kmapg\d+, very thick/g) || []).length;
+    assert.ok(loops >= spec.outputs[0].implicants.length);
+  }
+
+  // Above six variables there is no K-Map, only a note
+  const vars = DEFAULT_VAR_NAMES.slice(0, 7);
+  const { kmap } = latexExport(makeSpec(vars, [['F', randomCells(rand, 7)]]));
+  assert.match(kmap, /^% K-Map hanya tersedia hingga 6 variabel$/);
+});
+
+test('document: preamble, one section per part and balanced environments', () => {
+  const vars = ['A', 'B', 'C'];
+  const spec = makeSpec(vars, [['F', [0, 1, 1, 'd', 0, 1, 1, 0]], ['G', [1, 1, 0, 0, 1, 0, 0, 1]]]);
+  const { document, table, result } = latexExport(spec);
+  assert.ok(document.includes('\\documentclass{article}'));
+  for (const pkg of ['amsmath', 'tikz', 'longtable']) assert.ok(document.includes(`\\usepackage{${pkg}}`), pkg);
+  assert.ok(document.includes(table) && document.includes(result));
+  assert.match(document, /\\subsection\*\{\$F\$\}[\s\S]*\\subsection\*\{\$G\$\}/);
+  assert.ok(document.trimEnd().endsWith('\\end{document}'));
+
+  const stack = [];
+  for (const [, kind, env] of document.matchAll(/\\(begin|end)\{(\w+)\}/g)) {
+    if (kind === 'begin') stack.push(env);
+    else assert.equal(stack.pop(), env);
+  }
+  assert.deepEqual(stack, []);
+});
@@ -0,0 +1,257 @@
+/* =============================================================================
+   PARSER TESTS — tokenize, parse, toRPN, evalAST, evalRPN
+   Golden cases for precedence, implicit AND and postfix NOT, then random
+   expressions checked row by row against a reference evaluator, and their
+   algebraic derivations checked against the Quine-McCluskey result.
+============================================================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ParseError, tokenize, parse, toRPN, astToRPN, evalAST, evalRPN, buildTruthTable, deriveSimplification
+} from '../core.js';
+
+/**
+ * Seeded PRNG (mulberry32) so a failing case can be replayed
+ */
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * RPN of an expression as text, e.g. "A + BC" → "A B C AND OR"
+ */
+function rpnText(src, options) {
+  return toRPN(tokenize(src, options))
+    .map(t => (t.type === 'OP' ? t.value : String(t.value)))
+    .join(' ');
+}
+
+/**
+ * Output column of the truth table as a bit string (row 0 first)
+ */
+function column(src, vars) {
+  return buildTruthTable(vars, toRPN(tokenize(src))).map(r => r.y).join('');
+}
+
+test('operator precedence: NOT > AND, NAND > XOR, XNOR > OR, NOR > IMP > EQ', () => {
+  const cases = [
+    ['A + B C', 'A B C AND OR'],
+    ['A B + C', 'A B AND C OR'],
+    ['A ^ B + C', 'A B XOR C OR'],
+    ['A + B ^ C', 'A B C XOR OR'],
+    ['A B ^ C', 'A B AND C XOR'],
+    ['A ^ B C', 'A B C AND XOR'],
+    ['A == B + C', 'A B XNOR C OR'],
+    ['A ⊙ B ⊕ C', 'A B XNOR C XOR'],
+    ['A ↑ B + C', 'A B NAND C OR'],
+    ['A ↓ B ↑ C', 'A B C NAND NOR'],
+    ['A + B -> C', 'A B OR C IMP'],
+    ['A -> B <-> C', 'A B IMP C EQ'],
+    ['A <-> B -> C', 'A B C IMP EQ'],
+    ['!A B', 'A NOT B AND'],
+    ['!(A B)', 'A B AND NOT'],
+    ['A * B | C & D', 'A B AND C D AND OR'],
+    ['a + b', 'A B OR']
+  ];
+  for (const [src, expected] of cases) assert.equal(rpnText(src), expected, src);
+});
+
+test('associativity: left for AND/OR/XOR/NAND/NOR/EQ, right for IMP', () => {
+  const cases = [
+    ['A ↑ B ↑ C', 'A B NAND C NAND'],
+    ['A ↓ B ↓ C', 'A B NOR C NOR'],
+    ['A ^ B ^ C', 'A B XOR C XOR'],
+    ['A <-> B <-> C', 'A B EQ C EQ'],
+    ['A -> B -> C', 'A B C IMP IMP'],
+    ['A => B → C', 'A B C IMP IMP']
+  ];
+  for (const [src, expected] of cases) assert.equal(rpnText(src), expected, src);
+
+  // (A↑B)↑C and A↑(B↑C) differ, so the grouping is visible in the truth table
+  assert.equal(column('A ↑ B ↑ C', ['A', 'B', 'C']), column('(A ↑ B) ↑ C', ['A', 'B', 'C']));
+  assert.notEqual(column('A ↑ B ↑ C', ['A', 'B', 'C']), column('A ↑ (B ↑ C)', ['A', 'B', 'C']));
+  assert.equal(column('A -> B -> C', ['A', 'B', 'C']), column('A -> (B -> C)', ['A', 'B', 'C']));
+});
+
+test('implicit AND between operands, parentheses, NOT and constants', () => {
+  const cases = [
+    ['AB', 'A B AND'],
+    ['ABC', 'A B AND C AND'],
+    ["A'B'", 'A NOT B NOT AND'],
+    ['A(B + C)', 'A B C OR AND'],
+    ['(A + B)(C + D)', 'A B OR C D OR AND'],
+    ['(A)B', 'A B AND'],
+    ['A !B', 'A B NOT AND'],
+    ['A1', 'A 1 AND'],
+    ['A B ^ C D', 'A B AND C D AND XOR'],
+    ['A ↑ B C', 'A B NAND C AND']
+  ];
+  for (const [src, expected] of cases) assert.equal(rpnText(src), expected, src);
+
+  assert.equal(parse(tokenize('AB')).implicit, true);
+  assert.equal(parse(tokenize('A B')).implicit, true);
+  assert.ok(!parse(tokenize('A*B')).implicit);
+});
+
+test('implicit AND in identifier mode needs whitespace between names', () => {
+  const options = { identifiers: true };
+  assert.equal(rpnText('S0 S1 + En', options), 'S0 S1 AND En OR');
+  assert.equal(rpnText("S0'S1", options), 'S0 NOT S1 AND');
+  assert.equal(rpnText('S0S1', options), 'S0S1');
+  assert.equal(rpnText('Cin(A + B)', options), 'Cin A B OR AND');
+});
+
+test("repeated postfix ' applies to the operand or group just before it", () => {
+  const cases = [
+    ["A''", 'A NOT NOT'],
+    ["A'''", 'A NOT NOT NOT'],
+    ["A’'", 'A NOT NOT'],
+    ["(A + B)''", 'A B OR NOT NOT'],
+    ["A''B", 'A NOT NOT B AND'],
+    ["AB''", 'A B NOT NOT AND'],
+    ["(AB)'", 'A B AND NOT'],
+    ["!A'", 'A NOT NOT']
+  ];
+  for (const [src, expected] of cases) assert.equal(rpnText(src), expected, src);
+
+  assert.equal(column("A''", ['A']), '01');
+  assert.equal(column("A'''", ['A']), '10');
+  assert.equal(column("(A + B)''", ['A', 'B']), column('A + B', ['A', 'B']));
+  assert.equal(column("(AB)'", ['A', 'B']), column("A' + B'", ['A', 'B']));
+});
+
+test('syntax errors are ParseErrors that point at the offending token', () => {
+  const cases = [
+    ['A +', 2],
+    ['A + * B', 2],
+    ['(A + B', 0],
+    ['A + B)', 5],
+    ['A # B', 2],
+    ['', 0]
+  ];
+  for (const [src, pos] of cases) {
+    assert.throws(() => parse(tokenize(src)), (e) => e instanceof ParseError && e.pos === pos, src);
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Random expressions against a reference evaluator
+// ---------------------------------------------------------------------------
+
+const OPS = {
+  AND:  { prec: 5, right: false, spell: ['', ' ', '*', '&', '∧', '·'], fn: (a, b) => a & b },
+  NAND: { prec: 5, right: false, spell: ['↑', '⊼'], fn: (a, b) => 1 - (a & b) },
+  XOR:  { prec: 4, right: false, spell: ['^', '⊕'], fn: (a, b) => a ^ b },
+  XNOR: { prec: 4, right: false, spell: ['==', '⊙'], fn: (a, b) => 1 - (a ^ b) },
+  OR:   { prec: 3, right: false, spell: ['+', '|', '∨'], fn: (a, b) => a | b },
+  NOR:  { prec: 3, right: false, spell: ['↓', '⊽'], fn: (a, b) => 1 - (a | b) },
+  IMP:  { prec: 2, right: true,  spell: ['->', '=>', '→', '⇒'], fn: (a, b) => (1 - a) | b },
+  EQ:   { prec: 1, right: false, spell: ['<->', '<=>', '↔', '⇔', '≡'], fn: (a, b) => 1 - (a ^ b) }
+};
+const OP_NAMES = Object.keys(OPS);
+const VARS = ['A', 'B', 'C', 'D'];
+
+function randomTree(rand, depth) {
+  const pick = list => list[Math.floor(rand() * list.length)];
+  if (depth === 0 || rand() < 0.25) {
+    return rand() < 0.1 ? { type: 'num', value: pick([0, 1]) } : { type: 'var', name: pick(VARS) };
+  }
+  if (rand() < 0.2) return { type: 'not', arg: randomTree(rand, depth - 1), postfix: rand() < 0.5 };
+  return { type: 'bin', op: pick(OP_NAMES), left: randomTree(rand, depth - 1), right: randomTree(rand, depth - 1) };
+}
+
+function reference(node, env) {
+  switch (node.type) {
+    case 'num': return node.value;
+    case 'var': return env[node.name];
+    case 'not': return 1 - reference(node.arg, env);
+    default: return OPS[node.op].fn(reference(node.left, env), reference(node.right, env));
+  }
+}
+
+/**
+ * Print a tree using only the parentheses the precedence table requires,
+ * with a random spelling for each operator
+ */
+function printMinimal(node, rand) {
+  const pick = list => list[Math.floor(rand() * list.length)];
+  const wrap = (child, needed) => {
+    const text = printMinimal(child, rand);
+    return needed ? `(${text})` : text;
+  };
+
+  switch (node.type) {
+    case 'num': return String(node.value);
+    case 'var': return node.name;
+    case 'not': {
+      const arg = wrap(node.arg, node.arg.type === 'bin');
+      return node.postfix ? `${arg}'` : `!${arg}`;
+    }
+    default: {
+      const { prec, right } = OPS[node.op];
+      const precOf = n => (n.type === 'bin' ? OPS[n.op].prec : Infinity);
+      const left = wrap(node.left, precOf(node.left) < prec || (right && precOf(node.left) === prec));
+      const rightText = wrap(node.right, precOf(node.right) < prec || (!right && precOf(node.right) === prec));
+      let spell = pick(OPS[node.op].spell);
+      // Juxtaposition needs a separator after a constant or before one (A 1, 1 A)
+      if (spell === '' && (/[01]$/.test(left) || /^[01]/.test(rightText))) spell = ' ';
+      return `${left}${spell.trim() ? ` ${spell} ` : spell}${rightText}`;
+    }
+  }
+}
+
+function printFull(node) {
+  switch (node.type) {
+    case 'num': return String(node.value);
+    case 'var': return node.name;
+    case 'not': return `~(${printFull(node.arg)})`;
+    default: return `(${printFull(node.left)} ${OPS[node.op].spell.at(-1)} ${printFull(node.right)})`;
+  }
+}
+
+test('random expressions: minimal-parentheses and fully parenthesised text evaluate like the tree', () => {
+  const rand = mulberry32(0x5eed);
+  const rows = buildTruthTable(VARS, null);
+  for (let k = 0; k < 400; k++) {
+    const tree = randomTree(rand, 4);
+    for (const src of [printMinimal(tree, rand), printFull(tree)]) {
+      const tokens = tokenize(src);
+      const ast = parse(tokens);
+      const rpn = toRPN(tokens);
+      const rpnFromAst = astToRPN(ast);
+
+      for (const { m, env } of rows) {
+        const want = reference(tree, env);
+        assert.equal(evalAST(ast, env), want, `evalAST "${src}" at m${m}`);
+        assert.equal(evalRPN(rpn, env), want, `evalRPN "${src}" at m${m}`);
+        assert.equal(evalRPN(rpnFromAst, env), want, `astToRPN "${src}" at m${m}`);
+      }
+    }
+  }
+});
+
+test('random expressions: the derivation reaches the QM result on its own', () => {
+  const rand = mulberry32(0xd3a1);
+  let derived = 0;
+  for (let k = 0; k < 150; k++) {
+    const src = printFull(randomTree(rand, 3));
+    let d;
+    try {
+      d = deriveSimplification(parse(tokenize(src)), VARS);
+    } catch {
+      continue;   // over the step limit
+    }
+    // The final line is the derived terms, so it only equals the target if
+    // the laws actually got there (not just reordered onto it)
+    assert.ok(d.verified, `"${src}" → ${d.final}`);
+    assert.equal(d.final, d.target, `"${src}"`);
+    derived++;
+  }
+  assert.ok(derived > 100, `only ${derived} derivations within the step limit`);
+});
@@ -0,0 +1,285 @@
+/* =============================================================================
+   MINIMIZER TESTS — qmSimplify (SOP & POS), checked by brute force
+   Random functions with don't cares: every result must agree with the
+   function on every care row, both as implicant masks and as printed text.
+   The integer-cube qmSimplify must also give exactly what the string-based
+   qmSimplifyClassic gives, trace included; espressoSimplify must give a
+   correct, prime and irredundant cover. runJob, the page's worker job, must
+   minimize a 7-8 variable expression to a cover of its own truth table.
+============================================================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_VAR_NAMES, MAX_QM_VARS, tokenize, toRPN, evalRPN, qmSimplify, qmSimplifyClassic, espressoSimplify,
+  minimizeTerms, buildTruthTable, runJob, runComparison
+} from '../core.js';
+
+/**
+ * Seeded PRNG (mulberry32) so a failing case can be replayed
+ */
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random cells (0/1/'d' per minterm) with the given share of ones and don't cares
+ */
+function randomCells(rand, n, pOne, pDc) {
+  return Array.from({ length: 1 << n }, () => {
+    const r = rand();
+    return r < pDc ? 'd' : (r < pDc + pOne ? 1 : 0);
+  });
+}
+
+/**
+ * True if row m lies in the cube of an implicant mask such as '1-0'
+ */
+function inCube(mask, m) {
+  const n = mask.length;
+  for (let i = 0; i < n; i++) {
+    const bit = (m >> (n - 1 - i)) & 1;
+    if (mask[i] !== '-' && Number(mask[i]) !== bit) return false;
+  }
+  return true;
+}
+
+/**
+ * Minimize cells in one mode; in POS mode the terms passed to qmSimplify are the zeros
+ */
+function minimize(cells, vars, mode, cover = 'exact', options = {}, simplify = qmSimplify) {
+  const target = mode === 'SOP' ? 1 : 0;
+  const terms = [];
+  const dontcares = [];
+  cells.forEach((c, m) => {
+    if (c === 'd') dontcares.push(m);
+    else if (c === target) terms.push(m);
+  });
+  return simplify(terms, dontcares, vars, mode, { cover, ...options });
+}
+
+/**
+ * Check a result against the function on every care row:
+ * - the implicant masks (SOP: F = 1 inside some cube; POS: F = 0 inside some cube)
+ * - the printed expression, parsed and evaluated again
+ * - every implicant is prime: freeing any fixed bit would cover a forbidden row
+ */
+function assertMatches(res, cells, vars, mode, label) {
+  const target = mode === 'SOP' ? 1 : 0;
+  const rpn = toRPN(tokenize(res.result));
+  const rows = buildTruthTable(vars, null);
+
+  for (const { m, env } of rows) {
+    if (cells[m] === 'd') continue;
+    const inside = res.implicants.some(mask => inCube(mask, m));
+    const viaMasks = mode === 'SOP' ? Number(inside) : Number(!inside);
+    assert.equal(viaMasks, cells[m], `${label}: implicants give ${viaMasks} at m${m}`);
+    assert.equal(evalRPN(rpn, env), cells[m], `${label}: "${res.result}" gives ${1 - cells[m]} at m${m}`);
+  }
+
+  for (const mask of res.implicants) {
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i] === '-') continue;
+      const wider = mask.slice(0, i) + '-' + mask.slice(i + 1);
+      const forbidden = cells.some((c, m) => c !== 'd' && c !== target && inCube(wider, m));
+      assert.ok(forbidden, `${label}: implicant ${mask} is not prime (${wider} is also an implicant)`);
+    }
+  }
+}
+
+test('constant and trivial functions', () => {
+  const vars = ['A', 'B', 'C'];
+  const cases = [
+    [[0, 0, 0, 0, 0, 0, 0, 0], '0', '0'],
+    [[1, 1, 1, 1, 1, 1, 1, 1], '1', '1'],
+    [['d', 'd', 'd', 'd', 'd', 'd', 'd', 'd'], '0', '1'],
+    [[0, 0, 0, 0, 1, 1, 1, 1], 'A', '(A)'],
+    [[1, 1, 1, 1, 'd', 'd', 'd', 'd'], '1', '1']
+  ];
+  for (const [cells, sop, pos] of cases) {
+    assert.equal(minimize(cells, vars, 'SOP').result, sop, `SOP of ${cells.join('')}`);
+    assert.equal(minimize(cells, vars, 'POS').result, pos, `POS of ${cells.join('')}`);
+    assertMatches(minimize(cells, vars, 'SOP'), cells, vars, 'SOP', cells.join(''));
+    assertMatches(minimize(cells, vars, 'POS'), cells, vars, 'POS', cells.join(''));
+  }
+});
+
+test('known minimal forms', () => {
+  const vars = ['A', 'B', 'C', 'D'];
+  const f = (ones, dcs = []) => {
+    const cells = new Array(16).fill(0);
+    ones.forEach(m => { cells[m] = 1; });
+    dcs.forEach(m => { cells[m] = 'd'; });
+    return cells;
+  };
+
+  // Four corners of a 4-variable K-Map
+  assert.equal(minimize(f([0, 2, 8, 10]), vars, 'SOP').result, "B'D'");
+  // Classic textbook example with don't cares: Σm(1,3,7,11,15) + d(0,2,5) = CD + A'B'
+  const res = minimize(f([1, 3, 7, 11, 15], [0, 2, 5]), vars, 'SOP');
+  assert.deepEqual(res.implicants.slice().sort(), ['--11', '00--']);
+  assert.equal(res.exact, true);
+  // Cyclic chart with no essential prime implicants still gets a minimal cover
+  const cyclic = minimize([1, 1, 1, 0, 0, 1, 1, 1], ['A', 'B', 'C'], 'SOP');
+  assert.equal(cyclic.implicants.length, 3);
+  assert.equal(cyclic.exact, true);
+});
+
+test('random functions with don\'t cares: SOP and POS match every care row (1-6 variables)', () => {
+  const rand = mulberry32(20241);
+  for (let n = 1; n <= 6; n++) {
+    const vars = DEFAULT_VAR_NAMES.slice(0, n);
+    for (let k = 0; k < 40; k++) {
+      const cells = randomCells(rand, n, 0.35 + 0.3 * rand(), 0.25 * rand());
+      const label = `n=${n} #${k} ${cells.join('')}`;
+
+      const sop = minimize(cells, vars, 'SOP');
+      const pos = minimize(cells, vars, 'POS');
+      assertMatches(sop, cells, vars, 'SOP', `SOP ${label}`);
+      assertMatches(pos, cells, vars, 'POS', `POS ${label}`);
+
+      // A proven-minimal cover never uses more terms than the greedy one
+      const greedy = minimize(cells, vars, 'SOP', 'greedy');
+      assertMatches(greedy, cells, vars, 'SOP', `greedy ${label}`);
+      if (sop.exact) assert.ok(sop.implicants.length <= greedy.implicants.length, `exact > greedy: ${label}`);
+    }
+  }
+});
+
+test('random functions with don\'t cares: SOP and POS match every care row (7-8 variables)', () => {
+  const rand = mulberry32(77);
+  for (const n of [7, 8]) {
+    const vars = DEFAULT_VAR_NAMES.slice(0, n);
+    for (let k = 0; k < 4; k++) {
+      const cells = randomCells(rand, n, 0.4, 0.1);
+      const label = `n=${n} #${k}`;
+      assertMatches(minimize(cells, vars, 'SOP'), cells, vars, 'SOP', `SOP ${label}`);
+      assertMatches(minimize(cells, vars, 'POS'), cells, vars, 'POS', `POS ${label}`);
+    }
+  }
+});
+
+test('qmSimplify matches qmSimplifyClassic exactly, trace included (1-7 variables)', () => {
+  const rand = mulberry32(4242);
+  for (let n = 1; n <= 7; n++) {
+    const vars = DEFAULT_VAR_NAMES.slice(0, n);
+    for (let k = 0; k < (n <= 5 ? 30 : 6); k++) {
+      const cells = randomCells(rand, n, 0.2 + 0.5 * rand(), 0.3 * rand());
+      for (const mode of ['SOP', 'POS']) {
+        for (const cover of ['exact', 'greedy']) {
+          const label = `${mode} ${cover} n=${n} #${k} ${cells.join('')}`;
+          assert.deepEqual(
+            minimize(cells, vars, mode, cover, { trace: true }),
+            minimize(cells, vars, mode, cover, { trace: true }, qmSimplifyClassic),
+            label
+          );
+        }
+      }
+    }
+  }
+});
+
+test('10-16 variables', () => {
+  const rand = mulberry32(1016);
+  for (const n of [10, 12]) {
+    const vars = DEFAULT_VAR_NAMES.slice(0, n);
+    const cells = randomCells(rand, n, 0.4, 0.1);
+    assertMatches(minimize(cells, vars, 'SOP'), cells, vars, 'SOP', `SOP n=${n}`);
+    assertMatches(minimize(cells, vars, 'POS', 'greedy'), cells, vars, 'POS', `POS greedy n=${n}`);
+  }
+
+  // 16 variables: the first 256 minterms (A..H all 0) plus all-ones
+  const vars = DEFAULT_VAR_NAMES.slice(0, MAX_QM_VARS);
+  const terms = [...Array.from({ length: 256 }, (_, m) => m), 65535];
+  const res = qmSimplify(terms, [], vars, 'SOP');
+  assert.equal(res.result, "A'B'C'D'E'F'G'H' + ABCDEFGHIJKLMNOP");
+  assert.equal(res.exact, true);
+
+  assert.throws(() => qmSimplify([0], [], [...vars, 'Q'], 'SOP'), /maksimal 16 variabel/);
+});
+
+/**
+ * Every implicant covers some care row that no other implicant covers
+ */
+function assertIrredundant(res, cells, mode, label) {
+  const target = mode === 'SOP' ? 1 : 0;
+  res.implicants.forEach((mask, i) => {
+    const needed = cells.some((c, m) => c === target && inCube(mask, m) &&
+      !res.implicants.some((other, j) => j !== i && inCube(other, m)));
+    assert.ok(needed, `${label}: implicant ${mask} is redundant`);
+  });
+}
+
+test('espressoSimplify: correct, prime and irredundant covers (1-8 variables, 10 variables)', () => {
+  const rand = mulberry32(31337);
+  for (const n of [1, 2, 3, 4, 5, 6, 7, 8, 10]) {
+    const vars = DEFAULT_VAR_NAMES.slice(0, n);
+    for (let k = 0; k < (n <= 6 ? 25 : 3); k++) {
+      const cells = randomCells(rand, n, 0.2 + 0.5 * rand(), 0.25 * rand());
+      for (const mode of ['SOP', 'POS']) {
+        const label = `espresso ${mode} n=${n} #${k}`;
+        const res = minimize(cells, vars, mode, 'exact', {}, espressoSimplify);
+        assertMatches(res, cells, vars, mode, label);
+        assertIrredundant(res, cells, mode, label);
+        assert.equal(res.method, 'espresso');
+      }
+    }
+  }
+});
+
+test('espressoSimplify finds the textbook covers', () => {
+  const vars = ['A', 'B', 'C', 'D'];
+  assert.equal(espressoSimplify([0, 2, 8, 10], [], vars, 'SOP').result, "B'D'");
+  // Σm(1,3,7,11,15) + d(0,2,5): CD plus A'B' or A'D, both 2 terms / 4 literals
+  const res = minimizeTerms([1, 3, 7, 11, 15], [0, 2, 5], vars, 'SOP', { algorithm: 'espresso' });
+  assert.equal(res.implicants.length, 2);
+  assert.equal(res.literals, 4);
+  assert.equal(espressoSimplify([], [3], vars, 'SOP').result, '0');
+  assert.equal(espressoSimplify([], [], vars, 'POS').result, '1');
+});
+
+test('minimizeTerms picks the algorithm and counts literals', () => {
+  const vars = ['A', 'B', 'C'];
+  const qm = minimizeTerms([2, 3, 5, 7], [], vars, 'SOP');
+  assert.equal(qm.algorithm, 'qm');
+  assert.equal(qm.result, "A'B + AC");
+  assert.equal(qm.literals, 4);
+  
+  const espresso = minimizeTerms([2, 3, 5, 7], [], vars, 'SOP', { algorithm: 'espresso' });
+  assert.equal(espresso.algorithm, 'espresso');
+  assert.equal(espresso.method, 'espresso');
+  assert.equal(espresso.literals, 4);
+});
+
+test('runJob evaluates and minimizes 7-8 variable expressions', () => {
+  const cases = [
+    [7, "A ⊕ B ⊕ C + DE'F + G'A"],
+    [8, "AB'C + DEF' + (G ⊕ H) + A'CE'G"],
+    [8, "(A + B')(C -> D)(E ↑ F) + GH'"]
+  ];
+  for (const [n, src] of cases) {
+    const vars = DEFAULT_VAR_NAMES.slice(0, n);
+    const rpn = toRPN(tokenize(src));
+    for (const algorithm of ['qm', 'espresso']) {
+      for (const mode of ['SOP', 'POS']) {
+        const job = { kind: 'evaluate', vars, rpn, minimize: true, algorithm, mode, cover: 'exact', compare: true };
+        const out = runJob(job);
+        assert.deepEqual(out.cells, buildTruthTable(vars, rpn).map(r => r.y), src);
+        assert.equal(out.minimized.algorithm, algorithm);
+        assertMatches(out.minimized, out.cells, vars, mode, `${algorithm} ${mode} ${src}`);
+        // The old implementation is timed only for Quine-McCluskey results
+        const classic = runComparison(job, out.minimized);
+        assert.equal(typeof classic, algorithm === 'qm' ? 'number' : 'object', `${algorithm} comparison`);
+      }
+    }
+  }
+  const vars = DEFAULT_VAR_NAMES.slice(0, 8);
+  const plain = runJob({ kind: 'evaluate', vars, rpn: toRPN(tokenize('AH')), minimize: false });
+  assert.equal(plain.minimized, null);
+  assert.equal(plain.cells.filter(c => c === 1).length, 64);
+});
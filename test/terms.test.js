@@ -0,0 +1,58 @@
+/* =============================================================================
+   TERM LIST TESTS — parseTermInput, termInputWidth
+   The Σm / ΠM / bare-list notations of the import field and the CLI, the
+   range check against the table size and the variable count guessed from
+   the largest index, and an explicit width that rejects larger indices.
+============================================================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTermInput, termInputWidth } from '../core.js';
+
+test('Σm, ΠM and bare lists, with don\'t cares', () => {
+  assert.deepEqual(parseTermInput('Σm(1,3,5) + d(2)', 8),
+    { minterms: [1, 3, 5], dontcares: [2], kind: 'minterm' });
+  assert.deepEqual(parseTermInput('m(5 3 3 1)', 8),
+    { minterms: [1, 3, 5], dontcares: [], kind: 'minterm' });
+  // Maxterms are turned into the minterms of the same function
+  assert.deepEqual(parseTermInput('ΠM(0,4) + d(2)', 8),
+    { minterms: [1, 3, 5, 6, 7], dontcares: [2], kind: 'maxterm' });
+  // A bare list is read as the default kind
+  assert.deepEqual(parseTermInput('0, 4 + d(2)', 8, 'maxterm'),
+    { minterms: [1, 3, 5, 6, 7], dontcares: [2], kind: 'maxterm' });
+  assert.deepEqual(parseTermInput('  7 ', 8).minterms, [7]);
+  assert.deepEqual(parseTermInput('Σm()', 4).minterms, []);
+});
+
+test('indices are plain decimal digits within the table', () => {
+  for (const bad of ['Σm(0x10)', '1e1', '1.0', '-1', 'm(2, +3)', '1,3 + d(0b1)']) {
+    assert.throws(() => parseTermInput(bad, 256), /bukan indeks term yang valid/, bad);
+    assert.throws(() => termInputWidth(bad), /bukan indeks term yang valid/, bad);
+  }
+  assert.throws(() => parseTermInput('Σm(1,8)', 8), /indeks 8 di luar jangkauan 0-7/);
+  assert.throws(() => parseTermInput('1 + d(9)', 8), /indeks 9 di luar jangkauan 0-7/);
+  assert.throws(() => parseTermInput('1,3 + d(3)', 8), /term sekaligus don't care/);
+  assert.throws(() => parseTermInput('', 8), /tidak ada indeks term/);
+});
+
+test('an explicit width bounds the indices at 2^n - 1', () => {
+  // 8 variables: 0-255
+  assert.deepEqual(parseTermInput('Σm(0,255)', 256).minterms, [0, 255]);
+  assert.equal(parseTermInput('ΠM(255)', 256).minterms.length, 255);
+  assert.throws(() => parseTermInput('Σm(256)', 256), /indeks 256 di luar jangkauan 0-255/);
+  assert.throws(() => parseTermInput('1 + d(256)', 256), /indeks 256 di luar jangkauan 0-255/);
+  // An index that fits termInputWidth but not the chosen 4 variables
+  assert.equal(termInputWidth('Σm(3,16)'), 5);
+  assert.throws(() => parseTermInput('Σm(3,16)', 16), /indeks 16 di luar jangkauan 0-15/);
+  assert.deepEqual(parseTermInput('Σm(3,15)', 16).minterms, [3, 15]);
+});
+
+test('termInputWidth fits the largest index, don\'t cares included', () => {
+  assert.equal(termInputWidth('Σm(0)'), 1);
+  assert.equal(termInputWidth('0,1'), 1);
+  assert.equal(termInputWidth('Σm(1,3) + d(4)'), 3);
+  assert.equal(termInputWidth('ΠM(15)'), 4);
+  assert.equal(termInputWidth('Σm(16)'), 5);
+  assert.equal(termInputWidth('255'), 8);
+  assert.equal(termInputWidth('Σm(010)'), 4);
+});
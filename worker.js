@@ -0,0 +1,33 @@
+/* =============================================================================
+   KMAP — MINIMIZER WORKER
+   Kelompok Pusay - Rangkaian Digital
+
+   DESKRIPSI:
+   Web Worker (module) yang menjalankan runJob dari core.js — tabel kebenaran
+   dan Quine-McCluskey — di luar thread utama, sehingga halaman dan animasi
+   tetap responsif. Halaman membatalkan job dengan worker.terminate().
+
+   Pesan masuk : {id, job}
+   Pesan keluar: {id, type: 'progress', info}
+                 {id, type: 'done', result}
+                 {id, type: 'compare', classicTime}   (sesudah 'done', bila job.compare)
+                 {id, type: 'error', message}
+============================================================================= */
+
+import { runJob, runComparison } from './core.js';
+
+self.addEventListener('message', ({ data }) => {
+  const { id, job } = data;
+  let result;
+  try {
+    result = runJob(job, info => self.postMessage({ id, type: 'progress', info }));
+    self.postMessage({ id, type: 'done', result });
+  } catch (e) {
+    self.postMessage({ id, type: 'error', message: e.message });
+    return;
+  }
+  
+  // The old implementation is timed only after the result has been sent
+  // (classicTime is null when there is nothing to compare)
+  if (job.compare) self.postMessage({ id, type: 'compare', classicTime: runComparison(job, result.minimized) });
+});